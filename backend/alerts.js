@@ -0,0 +1,106 @@
+// backend/alerts.js
+const axios = require('axios');
+
+const WEBHOOK_FORMATS = ['json', 'slack'];
+
+/**
+ * What a rule watches: the share of one category, or the overall coverage
+ */
+const metricLabel = (rule) => (rule.category ? `"${rule.category}" share` : 'Automation coverage');
+
+/**
+ * Current value of the watched metric, or null when the category does not exist
+ */
+const metricValue = (rule, coverage) => {
+    if (!rule.category) return Number(coverage.overallCoverage);
+    return coverage.categories.includes(rule.category) ? Number(coverage.percentages[rule.category]) : null;
+};
+
+/**
+ * Compare a value against a rule and the state of its previous check.
+ * A threshold alert fires once when the value falls below it and again only
+ * after it has recovered; a drop alert compares with the previous check.
+ */
+const evaluateRule = (rule, value, state = {}) => {
+    const reasons = [];
+    const breached = rule.minPercent !== undefined && rule.minPercent !== null && value < rule.minPercent;
+    if (breached && !state.breached) {
+        reasons.push(`${metricLabel(rule)} is ${value}%, below the threshold of ${rule.minPercent}%`);
+    }
+    if (rule.maxDrop !== undefined && rule.maxDrop !== null
+        && state.lastValue !== undefined && state.lastValue !== null) {
+        const drop = state.lastValue - value;
+        if (drop > rule.maxDrop) {
+            reasons.push(`${metricLabel(rule)} dropped by ${drop.toFixed(1)} points, from ${state.lastValue}% to ${value}%`);
+        }
+    }
+    return { triggered: reasons.length > 0, reasons, breached };
+};
+
+/**
+ * Alert body in the generic JSON format or as a Slack incoming-webhook message
+ */
+const buildAlertPayload = (format, { rule, value, previousValue, reasons, checkedAt, appUrl, test = false }) => {
+    if (format === 'slack') {
+        const heading = `${test ? '[TEST] ' : ''}:warning: Coverage alert: *${rule.name}*`;
+        const lines = [heading].concat(reasons.map(reason => `• ${reason}`));
+        if (appUrl) lines.push(`<${appUrl}|Open coverage report>`);
+        return { text: lines.join('\n') };
+    }
+    return {
+        type: 'coverage-alert',
+        test,
+        rule: {
+            id: rule.id,
+            name: rule.name,
+            category: rule.category || null,
+            minPercent: rule.minPercent !== undefined ? rule.minPercent : null,
+            maxDrop: rule.maxDrop !== undefined ? rule.maxDrop : null
+        },
+        selection: {
+            projectId: rule.projectId,
+            suiteId: rule.suiteId,
+            folderIds: rule.folderIds,
+            inclusion: rule.inclusion,
+            excludeIds: rule.excludeIds,
+            filters: rule.filters
+        },
+        metric: metricLabel(rule),
+        value,
+        previousValue: previousValue !== undefined ? previousValue : null,
+        reasons,
+        checkedAt,
+        appUrl: appUrl || null
+    };
+};
+
+/**
+ * Whether alerts may be posted to a URL: the configured default receiver,
+ * or an http(s) URL on one of the allowed hosts. Anything else would let
+ * users make the server call arbitrary (internal) addresses.
+ */
+const isAllowedWebhook = (webhookUrl, { defaultUrl, allowedHosts }) => {
+    if (defaultUrl && webhookUrl === defaultUrl) return true;
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch (error) {
+        return false;
+    }
+    return ['http:', 'https:'].includes(url.protocol) && allowedHosts.includes(url.hostname.toLowerCase());
+};
+
+/**
+ * POST an alert to a webhook; failures reject with the HTTP status in the message.
+ * Redirects are not followed so an allowed host cannot forward the call elsewhere.
+ */
+const sendAlert = async (webhookUrl, payload) => {
+    try {
+        await axios.post(webhookUrl, payload, { timeout: 10000, maxRedirects: 0 });
+    } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+        throw new Error(`Webhook ${webhookUrl} failed: ${reason}`);
+    }
+};
+
+module.exports = { WEBHOOK_FORMATS, metricValue, evaluateRule, buildAlertPayload, isAllowedWebhook, sendAlert };
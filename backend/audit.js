@@ -0,0 +1,57 @@
+// backend/audit.js
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./store');
+
+/**
+ * Append-only audit log in the data directory, one JSON entry per line.
+ * Entries are never rewritten, so the file is not kept in a JSON store.
+ */
+const createAuditLog = (fileName) => {
+    const filePath = path.join(dataDir, fileName);
+    let queue = Promise.resolve();
+
+    /**
+     * Append { at, userId, username, action, target, details }; failures are
+     * logged rather than thrown so a full disk does not fail the audited request
+     */
+    const record = ({ user, action, target = null, details = null }) => {
+        const entry = {
+            at: new Date().toISOString(),
+            userId: user ? user.id : null,
+            username: user ? user.username : null,
+            action,
+            target,
+            details
+        };
+        queue = queue.then(async () => {
+            await fs.promises.mkdir(dataDir, { recursive: true });
+            await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+        }).catch(error => console.error('[AUDIT] Error writing audit log:', error.message));
+        return queue;
+    };
+
+    /**
+     * Newest entries first, optionally of one user or action
+     */
+    const list = async ({ userId, action, limit = 200 } = {}) => {
+        await queue;
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return content.split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .filter(entry => (!userId || entry.userId === userId) && (!action || entry.action === action))
+            .reverse()
+            .slice(0, limit);
+    };
+
+    return { record, list };
+};
+
+module.exports = { createAuditLog };
@@ -0,0 +1,148 @@
+// backend/auth.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// 'none' keeps the single shared TestRail account from the environment
+const AUTH_MODES = ['none', 'local'];
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Salted scrypt hash of a password as "scrypt:<salt>:<hash>"
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [, saltHex, hashHex] = stored.split(':');
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * AES-256-GCM encryption of secrets at rest with a key derived from a server secret
+ */
+const createCipher = (secret) => {
+    const key = crypto.createHash('sha256').update(secret).digest();
+    return {
+        encrypt: (text) => {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+            return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+        },
+        decrypt: ({ iv, tag, data }) => {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+        }
+    };
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * What clients may see of an account
+ */
+const publicUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    testrailEmail: user.testrailEmail || null,
+    hasTestRailKey: Boolean(user.testrailKey),
+    createdAt: user.createdAt
+});
+
+/**
+ * Local accounts with bearer-token sessions. Only token hashes are stored;
+ * TestRail API keys are encrypted with the server secret.
+ */
+const createAuth = ({ usersStore, sessionsStore, secret, sessionTtlMs }) => {
+    const cipher = createCipher(secret);
+
+    const findUser = async (predicate) => {
+        const { users } = await usersStore.read();
+        return users.find(predicate) || null;
+    };
+
+    /**
+     * Create an account; the first one becomes an admin. Rejects taken usernames.
+     */
+    const register = (username, password) => hashPassword(password).then(passwordHash =>
+        usersStore.update(data => {
+            if (data.users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+                return null;
+            }
+            const user = {
+                id: crypto.randomUUID(),
+                username,
+                passwordHash,
+                role: data.users.length === 0 ? 'admin' : 'user',
+                testrailEmail: null,
+                testrailKey: null,
+                createdAt: new Date().toISOString()
+            };
+            data.users.push(user);
+            return user;
+        }));
+
+    /**
+     * Check a password and open a session; resolves to { token, user } or null
+     */
+    const login = async (username, password) => {
+        const user = await findUser(u => u.username.toLowerCase() === username.toLowerCase());
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+            return null;
+        }
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        await sessionsStore.update(data => {
+            data.sessions = data.sessions.filter(session => session.expiresAt > now);
+            data.sessions.push({ tokenHash: hashToken(token), userId: user.id, expiresAt: now + sessionTtlMs });
+        });
+        return { token, user };
+    };
+
+    const logout = (token) => sessionsStore.update(data => {
+        data.sessions = data.sessions.filter(session => session.tokenHash !== hashToken(token));
+    });
+
+    /**
+     * User of a session token, or null when it is unknown or expired
+     */
+    const authenticate = async (token) => {
+        const { sessions } = await sessionsStore.read();
+        const session = sessions.find(s => s.tokenHash === hashToken(token) && s.expiresAt > Date.now());
+        return session ? findUser(u => u.id === session.userId) : null;
+    };
+
+    const getUser = (id) => findUser(u => u.id === id);
+
+    /**
+     * Store a user's TestRail login; null for both removes it
+     */
+    const setTestRailCredentials = (userId, email, apiKey) => usersStore.update(data => {
+        const user = data.users.find(u => u.id === userId);
+        if (!user) return null;
+        user.testrailEmail = email;
+        user.testrailKey = apiKey ? cipher.encrypt(apiKey) : null;
+        return user;
+    });
+
+    /**
+     * Basic auth token for TestRail calls on behalf of a user, or null without a key
+     */
+    const testrailAuthToken = (user) => {
+        if (!user.testrailKey) return null;
+        return Buffer.from(`${user.testrailEmail}:${cipher.decrypt(user.testrailKey)}`).toString('base64');
+    };
+
+    return { register, login, logout, authenticate, getUser, setTestRailCredentials, testrailAuthToken };
+};
+
+module.exports = { AUTH_MODES, MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, createCipher, publicUser, createAuth };
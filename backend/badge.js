@@ -0,0 +1,64 @@
+// backend/badge.js
+
+// Shields.io "flat" palette
+const BADGE_COLORS = {
+    red: '#e05d44',
+    yellow: '#dfb317',
+    green: '#4c1',
+    grey: '#9f9f9f'
+};
+
+// Approximate advance widths of 11px Verdana; good enough to size the boxes
+const NARROW = 'fijlrt.,:;!|\' ';
+const WIDE = 'mwMW%@';
+const textWidth = (text) =>
+    Array.from(text).reduce((width, char) => {
+        if (NARROW.includes(char)) return width + 4;
+        if (WIDE.includes(char)) return width + 10;
+        return width + (char === char.toUpperCase() && /[A-Z]/.test(char) ? 7.5 : 6.5);
+    }, 0);
+
+const escapeXml = (text) =>
+    String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Badge color for a coverage percentage: below the first threshold red,
+ * below the second yellow, otherwise green
+ */
+const colorForCoverage = (coverage, [low, high]) => {
+    const value = Number(coverage);
+    if (Number.isNaN(value)) return BADGE_COLORS.grey;
+    if (value < low) return BADGE_COLORS.red;
+    if (value < high) return BADGE_COLORS.yellow;
+    return BADGE_COLORS.green;
+};
+
+/**
+ * Render a shields-style flat badge as an SVG document
+ */
+const renderBadge = ({ label, message, color }) => {
+    const labelWidth = Math.round(textWidth(label) + 10);
+    const messageWidth = Math.round(textWidth(message) + 10);
+    const width = labelWidth + messageWidth;
+    const safeLabel = escapeXml(label);
+    const safeMessage = escapeXml(message);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${safeLabel}: ${safeMessage}">
+<title>${safeLabel}: ${safeMessage}</title>
+<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+<g clip-path="url(#r)">
+<rect width="${labelWidth}" height="20" fill="#555"/>
+<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+<rect width="${width}" height="20" fill="url(#s)"/>
+</g>
+<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+<text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${safeLabel}</text>
+<text x="${labelWidth / 2}" y="14">${safeLabel}</text>
+<text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${safeMessage}</text>
+<text x="${labelWidth + messageWidth / 2}" y="14">${safeMessage}</text>
+</g>
+</svg>
+`;
+};
+
+module.exports = { BADGE_COLORS, colorForCoverage, renderBadge };
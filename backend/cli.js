@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+// backend/cli.js
+require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
+const {
+    defaultProjectId,
+    defaultSuiteId,
+    testrailUrl,
+    testrailClientOptions,
+    automationField,
+    automatedOptions,
+    cacheTtlMs,
+    cacheFullRefreshMs
+} = require('./config');
+const { createTestRailClient } = require('./testrailClient');
+const { INCLUSION_POLICIES, DEFAULT_INCLUSION, resolveSections, createCoverageService } = require('./coverage');
+const { parseTestReport } = require('./testResults');
+const { buildExportTables, flattenSectionTree, toCsv } = require('./spreadsheetExport');
+
+const FORMATS = ['json', 'csv', 'markdown'];
+
+// Exit codes: below --min-coverage, bad arguments or failed requests, and
+// a --min-coverage gate on data that could not be fetched completely
+const EXIT_BELOW_THRESHOLD = 1;
+const EXIT_ERROR = 2;
+const EXIT_INCOMPLETE = 3;
+
+const USAGE = `Usage: mycoverage [options]
+
+Compute TestRail automation coverage for a section selection.
+
+Selection:
+  --project <id>          TestRail project ID (default: TESTRAIL_PROJECT_ID or ${defaultProjectId})
+  --suite <id>            Suite ID (default: TESTRAIL_SUITE_ID or ${defaultSuiteId})
+  --section <id|path>     Section to count, by ID or path such as "Web > Checkout".
+                          Repeatable; without it the whole suite is counted
+  --exclude <id|path>     Section branch to leave out; repeatable
+  --inclusion <policy>    ${INCLUSION_POLICIES.join('|')} (default: ${DEFAULT_INCLUSION})
+  --automated <label>     Category counted as automated; repeatable (default: ${automatedOptions.join(', ')})
+
+Filters:
+  --priority <ids>        Comma-separated priority IDs
+  --type <ids>            Comma-separated case type IDs
+  --template <ids>        Comma-separated template IDs
+  --created-from <date>   --created-to <date>
+  --updated-from <date>   --updated-to <date>
+  --refs <text>           References containing this text
+
+Output:
+  --format <format>       ${FORMATS.join('|')} (default: markdown)
+  --output <file>         Write the report to a file instead of stdout
+  --results <file>        JUnit/xUnit XML report to verify against; repeatable
+  --min-coverage <pct>    Exit with code ${EXIT_BELOW_THRESHOLD} when coverage is below this percentage,
+                          or ${EXIT_INCOMPLETE} when TestRail data was incomplete
+  --allow-incomplete      Let the --min-coverage gate pass on incomplete data
+  --verbose               Log progress to stderr
+  --help                  Show this help
+`;
+
+class UsageError extends Error {}
+
+const parseIdList = (value, name) => {
+    if (value === undefined) return undefined;
+    const ids = value.split(',').map(id => id.trim()).filter(Boolean).map(Number);
+    if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+        throw new UsageError(`--${name} expects comma-separated IDs, got "${value}"`);
+    }
+    return ids;
+};
+
+const parseDate = (value, name) => {
+    if (value === undefined) return undefined;
+    if (Number.isNaN(new Date(value).getTime())) {
+        throw new UsageError(`--${name} expects a date such as 2024-01-31, got "${value}"`);
+    }
+    return value;
+};
+
+const parseId = (value, fallback, name) => {
+    if (value === undefined) return fallback;
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new UsageError(`--${name} expects an ID, got "${value}"`);
+    }
+    return id;
+};
+
+/**
+ * Turn command line arguments into a coverage selection and output options
+ */
+const parseOptions = (argv) => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                project: { type: 'string' },
+                suite: { type: 'string' },
+                section: { type: 'string', multiple: true, default: [] },
+                exclude: { type: 'string', multiple: true, default: [] },
+                inclusion: { type: 'string', default: DEFAULT_INCLUSION },
+                automated: { type: 'string', multiple: true },
+                priority: { type: 'string' },
+                type: { type: 'string' },
+                template: { type: 'string' },
+                'created-from': { type: 'string' },
+                'created-to': { type: 'string' },
+                'updated-from': { type: 'string' },
+                'updated-to': { type: 'string' },
+                refs: { type: 'string' },
+                format: { type: 'string', default: 'markdown' },
+                output: { type: 'string' },
+                results: { type: 'string', multiple: true, default: [] },
+                'min-coverage': { type: 'string' },
+                'allow-incomplete': { type: 'boolean', default: false },
+                verbose: { type: 'boolean', default: false },
+                help: { type: 'boolean', default: false }
+            }
+        }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (!INCLUSION_POLICIES.includes(values.inclusion)) {
+        throw new UsageError(`--inclusion must be one of ${INCLUSION_POLICIES.join(', ')}`);
+    }
+    if (!FORMATS.includes(values.format)) {
+        throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+    let minCoverage = null;
+    if (values['min-coverage'] !== undefined) {
+        minCoverage = Number(values['min-coverage']);
+        if (Number.isNaN(minCoverage) || minCoverage < 0 || minCoverage > 100) {
+            throw new UsageError('--min-coverage expects a percentage between 0 and 100');
+        }
+    }
+
+    // Same shape as the filters of the data endpoint; unset ones are dropped
+    const filters = Object.fromEntries(Object.entries({
+        priorityIds: parseIdList(values.priority, 'priority'),
+        typeIds: parseIdList(values.type, 'type'),
+        templateIds: parseIdList(values.template, 'template'),
+        createdFrom: parseDate(values['created-from'], 'created-from'),
+        createdTo: parseDate(values['created-to'], 'created-to'),
+        updatedFrom: parseDate(values['updated-from'], 'updated-from'),
+        updatedTo: parseDate(values['updated-to'], 'updated-to'),
+        refs: values.refs
+    }).filter(([, value]) => value !== undefined));
+
+    return {
+        help: values.help,
+        verbose: values.verbose,
+        projectId: parseId(values.project, defaultProjectId, 'project'),
+        suiteId: parseId(values.suite, defaultSuiteId, 'suite'),
+        sections: values.section,
+        excludes: values.exclude,
+        inclusion: values.inclusion,
+        automatedCategories: values.automated,
+        filters,
+        format: values.format,
+        output: values.output,
+        results: values.results,
+        minCoverage,
+        allowIncomplete: values['allow-incomplete']
+    };
+};
+
+const normalizePath = (sectionPath) =>
+    sectionPath.split('>').map(part => part.trim().toLowerCase()).join(' > ');
+
+/**
+ * Map section arguments (IDs or "Parent > Child" paths) to section IDs
+ */
+const toSectionIds = (allSections, args) => {
+    const withPaths = resolveSections(allSections, allSections.map(section => section.id), 'exact');
+    return [].concat(...args.map(arg => {
+        if (/^\d+$/.test(arg.trim())) {
+            const id = Number(arg);
+            if (!withPaths.some(section => section.id === id)) {
+                throw new UsageError(`Section ${id} does not exist in this suite`);
+            }
+            return [id];
+        }
+        const matches = withPaths.filter(section => normalizePath(section.path) === normalizePath(arg));
+        if (!matches.length) {
+            throw new UsageError(`No section with path "${arg}" in this suite`);
+        }
+        return matches.map(section => section.id);
+    }));
+};
+
+/**
+ * Outcome of the --min-coverage gate, or null without one. Coverage computed
+ * from incomplete data only passes with --allow-incomplete; fieldWarnings
+ * about the automation field do not count as incomplete.
+ */
+const checkGate = (coverage, { minCoverage, allowIncomplete }) => {
+    if (minCoverage === null) return null;
+    const belowMinimum = Number(coverage.overallCoverage) < minCoverage;
+    const incomplete = coverage.warnings.length > 0;
+    return {
+        minCoverage,
+        incomplete,
+        passed: !belowMinimum && (!incomplete || allowIncomplete),
+        exitCode: belowMinimum ? EXIT_BELOW_THRESHOLD : (incomplete && !allowIncomplete ? EXIT_INCOMPLETE : 0)
+    };
+};
+
+const escapeMarkdown = (text) => String(text).replace(/\|/g, '\\|');
+
+/**
+ * Markdown summary suitable for a CI job summary or a pull request comment
+ */
+const toMarkdown = (coverage, { projectId, suiteId, minCoverage }, gate) => {
+    const { categories, totalCounts, percentages } = coverage;
+    const total = categories.reduce((sum, category) => sum + totalCounts[category], 0);
+    const pathById = {};
+    coverage.resolvedSections.forEach(section => { pathById[section.id] = section.path; });
+
+    const lines = [`## Automation Coverage: ${coverage.overallCoverage}%`, ''];
+    lines.push(`Project ${projectId}, suite ${suiteId} · ${coverage.resolvedSections.length} sections · ${total} test cases`);
+    const filterText = Object.entries(coverage.filters)
+        .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`)
+        .join(', ');
+    if (filterText) {
+        lines.push('', `Filters: ${filterText}`);
+    }
+    if (coverage.verification) {
+        lines.push('', `Verified coverage: ${coverage.verification.verifiedCoverage}% ` +
+            `(${coverage.verification.markedWithoutResult.length} marked automated without a result, ` +
+            `${coverage.verification.resultWithoutMark.length} with a result but not marked)`);
+    }
+    if (coverage.syncedAt) {
+        lines.push('', `Data synced with TestRail: ${coverage.syncedAt}`);
+    }
+    if (coverage.warnings.length) {
+        lines.push('', `> **Incomplete data:** ${coverage.warnings.map(w => w.message).join('; ')}`);
+    }
+    if (coverage.fieldWarnings.length) {
+        lines.push('', `> **Automation field:** ${coverage.fieldWarnings.map(w => w.message).join('; ')}`);
+    }
+    if (gate) {
+        if (gate.exitCode === EXIT_BELOW_THRESHOLD) {
+            lines.push('', `**Coverage gate failed:** ${coverage.overallCoverage}% is below the minimum of ${minCoverage}%`);
+        } else if (gate.exitCode === EXIT_INCOMPLETE) {
+            lines.push('', `**Coverage gate failed:** ${coverage.overallCoverage}% was computed from incomplete data`);
+        } else {
+            lines.push('', `**Coverage gate passed:** ${coverage.overallCoverage}% meets the minimum of ${minCoverage}%`);
+        }
+    }
+
+    lines.push('', '| Category | Test Cases | Share |', '| --- | ---: | ---: |');
+    categories.forEach(category => {
+        const marker = coverage.automatedCategories.includes(category) ? ' (automated)' : '';
+        lines.push(`| ${escapeMarkdown(category)}${marker} | ${totalCounts[category]} | ${percentages[category]}% |`);
+    });
+    lines.push(`| **Total** | **${total}** | |`);
+
+    lines.push('', '### Sections', '', '| Section | Test Cases | Coverage |', '| --- | ---: | ---: |');
+    flattenSectionTree(coverage.sectionTree).forEach(node => {
+        lines.push(`| ${escapeMarkdown(pathById[node.id] || node.name)} | ${node.rolledUpTotal} | ${node.coverage}% |`);
+    });
+    return lines.join('\n') + '\n';
+};
+
+const run = async (argv) => {
+    const options = parseOptions(argv);
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    // Keep stdout for the report; progress logging goes to stderr or nowhere
+    if (options.verbose) {
+        console.log = console.error;
+    } else {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const reports = options.results.map(file => ({ name: file, ...parseTestReport(fs.readFileSync(file, 'utf8')) }));
+    const testrail = createTestRailClient(testrailClientOptions);
+    const service = createCoverageService({
+        testrail,
+        automationField,
+        automatedOptions,
+        cacheTtlMs,
+        cacheFullRefreshMs,
+        getResultReports: async () => reports
+    });
+
+    const { projectId, suiteId, inclusion, filters } = options;
+    const allSections = await service.getSections(projectId, suiteId);
+    const folderIds = options.sections.length
+        ? toSectionIds(allSections, options.sections)
+        : allSections.filter(section => !section.parent_id).map(section => section.id);
+    const excludeIds = toSectionIds(allSections, options.excludes);
+    const coverage = await service.computeCoverage({
+        projectId,
+        suiteId,
+        folderIds,
+        inclusion,
+        excludeIds,
+        filters,
+        automatedCategories: options.automatedCategories
+    });
+
+    const gate = checkGate(coverage, options);
+    let report;
+    if (options.format === 'json') {
+        const threshold = gate ? { minCoverage: gate.minCoverage, passed: gate.passed, incomplete: gate.incomplete } : undefined;
+        report = JSON.stringify({ projectId, suiteId, folderIds, ...coverage, threshold }, null, 2) + '\n';
+    } else if (options.format === 'csv') {
+        const priorities = await testrail.fetchPriorities();
+        report = toCsv(buildExportTables(coverage, { priorities, testrailUrl }));
+    } else {
+        report = toMarkdown(coverage, options, gate);
+    }
+    if (options.output) {
+        fs.writeFileSync(options.output, report);
+    } else {
+        process.stdout.write(report);
+    }
+
+    if (gate && gate.exitCode === EXIT_BELOW_THRESHOLD) {
+        process.stderr.write(`Coverage ${coverage.overallCoverage}% is below the minimum of ${options.minCoverage}%\n`);
+    } else if (gate && gate.exitCode === EXIT_INCOMPLETE) {
+        process.stderr.write(`Coverage was computed from incomplete data: ${coverage.warnings.map(w => w.message).join('; ')}\n` +
+            'Pass --allow-incomplete to let the gate pass anyway\n');
+    }
+    return gate ? gate.exitCode : 0;
+};
+
+// Run when called as a command; the tests import the parsing helpers
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            if (error instanceof UsageError) {
+                process.stderr.write(`mycoverage: ${error.message}\nRun "mycoverage --help" for usage.\n`);
+            } else {
+                const details = error.response ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message;
+                process.stderr.write(`mycoverage: ${details}\n`);
+            }
+            process.exitCode = EXIT_ERROR;
+        });
+}
+
+module.exports = { EXIT_BELOW_THRESHOLD, EXIT_ERROR, EXIT_INCOMPLETE, UsageError, parseOptions, toSectionIds, checkGate };
@@ -0,0 +1,115 @@
+// backend/compare.js
+
+/**
+ * Category of every counted case of a computed coverage, keyed by case ID
+ */
+const caseCategoriesOf = (coverage) => {
+    const caseCategories = {};
+    coverage.categories.forEach(category => {
+        (coverage.casesByCategory[category] || []).forEach(testCase => {
+            caseCategories[testCase.id] = category;
+        });
+    });
+    return caseCategories;
+};
+
+/**
+ * Compact form of caseCategoriesOf for history snapshots: case ID to the
+ * index of its category in the snapshot's categories
+ */
+const packCaseCategories = (coverage) => {
+    const packed = {};
+    Object.entries(caseCategoriesOf(coverage)).forEach(([id, category]) => {
+        packed[id] = coverage.categories.indexOf(category);
+    });
+    return packed;
+};
+
+/**
+ * One side of a comparison from a history snapshot. Snapshots recorded
+ * before case categories were stored have caseCategories null.
+ */
+const sideFromSnapshot = (snapshot) => ({
+    categories: snapshot.categories,
+    totalCounts: snapshot.totalCounts,
+    percentages: snapshot.percentages,
+    overallCoverage: snapshot.overallCoverage,
+    caseCategories: snapshot.caseCategories
+        ? Object.fromEntries(Object.entries(snapshot.caseCategories).map(([id, idx]) => [id, snapshot.categories[idx]]))
+        : null
+});
+
+/**
+ * One side of a comparison from a freshly computed coverage
+ */
+const sideFromCoverage = (coverage) => ({
+    categories: coverage.categories,
+    totalCounts: coverage.totalCounts,
+    percentages: coverage.percentages,
+    overallCoverage: coverage.overallCoverage,
+    caseCategories: caseCategoriesOf(coverage)
+});
+
+const round = (value) => Number(value.toFixed(1));
+
+/**
+ * Difference from base to target: count and share per category, overall
+ * coverage, and the cases that moved between categories, were added or
+ * were removed. titles maps case IDs to titles for the case lists.
+ */
+const diffCoverage = (base, target, titles = {}) => {
+    const categories = base.categories.concat(target.categories.filter(category => !base.categories.includes(category)));
+    const deltas = categories.map(category => {
+        const baseCount = base.totalCounts[category] || 0;
+        const targetCount = target.totalCounts[category] || 0;
+        const basePercent = Number(base.percentages[category] || 0);
+        const targetPercent = Number(target.percentages[category] || 0);
+        return {
+            category,
+            baseCount,
+            targetCount,
+            countDelta: targetCount - baseCount,
+            basePercent,
+            targetPercent,
+            percentDelta: round(targetPercent - basePercent)
+        };
+    });
+    const overall = {
+        base: Number(base.overallCoverage),
+        target: Number(target.overallCoverage),
+        delta: round(Number(target.overallCoverage) - Number(base.overallCoverage))
+    };
+
+    if (!base.caseCategories || !target.caseCategories) {
+        return { categories, deltas, overall, casesCompared: false, moved: [], added: [], removed: [] };
+    }
+    const titleOf = (id) => titles[id] || null;
+    const moved = [];
+    const added = [];
+    const removed = [];
+    Object.entries(target.caseCategories).forEach(([id, category]) => {
+        const before = base.caseCategories[id];
+        if (before === undefined) {
+            added.push({ id: Number(id), title: titleOf(id), category });
+        } else if (before !== category) {
+            moved.push({ id: Number(id), title: titleOf(id), from: before, to: category });
+        }
+    });
+    Object.entries(base.caseCategories).forEach(([id, category]) => {
+        if (target.caseCategories[id] === undefined) {
+            removed.push({ id: Number(id), title: titleOf(id), category });
+        }
+    });
+    const byId = (a, b) => a.id - b.id;
+    return {
+        categories,
+        deltas,
+        overall,
+        casesCompared: true,
+        moved: moved.sort(byId),
+        added: added.sort(byId),
+        removed: removed.sort(byId)
+    };
+};
+
+module.exports = { packCaseCategories, sideFromSnapshot, sideFromCoverage, diffCoverage };
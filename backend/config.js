@@ -0,0 +1,45 @@
+// backend/config.js
+// Settings shared by the server and the CLI; dotenv is loaded by the entry point.
+
+// Project and suite are defaults, each request may pick its own
+const defaultProjectId = Number(process.env.TESTRAIL_PROJECT_ID || 1);
+const defaultSuiteId = Number(process.env.TESTRAIL_SUITE_ID || 1);
+const testrailUrl = process.env.TESTRAIL_URL || 'https://tealium.testrail.io';
+const userEmail = process.env.TESTRAIL_USER_EMAIL || 'your-email@example.com';
+const apiKey = process.env.TESTRAIL_API_KEY || 'your_api_key';
+const authToken = Buffer.from(`${userEmail}:${apiKey}`).toString('base64');
+const testrailClientOptions = {
+    url: testrailUrl,
+    authToken,
+    timeoutMs: Number(process.env.TESTRAIL_TIMEOUT_MS || 30000),
+    maxRetries: Number(process.env.TESTRAIL_MAX_RETRIES || 4),
+    maxConcurrent: Number(process.env.TESTRAIL_MAX_CONCURRENCY || 5)
+};
+// System name of the dropdown case field that holds the automation status
+const automationField = process.env.TESTRAIL_AUTOMATION_FIELD || 'custom_automation';
+// Option labels of that field which count towards coverage
+const automatedOptions = (process.env.TESTRAIL_AUTOMATED_OPTIONS || 'Yes')
+    .split(',')
+    .map(label => label.trim())
+    .filter(Boolean);
+// Option labels of that field that mark cases waiting to be automated
+const candidateOptions = (process.env.TESTRAIL_CANDIDATE_OPTIONS || 'Automation Candidate')
+    .split(',')
+    .map(label => label.trim())
+    .filter(Boolean);
+// How long cached sections/cases are served before TestRail is asked again
+const cacheTtlMs = Number(process.env.CACHE_TTL_SECONDS || 300) * 1000;
+// Incremental refreshes cannot see deleted cases, so re-download everything this often
+const cacheFullRefreshMs = Number(process.env.CACHE_FULL_REFRESH_SECONDS || 86400) * 1000;
+
+module.exports = {
+    defaultProjectId,
+    defaultSuiteId,
+    testrailUrl,
+    testrailClientOptions,
+    automationField,
+    automatedOptions,
+    candidateOptions,
+    cacheTtlMs,
+    cacheFullRefreshMs
+};
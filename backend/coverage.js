@@ -0,0 +1,701 @@
+// backend/coverage.js
+const { crossCheckResults } = require('./testResults');
+const { isCancelled } = require('./testrailClient');
+
+// Bucket for cases whose automation field is empty or holds an unknown value
+const UNSET_CATEGORY = 'Unset';
+// Ways a section selection can be expanded before cases are counted
+const INCLUSION_POLICIES = ['exact', 'descendants', 'ancestors', 'ancestors-and-descendants'];
+// Historical behaviour of the data endpoint
+const DEFAULT_INCLUSION = 'ancestors-and-descendants';
+
+/**
+ * Parse dropdown options stored by TestRail as "1, Yes\n2, No\n...".
+ * Non-empty lines that are not "id, label" are passed to onSkipped.
+ */
+const parseDropdownItems = (items, onSkipped = () => {}) =>
+    items.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            const separator = line.indexOf(',');
+            const option = {
+                id: separator === -1 ? NaN : Number(line.slice(0, separator).trim()),
+                label: line.slice(separator + 1).trim()
+            };
+            if (!Number.isInteger(option.id) || !option.label) {
+                onSkipped(line.trim());
+                return null;
+            }
+            return option;
+        })
+        .filter(Boolean);
+
+/**
+ * Label of the bucket for cases without a known automation value: "Unset",
+ * or "(Unset)" etc. when the field has an option of that name, so cases of
+ * that option and cases without a value are never counted together
+ */
+const unsetCategory = (options) => {
+    const labels = options.map(o => o.label);
+    let label = UNSET_CATEGORY;
+    while (labels.includes(label)) label = `(${label})`;
+    return label;
+};
+
+/**
+ * Categories of a project in display order: the field options, then the unset bucket
+ */
+const categoryLabels = (options) => options.map(o => o.label).concat(unsetCategory(options));
+
+/**
+ * Turn a date filter into a unix timestamp; a date-only upper bound covers the whole day
+ */
+const toUnixTime = (value, endOfDay = false) => {
+    const seconds = Math.floor(new Date(value).getTime() / 1000);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? seconds + 86399 : seconds;
+};
+
+/**
+ * Check a test case against the optional case filters
+ */
+const matchesFilters = (testCase, filters = {}) => {
+    const { priorityIds, typeIds, templateIds, createdFrom, createdTo, updatedFrom, updatedTo, refs } = filters;
+    if (priorityIds && priorityIds.length && !priorityIds.includes(testCase.priority_id)) return false;
+    if (typeIds && typeIds.length && !typeIds.includes(testCase.type_id)) return false;
+    if (templateIds && templateIds.length && !templateIds.includes(testCase.template_id)) return false;
+    if (createdFrom && testCase.created_on < toUnixTime(createdFrom)) return false;
+    if (createdTo && testCase.created_on > toUnixTime(createdTo, true)) return false;
+    if (updatedFrom && testCase.updated_on < toUnixTime(updatedFrom)) return false;
+    if (updatedTo && testCase.updated_on > toUnixTime(updatedTo, true)) return false;
+    if (refs && !(testCase.refs || '').toLowerCase().includes(refs.toLowerCase())) return false;
+    return true;
+};
+
+/**
+ * References of a case: TestRail stores them as one comma-separated string
+ * such as "JIRA-12, JIRA-15"
+ */
+const parseRefs = (refs) =>
+    Array.from(new Set((refs || '').split(',').map(ref => ref.trim()).filter(Boolean)));
+
+/**
+ * Build a tree of sections based on parent_id (for display)
+ */
+const buildTree = (sections) => {
+    const sectionMap = {};
+    sections.forEach(section => {
+        sectionMap[section.id] = { ...section, children: [] };
+    });
+    const roots = [];
+    sections.forEach(section => {
+        if (section.parent_id !== null && section.parent_id !== 0 && sectionMap[section.parent_id]) {
+            sectionMap[section.parent_id].children.push(sectionMap[section.id]);
+        } else {
+            roots.push(sectionMap[section.id]);
+        }
+    });
+    return roots;
+};
+
+/**
+ * Owning team of every section. teamBySection maps section IDs to the team
+ * they are assigned to; sections without an assignment inherit the team of
+ * their nearest assigned ancestor, or null when there is none.
+ */
+const assignTeams = (sections, teamBySection) => {
+    const owners = {};
+    const walk = (nodes, inherited) => nodes.forEach(node => {
+        const owner = teamBySection[node.id] !== undefined ? teamBySection[node.id] : inherited;
+        owners[node.id] = owner;
+        walk(node.children, owner);
+    });
+    walk(buildTree(sections), null);
+    return owners;
+};
+
+/**
+ * Resolve the final set of sections for a selection:
+ * - Include all selected sections (folderIds)
+ * - Add their ancestors (parent sections' own cases) and/or descendants, per policy
+ * - Remove excluded sections together with everything below them
+ * Returns the resolved sections with their full path, in suite order.
+ */
+const resolveSections = (allSections, folderIds, inclusion = DEFAULT_INCLUSION, excludeIds = []) => {
+    const parentMap = {};
+    const sectionMap = {};
+    allSections.forEach(section => {
+        parentMap[section.id] = section.parent_id;
+        sectionMap[section.id] = section;
+    });
+    const ancestorsOf = (id) => {
+        const ancestors = [];
+        let current = parentMap[id];
+        while (current && current !== 0) {
+            ancestors.push(current);
+            current = parentMap[current];
+        }
+        return ancestors;
+    };
+
+    const selectedIds = folderIds.map(id => Number(id));
+    const selectedSet = new Set(selectedIds);
+    const resolvedSet = new Set(selectedIds.filter(id => sectionMap[id]));
+    if (inclusion === 'ancestors' || inclusion === 'ancestors-and-descendants') {
+        selectedIds.forEach(id => ancestorsOf(id).forEach(ancestor => resolvedSet.add(ancestor)));
+    }
+    if (inclusion === 'descendants' || inclusion === 'ancestors-and-descendants') {
+        allSections.forEach(section => {
+            if (ancestorsOf(section.id).some(ancestor => selectedSet.has(ancestor))) {
+                resolvedSet.add(section.id);
+            }
+        });
+    }
+
+    // Excluded branches win over anything selected or pulled in by the policy
+    const excludedSet = new Set(excludeIds.map(id => Number(id)));
+    const isExcluded = (id) => excludedSet.has(id) || ancestorsOf(id).some(ancestor => excludedSet.has(ancestor));
+
+    return allSections
+        .filter(section => resolvedSet.has(section.id) && !isExcluded(section.id))
+        .map(section => ({
+            id: section.id,
+            name: section.name,
+            path: ancestorsOf(section.id)
+                .reverse()
+                .map(ancestor => sectionMap[ancestor].name)
+                .concat(section.name)
+                .join(' > ')
+        }));
+};
+
+/**
+ * Create the fetch-and-aggregate service shared by the HTTP API and the CLI.
+ * TestRail data is cached in memory per project/suite; getResultReports,
+ * when given, supplies uploaded test results to cross-check against.
+ */
+const createCoverageService = ({
+    testrail,
+    automationField,
+    automatedOptions,
+    candidateOptions = [],
+    cacheTtlMs,
+    cacheFullRefreshMs,
+    getResultReports = async () => []
+}) => {
+    // Option lines of the automation field that could not be read, per project
+    const skippedOptionLines = new Map();
+
+    /**
+     * Fetch the options of the automation field as configured for a project
+     */
+    const fetchAutomationOptions = async (projectId, stats) => {
+        console.log(`[FIELDS] Fetching case fields for project ${projectId}`);
+        const fields = await testrail.fetchCaseFields(stats);
+        const field = fields.find(f => f.system_name === automationField);
+        if (!field) {
+            throw new Error(`Case field "${automationField}" not found`);
+        }
+        // A field may have a global config and/or configs scoped to specific projects
+        const configs = field.configs || [];
+        const config = configs.find(c => c.context && (c.context.project_ids || []).map(Number).includes(Number(projectId)))
+            || configs.find(c => c.context && c.context.is_global);
+        if (!config || !config.options || typeof config.options.items !== 'string') {
+            throw new Error(`Case field "${automationField}" is not a dropdown field for project ${projectId}`);
+        }
+        const skipped = [];
+        const options = parseDropdownItems(config.options.items, line => skipped.push(line));
+        if (skipped.length) {
+            console.warn(`[FIELDS] Ignored options of "${automationField}" that are not "id, label":`, skipped);
+        }
+        skippedOptionLines.set(Number(projectId), skipped);
+        return options;
+    };
+
+    /**
+     * Warnings about option lines of the automation field that could not be
+     * read; cases with those values are counted as unset. They are returned
+     * as fieldWarnings, apart from the warnings that mark data as incomplete.
+     */
+    const optionWarnings = (projectId) => (skippedOptionLines.get(Number(projectId)) || []).map(line => ({
+        message: `Option "${line}" of ${automationField} is not in the "id, label" format and was ignored`
+    }));
+
+    /**
+     * Return the category label of a test case, or the unset bucket
+     */
+    const getCategory = (testCase, options) => {
+        const value = testCase[automationField];
+        if (value === null || value === undefined || value === '') return unsetCategory(options);
+        const option = options.find(o => o.id === Number(value));
+        return option ? option.label : unsetCategory(options);
+    };
+
+    /**
+     * Build the per-section coverage tree for the processed sections.
+     * Each node carries the counts of its own cases, the counts rolled up
+     * from its subtree, and the rolled-up percentages and coverage.
+     */
+    const buildSectionBreakdown = (sections, testCases, options, categories, automatedCategories) => {
+        const emptyCounts = () => {
+            const counts = {};
+            categories.forEach(category => { counts[category] = 0; });
+            return counts;
+        };
+        const countsBySection = {};
+        testCases.forEach(testCase => {
+            if (!countsBySection[testCase.section_id]) {
+                countsBySection[testCase.section_id] = emptyCounts();
+            }
+            countsBySection[testCase.section_id][getCategory(testCase, options)] += 1;
+        });
+
+        const decorate = (node) => {
+            const children = node.children.map(decorate);
+            const counts = countsBySection[node.id] || emptyCounts();
+            const rolledUpCounts = { ...counts };
+            children.forEach(child => {
+                categories.forEach(category => { rolledUpCounts[category] += child.rolledUpCounts[category]; });
+            });
+            const total = categories.reduce((sum, category) => sum + counts[category], 0);
+            const rolledUpTotal = categories.reduce((sum, category) => sum + rolledUpCounts[category], 0);
+            const percentages = {};
+            categories.forEach(category => {
+                percentages[category] = rolledUpTotal > 0 ? (rolledUpCounts[category] / rolledUpTotal * 100).toFixed(1) : 0;
+            });
+            const automated = automatedCategories.reduce((sum, category) => sum + rolledUpCounts[category], 0);
+            return {
+                id: node.id,
+                name: node.name,
+                parent_id: node.parent_id,
+                counts,
+                total,
+                rolledUpCounts,
+                rolledUpTotal,
+                percentages,
+                coverage: rolledUpTotal > 0 ? (automated / rolledUpTotal * 100).toFixed(1) : 0,
+                children
+            };
+        };
+        return buildTree(sections).map(decorate);
+    };
+
+    /**
+     * Counts and coverage per requirement: a case counts once towards every
+     * reference in its refs field. Requirements are sorted by reference;
+     * automated is 0 for those without any automated case.
+     */
+    const buildRequirementBreakdown = (testCases, options, categories, automatedCategories) => {
+        const byRef = new Map();
+        let unreferenced = 0;
+        testCases.forEach(testCase => {
+            const refs = parseRefs(testCase.refs);
+            if (!refs.length) {
+                unreferenced += 1;
+                return;
+            }
+            const category = getCategory(testCase, options);
+            refs.forEach(ref => {
+                if (!byRef.has(ref)) {
+                    const counts = {};
+                    categories.forEach(c => { counts[c] = 0; });
+                    byRef.set(ref, { ref, counts, caseIds: [] });
+                }
+                const requirement = byRef.get(ref);
+                requirement.counts[category] += 1;
+                requirement.caseIds.push(testCase.id);
+            });
+        });
+        const requirements = Array.from(byRef.values())
+            .map(requirement => {
+                const total = requirement.caseIds.length;
+                const automated = automatedCategories.reduce((sum, category) => sum + requirement.counts[category], 0);
+                return { ...requirement, total, automated, coverage: (automated / total * 100).toFixed(1) };
+            })
+            .sort((a, b) => a.ref.localeCompare(b.ref, undefined, { numeric: true }));
+        return { requirements, unreferenced };
+    };
+
+    /**
+     * In-memory cache of sections, cases and automation options per project/suite
+     */
+    const testrailCache = new Map();
+
+    const getCacheEntry = (projectId, suiteId) => {
+        const key = `${projectId}:${suiteId}`;
+        if (!testrailCache.has(key)) {
+            testrailCache.set(key, {
+                sections: null,
+                sectionsFetchedAt: 0,
+                options: null,
+                optionsFetchedAt: 0,
+                cases: null,
+                casesCheckedAt: 0,
+                casesFullAt: 0,
+                updatedAfter: 0,
+                pending: {}
+            });
+        }
+        return testrailCache.get(key);
+    };
+
+    /**
+     * Share one in-flight load between concurrent requests for the same entry.
+     * When the request that started the load is cancelled, the others start
+     * their own load instead of failing with it.
+     */
+    const loadOnce = (entry, name, load, stats) => {
+        if (!entry.pending[name]) {
+            entry.pending[name] = load().finally(() => {
+                delete entry.pending[name];
+            });
+        }
+        return entry.pending[name].catch(error => {
+            if (isCancelled(error) && !(stats && stats.signal && stats.signal.aborted)) {
+                return loadOnce(entry, name, load, stats);
+            }
+            throw error;
+        });
+    };
+
+    /**
+     * Sections of a suite, served from the cache while fresh
+     */
+    const getSections = async (projectId, suiteId, stats) => {
+        const entry = getCacheEntry(projectId, suiteId);
+        if (entry.sections && Date.now() - entry.sectionsFetchedAt < cacheTtlMs) {
+            console.log(`[CACHE] Sections hit for ${projectId}:${suiteId}`);
+            return entry.sections;
+        }
+        return loadOnce(entry, 'sections', async () => {
+            entry.sections = await testrail.fetchAllSections(projectId, suiteId, stats);
+            entry.sectionsFetchedAt = Date.now();
+            return entry.sections;
+        }, stats);
+    };
+
+    /**
+     * Automation field options of a project, served from the cache while fresh
+     */
+    const getAutomationOptions = async (projectId, suiteId, stats) => {
+        const entry = getCacheEntry(projectId, suiteId);
+        if (entry.options && Date.now() - entry.optionsFetchedAt < cacheTtlMs) {
+            return entry.options;
+        }
+        return loadOnce(entry, 'options', async () => {
+            entry.options = await fetchAutomationOptions(projectId, stats);
+            entry.optionsFetchedAt = Date.now();
+            return entry.options;
+        }, stats);
+    };
+
+    /**
+     * Cases of a suite. Once the TTL expires only cases updated since the last
+     * sync are downloaded and merged; a full download happens on first use and
+     * every CACHE_FULL_REFRESH_SECONDS.
+     */
+    const getCases = async (projectId, suiteId, stats) => {
+        const entry = getCacheEntry(projectId, suiteId);
+        if (entry.cases && Date.now() - entry.casesCheckedAt < cacheTtlMs) {
+            console.log(`[CACHE] Cases hit for ${projectId}:${suiteId}`);
+            return Array.from(entry.cases.values());
+        }
+        return loadOnce(entry, 'cases', async () => {
+            const startedAt = Math.floor(Date.now() / 1000);
+            if (entry.cases && Date.now() - entry.casesFullAt < cacheFullRefreshMs) {
+                const changed = await testrail.fetchAllCases(projectId, suiteId, stats, entry.updatedAfter);
+                changed.forEach(testCase => entry.cases.set(testCase.id, testCase));
+                console.log(`[CACHE] Incremental refresh for ${projectId}:${suiteId} merged ${changed.length} updated cases`);
+            } else {
+                const cases = await testrail.fetchAllCases(projectId, suiteId, stats);
+                entry.cases = new Map(cases.map(testCase => [testCase.id, testCase]));
+                entry.casesFullAt = Date.now();
+                console.log(`[CACHE] Full refresh for ${projectId}:${suiteId} loaded ${cases.length} cases`);
+            }
+            // Overlap by a minute so edits made while paging are not missed
+            entry.updatedAfter = startedAt - 60;
+            entry.casesCheckedAt = Date.now();
+            return Array.from(entry.cases.values());
+        }, stats);
+    };
+
+    /**
+     * Time the cached cases of a suite were last synced with TestRail
+     */
+    const getSyncedAt = (projectId, suiteId) => {
+        const entry = getCacheEntry(projectId, suiteId);
+        return entry.casesCheckedAt ? new Date(entry.casesCheckedAt).toISOString() : null;
+    };
+
+    /**
+     * Test cases of the given sections plus warnings about data that could not
+     * be fetched. When the suite-wide fetch fails even after retries, stale
+     * cached cases are used if there are any; otherwise the error is thrown.
+     * There is deliberately no per-section fallback: it would send one request
+     * per section just when TestRail is failing or rate limiting.
+     */
+    const getCasesForSections = async (projectId, suiteId, sectionIds, stats) => {
+        const sectionIdSet = new Set(sectionIds);
+        const errorMessage = (error) => error.response ? `HTTP ${error.response.status}` : error.message;
+        try {
+            const suiteTestCases = await getCases(projectId, suiteId, stats);
+            return { testCases: suiteTestCases.filter(testCase => sectionIdSet.has(testCase.section_id)), warnings: [] };
+        } catch (error) {
+            if (isCancelled(error)) throw error;
+            console.error(`[COVERAGE] Error fetching test cases of suite ${suiteId}:`, errorMessage(error));
+            const entry = getCacheEntry(projectId, suiteId);
+            if (!entry.cases) throw error;
+            const testCases = Array.from(entry.cases.values()).filter(testCase => sectionIdSet.has(testCase.section_id));
+            return {
+                testCases,
+                warnings: [{ message: `Could not refresh test cases from TestRail (${errorMessage(error)}); showing data synced at ${getSyncedAt(projectId, suiteId)}` }]
+            };
+        }
+    };
+
+    /**
+     * Fetch and aggregate test case statistics for a section selection,
+     * resolved with the given inclusion policy and excluded branches.
+     * signal cancels the TestRail calls; onProgress receives snapshots of
+     * { stage, sectionsResolved, casesFetched, casesCounted, errors }.
+     */
+    const computeCoverage = async ({
+        projectId,
+        suiteId,
+        folderIds,
+        inclusion = DEFAULT_INCLUSION,
+        excludeIds = [],
+        filters = {},
+        automatedCategories: automatedLabels = automatedOptions
+    }, { signal, onProgress = () => {} } = {}) => {
+        const progress = { stage: 'sections', sectionsResolved: null, casesFetched: 0, casesCounted: null, errors: [] };
+        const report = (changes) => {
+            Object.assign(progress, changes);
+            onProgress({ ...progress, errors: progress.errors.slice() });
+        };
+        const stats = {
+            calls: 0,
+            signal,
+            onPage: ({ key, count }) => {
+                if (key === 'cases') report({ casesFetched: progress.casesFetched + count });
+            }
+        };
+        report({});
+
+        // 1. Fetch all sections
+        const allSections = await getSections(projectId, suiteId, stats);
+        console.log('[COVERAGE] Total sections fetched:', allSections.length);
+
+        // 2. Resolve the sections to process
+        const resolvedSections = resolveSections(allSections, folderIds, inclusion, excludeIds);
+        const allFolderIds = resolvedSections.map(section => section.id);
+        const allFolderIdsSet = new Set(allFolderIds);
+        console.log(`[COVERAGE] All folder IDs to process (${inclusion}, excluding ${excludeIds}):`, allFolderIds);
+        report({ stage: 'cases', sectionsResolved: allFolderIds.length });
+
+        // 3. Fetch the suite's test cases once and keep those in the processed sections
+        const { testCases: sectionTestCases, warnings } = await getCasesForSections(projectId, suiteId, allFolderIds, stats);
+        console.log(`[COVERAGE] Total test cases in processed sections: ${sectionTestCases.length}`);
+        report({
+            stage: 'aggregating',
+            casesCounted: sectionTestCases.length,
+            errors: warnings
+        });
+
+        // 4. Apply the case filters before aggregation
+        const allTestCases = sectionTestCases.filter(testCase => matchesFilters(testCase, filters));
+        console.log(`[COVERAGE] Test cases matching filters: ${allTestCases.length}`);
+
+        // 5. Aggregate statistics per automation option
+        const options = await getAutomationOptions(projectId, suiteId, stats);
+        const categories = categoryLabels(options);
+        const totalCounts = {};
+        const casesByCategory = {};
+        categories.forEach(category => {
+            totalCounts[category] = 0;
+            casesByCategory[category] = [];
+        });
+        allTestCases.forEach(testCase => {
+            console.log(`TestCase id=${testCase.id}, ${automationField}=${testCase[automationField]}`);
+            const category = getCategory(testCase, options);
+            totalCounts[category] += 1;
+            casesByCategory[category].push({
+                id: testCase.id,
+                title: testCase.title,
+                sectionId: testCase.section_id,
+                priorityId: testCase.priority_id,
+                refs: testCase.refs || null
+            });
+        });
+
+        const total = allTestCases.length;
+        const percentages = {};
+        categories.forEach(category => {
+            percentages[category] = total > 0 ? (totalCounts[category] / total * 100).toFixed(1) : 0;
+        });
+
+        const automatedCategories = categories.filter(category => automatedLabels.includes(category));
+        const automatedCount = automatedCategories.reduce((sum, category) => sum + totalCounts[category], 0);
+        const overallCoverage = total > 0 ? (automatedCount / total * 100).toFixed(1) : 0;
+        console.log(`[COVERAGE] Aggregated total test cases: ${total}`);
+        console.log('[COVERAGE] Percentages:', percentages);
+
+        // 6. Per-section breakdown over the processed sections
+        const processedSections = allSections.filter(section => allFolderIdsSet.has(section.id));
+        const sectionTree = buildSectionBreakdown(processedSections, allTestCases, options, categories, automatedCategories);
+        // 7. Per-requirement breakdown over the refs of the counted cases
+        const { requirements, unreferenced } = buildRequirementBreakdown(allTestCases, options, categories, automatedCategories);
+        console.log(`[COVERAGE] TestRail API calls for this request: ${stats.calls}`);
+
+        const syncedAt = getSyncedAt(projectId, suiteId);
+        const coverage = {
+            categories,
+            automatedCategories,
+            totalCounts,
+            percentages,
+            overallCoverage,
+            casesByCategory,
+            sectionTree,
+            requirements,
+            unreferencedCases: unreferenced,
+            syncedAt,
+            warnings,
+            fieldWarnings: optionWarnings(projectId),
+            filters,
+            inclusion,
+            excludeIds,
+            resolvedSections
+        };
+
+        // 8. Cross-check against uploaded automated test results, if there are any
+        const reports = await getResultReports();
+        if (reports.length) {
+            coverage.verification = crossCheckResults(coverage, reports);
+            console.log(`[COVERAGE] Verified coverage against ${reports.length} result reports: ${coverage.verification.verifiedCoverage}%`);
+        }
+        return coverage;
+    };
+
+    /**
+     * Coverage of every team of a suite in one pass over its cases. teams are
+     * { id, name, sectionIds }; assignments are inherited down the section
+     * tree. Teams are ranked by coverage, then by the smaller candidate
+     * backlog; cases of sections no team owns are reported as unassigned.
+     */
+    const computeTeamCoverage = async ({
+        projectId,
+        suiteId,
+        teams,
+        filters = {},
+        automatedCategories: automatedLabels = automatedOptions
+    }) => {
+        const stats = { calls: 0 };
+        const allSections = await getSections(projectId, suiteId, stats);
+        const sectionIds = new Set(allSections.map(section => section.id));
+        const teamBySection = {};
+        const warnings = [];
+        teams.forEach(team => team.sectionIds.forEach(id => {
+            if (sectionIds.has(id)) {
+                teamBySection[id] = team.id;
+            } else {
+                warnings.push({ message: `Section ${id} of team "${team.name}" no longer exists` });
+            }
+        }));
+        const owners = assignTeams(allSections, teamBySection);
+
+        const [cases, options] = await Promise.all([
+            getCases(projectId, suiteId, stats),
+            getAutomationOptions(projectId, suiteId, stats)
+        ]);
+        const categories = categoryLabels(options);
+        const automatedCategories = categories.filter(category => automatedLabels.includes(category));
+        const candidateCategories = categories.filter(category => candidateOptions.includes(category));
+
+        const emptyRow = () => {
+            const counts = {};
+            categories.forEach(category => { counts[category] = 0; });
+            return { counts, total: 0 };
+        };
+        const rows = new Map(teams.map(team => [team.id, emptyRow()]));
+        const unassigned = emptyRow();
+        cases.filter(testCase => matchesFilters(testCase, filters)).forEach(testCase => {
+            const owner = owners[testCase.section_id];
+            const row = owner ? rows.get(owner) : unassigned;
+            row.counts[getCategory(testCase, options)] += 1;
+            row.total += 1;
+        });
+
+        const summarize = (row) => {
+            const automated = automatedCategories.reduce((sum, category) => sum + row.counts[category], 0);
+            return {
+                ...row,
+                automated,
+                candidates: candidateCategories.reduce((sum, category) => sum + row.counts[category], 0),
+                coverage: row.total > 0 ? (automated / row.total * 100).toFixed(1) : 0
+            };
+        };
+        const ranked = teams
+            .map(team => ({
+                id: team.id,
+                name: team.name,
+                // Every section the team owns, including inherited ones, for its chart
+                sectionIds: allSections.filter(section => owners[section.id] === team.id).map(section => section.id),
+                ...summarize(rows.get(team.id))
+            }))
+            .sort((a, b) => Number(b.coverage) - Number(a.coverage) || a.candidates - b.candidates || a.name.localeCompare(b.name));
+        console.log(`[TEAMS] Coverage of ${teams.length} teams in suite ${suiteId}, TestRail API calls: ${stats.calls}`);
+
+        return {
+            categories,
+            automatedCategories,
+            candidateCategories,
+            teams: ranked,
+            unassigned: summarize(unassigned),
+            syncedAt: getSyncedAt(projectId, suiteId),
+            warnings,
+            fieldWarnings: optionWarnings(projectId)
+        };
+    };
+
+    /**
+     * Drop cached TestRail data for one project/suite, one project or everything
+     */
+    const invalidateCache = (projectId, suiteId) => {
+        if (projectId && suiteId) {
+            testrailCache.delete(`${projectId}:${suiteId}`);
+        } else if (projectId) {
+            Array.from(testrailCache.keys())
+                .filter(key => key.startsWith(`${projectId}:`))
+                .forEach(key => testrailCache.delete(key));
+        } else {
+            testrailCache.clear();
+        }
+    };
+
+    return {
+        fetchAutomationOptions,
+        getCategory,
+        getCacheEntry,
+        getSections,
+        getAutomationOptions,
+        getCases,
+        getSyncedAt,
+        invalidateCache,
+        computeCoverage,
+        computeTeamCoverage
+    };
+};
+
+module.exports = {
+    UNSET_CATEGORY,
+    unsetCategory,
+    categoryLabels,
+    INCLUSION_POLICIES,
+    DEFAULT_INCLUSION,
+    parseDropdownItems,
+    parseRefs,
+    matchesFilters,
+    buildTree,
+    assignTeams,
+    resolveSections,
+    createCoverageService
+};
@@ -0,0 +1,133 @@
+// backend/metrics.js
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'mycoverage_' });
+
+const testrailRequests = new client.Counter({
+    name: 'mycoverage_testrail_requests_total',
+    help: 'HTTP requests sent to the TestRail API, including retries',
+    labelNames: ['method', 'endpoint', 'status'],
+    registers: [register]
+});
+const testrailDuration = new client.Histogram({
+    name: 'mycoverage_testrail_request_duration_seconds',
+    help: 'Latency of TestRail API requests',
+    labelNames: ['method', 'endpoint'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+});
+const httpRequests = new client.Counter({
+    name: 'mycoverage_http_requests_total',
+    help: 'Requests handled by the /api/testrail routes',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+const httpDuration = new client.Histogram({
+    name: 'mycoverage_http_request_duration_seconds',
+    help: 'Latency of the /api/testrail routes',
+    labelNames: ['method', 'route'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [register]
+});
+const coverageCases = new client.Gauge({
+    name: 'mycoverage_cases',
+    help: 'Test cases per automation category of a monitored selection',
+    labelNames: ['chart', 'selection', 'category'],
+    registers: [register]
+});
+const coverageShare = new client.Gauge({
+    name: 'mycoverage_category_percent',
+    help: 'Share of the test cases of a monitored selection in each automation category',
+    labelNames: ['chart', 'selection', 'category'],
+    registers: [register]
+});
+const coveragePercent = new client.Gauge({
+    name: 'mycoverage_coverage_percent',
+    help: 'Automation coverage of a monitored selection',
+    labelNames: ['chart', 'selection'],
+    registers: [register]
+});
+const refreshTimestamp = new client.Gauge({
+    name: 'mycoverage_selection_refresh_timestamp_seconds',
+    help: 'Last successful coverage refresh of a monitored selection',
+    labelNames: ['chart', 'selection'],
+    registers: [register]
+});
+const refreshErrors = new client.Counter({
+    name: 'mycoverage_selection_refresh_errors_total',
+    help: 'Failed coverage refreshes of a monitored selection',
+    labelNames: ['chart', 'selection'],
+    registers: [register]
+});
+
+/**
+ * onRequest hook for the TestRail client
+ */
+const recordTestRailRequest = ({ method, endpoint, status, durationMs }) => {
+    testrailRequests.inc({ method: method.toUpperCase(), endpoint, status: String(status) });
+    testrailDuration.observe({ method: method.toUpperCase(), endpoint }, durationMs / 1000);
+};
+
+/**
+ * Express middleware timing every request it sees; the route label is the
+ * matched route pattern so IDs do not explode the label set
+ */
+const httpMetricsMiddleware = (req, res, next) => {
+    const endTimer = httpDuration.startTimer();
+    res.on('finish', () => {
+        const route = req.route ? req.route.path : 'unmatched';
+        endTimer({ method: req.method, route });
+        httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+    });
+    next();
+};
+
+// Name and categories last exported per saved chart ID, so stale series can be dropped
+const exportedCharts = new Map();
+
+/**
+ * Drop the coverage series of a saved chart that is no longer monitored.
+ * Series are keyed by chart ID; the chart name is only a label, since
+ * names need not be unique across users.
+ */
+const removeCoverageMetrics = (chart) => {
+    const exported = exportedCharts.get(chart);
+    if (!exported) return;
+    const selection = exported.name;
+    exported.categories.forEach(category => {
+        coverageCases.remove({ chart, selection, category });
+        coverageShare.remove({ chart, selection, category });
+    });
+    coveragePercent.remove({ chart, selection });
+    refreshTimestamp.remove({ chart, selection });
+    exportedCharts.delete(chart);
+};
+
+/**
+ * Export the coverage of one monitored saved chart
+ */
+const setCoverageMetrics = (chart, selection, coverage) => {
+    removeCoverageMetrics(chart);
+    coverage.categories.forEach(category => {
+        coverageCases.set({ chart, selection, category }, coverage.totalCounts[category]);
+        coverageShare.set({ chart, selection, category }, Number(coverage.percentages[category]));
+    });
+    coveragePercent.set({ chart, selection }, Number(coverage.overallCoverage));
+    refreshTimestamp.set({ chart, selection }, Date.now() / 1000);
+    exportedCharts.set(chart, { name: selection, categories: coverage.categories });
+};
+
+const recordRefreshError = (chart, selection) => refreshErrors.inc({ chart, selection });
+
+const monitoredCharts = () => Array.from(exportedCharts.keys());
+
+module.exports = {
+    register,
+    recordTestRailRequest,
+    httpMetricsMiddleware,
+    setCoverageMetrics,
+    removeCoverageMetrics,
+    recordRefreshError,
+    monitoredCharts
+};
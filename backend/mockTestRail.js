@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// backend/mockTestRail.js
+// Local stand-in for the parts of the TestRail API v2 this app uses, serving
+// JSON fixtures. Used for offline demos (npm run start:mock) and by the tests.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'testrail.json');
+// TestRail never returns more than 250 items per page
+const MAX_PAGE_SIZE = 250;
+
+const loadFixtures = (filePath = DEFAULT_FIXTURES) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * One page of a list endpoint in the format of TestRail 6.7+
+ */
+const paginate = (apiPath, params, key, items) => {
+    const offset = Math.max(0, Number(params.get('offset') || 0));
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(params.get('limit') || MAX_PAGE_SIZE)));
+    const page = items.slice(offset, offset + limit);
+    const link = (pageOffset) => {
+        const linkParams = new URLSearchParams(params);
+        linkParams.set('offset', pageOffset);
+        linkParams.set('limit', limit);
+        return `/api/v2/${apiPath}&${decodeURIComponent(linkParams.toString())}`;
+    };
+    return {
+        offset,
+        limit,
+        size: page.length,
+        _links: {
+            next: offset + limit < items.length ? link(offset + limit) : null,
+            prev: offset > 0 ? link(Math.max(0, offset - limit)) : null
+        },
+        [key]: page
+    };
+};
+
+/**
+ * Create the mock as an Express app. fixtures holds flat lists of projects,
+ * suites (with project_id), sections and cases (with suite_id), caseFields,
+ * priorities, caseTypes and templates; they are copied, so update_cases does
+ * not change the caller's object. When fixtures list users as
+ * { email, apiKey }, calls need Basic auth of one of them like the real API;
+ * without users any credentials are accepted. With rateLimitEvery set,
+ * every Nth API call is answered with 429 and a Retry-After of retryAfterSeconds;
+ * with delayMs set, every answer is held back that long like a slow instance.
+ * app.locals.requests lists the API paths that were called,
+ * app.locals.callers the account email of each of them and app.locals.data
+ * the current copy of the fixtures.
+ */
+const createMockTestRail = (fixtures, { rateLimitEvery = 0, retryAfterSeconds = 1, delayMs = 0 } = {}) => {
+    const data = JSON.parse(JSON.stringify(fixtures));
+    const app = express();
+    app.use(express.json());
+    app.locals.requests = [];
+    app.locals.callers = [];
+    app.locals.data = data;
+
+    const findSuite = (params) => {
+        const suiteId = Number(params.get('suite_id'));
+        const suite = (data.suites || []).find(s => s.id === suiteId);
+        if (!suite) {
+            throw new ApiError(400, 'Field :suite_id is not a valid test suite.');
+        }
+        return suite;
+    };
+
+    const handlers = {
+        get_projects: (ids, params, apiPath) => paginate(apiPath, params, 'projects', data.projects || []),
+        get_suites: ([projectId]) => (data.suites || []).filter(s => s.project_id === Number(projectId)),
+        get_sections: (ids, params, apiPath) => {
+            const suite = findSuite(params);
+            return paginate(apiPath, params, 'sections', (data.sections || []).filter(s => s.suite_id === suite.id));
+        },
+        get_cases: (ids, params, apiPath) => {
+            const suite = findSuite(params);
+            const sectionId = params.get('section_id');
+            const updatedAfter = params.get('updated_after');
+            const cases = (data.cases || []).filter(c => c.suite_id === suite.id
+                && (!sectionId || c.section_id === Number(sectionId))
+                && (!updatedAfter || c.updated_on > Number(updatedAfter)));
+            return paginate(apiPath, params, 'cases', cases);
+        },
+        get_case_fields: () => data.caseFields || [],
+        get_priorities: () => data.priorities || [],
+        get_case_types: () => data.caseTypes || [],
+        get_templates: () => data.templates || [],
+        update_cases: ([suiteId], params, apiPath, requestBody) => {
+            const { case_ids: caseIds = [], ...fields } = requestBody || {};
+            const updated = (data.cases || []).filter(c => c.suite_id === Number(suiteId) && caseIds.includes(c.id));
+            // Like TestRail, the whole call fails when one case is unknown
+            if (updated.length !== new Set(caseIds).size) {
+                throw new ApiError(400, 'Field :case_ids contains one or more invalid test cases.');
+            }
+            const now = Math.floor(Date.now() / 1000);
+            updated.forEach(testCase => Object.assign(testCase, fields, { updated_on: now }));
+            return { updated_cases: updated };
+        }
+    };
+
+    // Every API call is /index.php?/api/v2/<method>/<ids>&<params>
+    app.all('/index.php', (req, res) => {
+        const query = req.originalUrl.slice(req.originalUrl.indexOf('?') + 1);
+        const [route, ...rest] = query.split('&');
+        const apiPath = route.replace(/^\/api\/v2\//, '');
+        const [method, ...ids] = apiPath.split('/');
+        const params = new URLSearchParams(rest.join('&'));
+        const header = req.get('Authorization') || '';
+        const [email, ...key] = Buffer.from(header.replace(/^Basic /, ''), 'base64').toString('utf8').split(':');
+        app.locals.requests.push(query);
+        app.locals.callers.push(email);
+
+        const users = data.users || [];
+        if (users.length && !users.some(user => user.email === email && user.apiKey === key.join(':'))) {
+            return res.status(401).json({ error: 'Authentication failed: invalid or missing user/password or session cookie.' });
+        }
+        if (rateLimitEvery > 0 && app.locals.requests.length % rateLimitEvery === 0) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({ error: 'API Rate Limit Exceeded' });
+        }
+        const handler = handlers[method];
+        const isWrite = method.startsWith('update_');
+        if (!handler || isWrite !== (req.method === 'POST')) {
+            return res.status(400).json({ error: `Unknown method ${req.method} ${method}` });
+        }
+        const answer = () => {
+            try {
+                res.json(handler(ids, params, apiPath, req.body));
+            } catch (error) {
+                if (!(error instanceof ApiError)) throw error;
+                res.status(error.status).json({ error: error.message });
+            }
+        };
+        if (delayMs > 0) {
+            setTimeout(answer, delayMs);
+        } else {
+            answer();
+        }
+    });
+    return app;
+};
+
+/**
+ * Start the mock on a port; resolves to the http.Server once it listens
+ */
+const startMockTestRail = (port, fixtures, options) => new Promise((resolve, reject) => {
+    const server = createMockTestRail(fixtures, options).listen(port, () => resolve(server));
+    server.on('error', reject);
+});
+
+if (require.main === module) {
+    const { parseArgs } = require('util');
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: process.env.MOCK_TESTRAIL_PORT || '5099' },
+            fixtures: { type: 'string', default: process.env.MOCK_TESTRAIL_FIXTURES || DEFAULT_FIXTURES },
+            'rate-limit-every': { type: 'string', default: process.env.MOCK_TESTRAIL_RATE_LIMIT_EVERY || '0' },
+            'retry-after': { type: 'string', default: '1' },
+            'delay-ms': { type: 'string', default: process.env.MOCK_TESTRAIL_DELAY_MS || '0' }
+        }
+    });
+    startMockTestRail(Number(values.port), loadFixtures(values.fixtures), {
+        rateLimitEvery: Number(values['rate-limit-every']),
+        retryAfterSeconds: Number(values['retry-after']),
+        delayMs: Number(values['delay-ms'])
+    }).then(() => {
+        console.log(`[MOCK] TestRail stand-in with ${values.fixtures} on http://localhost:${values.port}`);
+    }).catch(error => {
+        console.error('[MOCK] Could not start:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { DEFAULT_FIXTURES, MAX_PAGE_SIZE, loadFixtures, createMockTestRail, startMockTestRail };
@@ -0,0 +1,245 @@
+// backend/pdfReport.js
+const PDFDocument = require('pdfkit');
+// Shared with the frontend charts
+const { fixed: fixedColors, extra: extraColors } = require('mycoverage-shared/categoryPalette.json');
+
+// Same lookup as frontend/src/categoryColors.js
+const getCategoryColor = (category, categories) => {
+    if (fixedColors[category]) return fixedColors[category];
+    const others = categories.filter(c => !fixedColors[c]);
+    return extraColors[others.indexOf(category) % extraColors.length];
+};
+
+const PRIMARY_COLOR = '#6952dc';
+const MARGIN = 50;
+
+// The built-in Helvetica only covers Latin-1, so section and case titles in
+// other scripts need an embedded font. DejaVu Sans covers Cyrillic, Greek and
+// many more; PDF_FONT and PDF_BOLD_FONT point to other TTF files, e.g. for CJK.
+const FONT_FILES = {
+    Regular: process.env.PDF_FONT || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+    Bold: process.env.PDF_BOLD_FONT || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+};
+
+/**
+ * Vector donut chart of category shares, with a legend to its right
+ */
+const drawPieChart = (doc, coverage, x, y, radius) => {
+    const { categories, totalCounts } = coverage;
+    const total = categories.reduce((sum, category) => sum + totalCounts[category], 0);
+    const cx = x + radius;
+    const cy = y + radius;
+
+    if (total === 0) {
+        doc.circle(cx, cy, radius).fill('#eeeeee');
+    } else {
+        let angle = -Math.PI / 2;
+        categories.filter(category => totalCounts[category] > 0).forEach(category => {
+            const share = totalCounts[category] / total;
+            const color = getCategoryColor(category, categories);
+            if (share >= 1) {
+                doc.circle(cx, cy, radius).fill(color);
+                return;
+            }
+            const end = angle + share * 2 * Math.PI;
+            const x1 = cx + radius * Math.cos(angle);
+            const y1 = cy + radius * Math.sin(angle);
+            const x2 = cx + radius * Math.cos(end);
+            const y2 = cy + radius * Math.sin(end);
+            const largeArc = share > 0.5 ? 1 : 0;
+            doc.path(`M ${cx} ${cy} L ${x1} ${y1} A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2} Z`).fill(color);
+            angle = end;
+        });
+    }
+    doc.circle(cx, cy, radius * 0.55).fill('#ffffff');
+    doc.fillColor('#000000').font('Bold').fontSize(14)
+        .text(`${coverage.overallCoverage}%`, cx - radius * 0.5, cy - 8, { width: radius, align: 'center' });
+
+    // Legend
+    let legendY = y + 10;
+    categories.forEach(category => {
+        doc.rect(x + radius * 2 + 20, legendY, 10, 10).fill(getCategoryColor(category, categories));
+        doc.fillColor('#333333').font('Regular').fontSize(10)
+            .text(`${category}: ${coverage.percentages[category]}%`, x + radius * 2 + 36, legendY, { lineBreak: false });
+        legendY += 16;
+    });
+};
+
+/**
+ * Vector horizontal bar chart of case counts per category
+ */
+const drawBarChart = (doc, coverage, x, y, width) => {
+    const { categories, totalCounts } = coverage;
+    const max = Math.max(1, ...categories.map(category => totalCounts[category]));
+    const labelWidth = 130;
+    const barHeight = 14;
+    categories.forEach((category, idx) => {
+        const rowY = y + idx * (barHeight + 6);
+        const barWidth = (width - labelWidth - 50) * totalCounts[category] / max;
+        doc.fillColor('#333333').font('Regular').fontSize(10)
+            .text(category, x, rowY + 2, { width: labelWidth - 8, align: 'right', lineBreak: false, ellipsis: true });
+        if (barWidth > 0) {
+            doc.rect(x + labelWidth, rowY, barWidth, barHeight).fill(getCategoryColor(category, categories));
+        }
+        doc.fillColor('#333333').text(String(totalCounts[category]), x + labelWidth + barWidth + 6, rowY + 2, { lineBreak: false });
+    });
+    return y + categories.length * (barHeight + 6);
+};
+
+/**
+ * Simple paginated table; the header row is repeated on every page
+ */
+const drawTable = (doc, columns, rows) => {
+    const bottom = doc.page.height - MARGIN;
+    const drawHeader = () => {
+        const headerY = doc.y;
+        let x = MARGIN;
+        doc.font('Bold').fontSize(9).fillColor('#000000');
+        columns.forEach(column => {
+            doc.text(column.label, x, headerY, { width: column.width, lineBreak: false });
+            x += column.width;
+        });
+        doc.x = MARGIN;
+        doc.y = headerY + doc.currentLineHeight();
+        doc.moveDown(0.3);
+        doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).strokeColor('#dadce0').stroke();
+        doc.moveDown(0.3);
+    };
+
+    drawHeader();
+    doc.font('Regular').fontSize(9).fillColor('#333333');
+    rows.forEach(row => {
+        const height = Math.max(...columns.map((column, idx) =>
+            doc.heightOfString(String(row[idx]), { width: column.width - 6 })));
+        if (doc.y + height > bottom) {
+            doc.addPage();
+            drawHeader();
+            doc.font('Regular').fontSize(9).fillColor('#333333');
+        }
+        const rowY = doc.y;
+        let x = MARGIN;
+        columns.forEach((column, idx) => {
+            doc.text(String(row[idx]), x, rowY, { width: column.width - 6 });
+            x += column.width;
+        });
+        doc.y = rowY + height + 3;
+    });
+    doc.x = MARGIN;
+};
+
+const sectionHeading = (doc, text) => {
+    if (doc.y > doc.page.height - MARGIN - 60) {
+        doc.addPage();
+    }
+    doc.moveDown(0.8);
+    doc.x = MARGIN;
+    doc.font('Bold').fontSize(12).fillColor(PRIMARY_COLOR).text(text);
+    doc.moveDown(0.3);
+};
+
+/**
+ * One or more pages for a single chart definition
+ */
+const writeChart = (doc, chart) => {
+    const { coverage } = chart;
+    const contentWidth = doc.page.width - MARGIN * 2;
+    doc.addPage();
+    doc.font('Bold').fontSize(18).fillColor(PRIMARY_COLOR).text(chart.title.toUpperCase());
+    doc.moveDown(0.3);
+    doc.font('Regular').fontSize(11).fillColor('#444444')
+        .text(`Overall Automation Coverage: ${coverage.overallCoverage}%`);
+    if (coverage.verification) {
+        doc.text(`Verified Coverage: ${coverage.verification.verifiedCoverage}% (marked automated and present in uploaded test results)`);
+    }
+    if (chart.filterSummary) {
+        doc.fontSize(9).text(`Filters: ${chart.filterSummary}`);
+    }
+    if (coverage.syncedAt) {
+        doc.fontSize(9).fillColor('#666666').text(`Data synced with TestRail: ${new Date(coverage.syncedAt).toUTCString()}`);
+    }
+    if (coverage.warnings && coverage.warnings.length) {
+        doc.fontSize(9).fillColor('#b36b00').text(`Incomplete data: ${coverage.warnings.map(w => w.message).join('; ')}`);
+    }
+    if (coverage.fieldWarnings && coverage.fieldWarnings.length) {
+        doc.fontSize(9).fillColor('#666666').text(`Automation field: ${coverage.fieldWarnings.map(w => w.message).join('; ')}`);
+    }
+
+    const chartsY = doc.y + 15;
+    drawPieChart(doc, coverage, MARGIN, chartsY, 70);
+    const barsBottom = drawBarChart(doc, coverage, MARGIN, chartsY + 160, contentWidth);
+    doc.x = MARGIN;
+    doc.y = barsBottom + 10;
+
+    sectionHeading(doc, 'Totals');
+    const total = coverage.categories.reduce((sum, category) => sum + coverage.totalCounts[category], 0);
+    drawTable(doc,
+        [{ label: 'Category', width: 250 }, { label: 'Test Cases', width: 120 }, { label: 'Share', width: 120 }],
+        coverage.categories.map(category => [category, coverage.totalCounts[category], `${coverage.percentages[category]}%`])
+            .concat([['Total', total, '100%']]));
+
+    if (coverage.requirements && coverage.requirements.length) {
+        const uncovered = coverage.requirements.filter(requirement => requirement.automated === 0).length;
+        sectionHeading(doc, `Coverage by Requirement (${coverage.requirements.length}, ${uncovered} without automation)`);
+        // Requirements without automation first, then by coverage
+        const requirements = [...coverage.requirements].sort((a, b) => Number(a.coverage) - Number(b.coverage));
+        drawTable(doc,
+            [{ label: 'Requirement', width: 175 }, { label: 'Test Cases', width: 80 }, { label: 'Automated', width: 80 }, { label: 'Coverage', width: contentWidth - 335 }],
+            requirements.map(requirement => [
+                requirement.ref,
+                requirement.total,
+                requirement.automated,
+                requirement.automated === 0 ? '0% (no automation)' : `${requirement.coverage}%`
+            ]));
+        if (coverage.unreferencedCases) {
+            doc.font('Regular').fontSize(9).fillColor('#666666')
+                .text(`${coverage.unreferencedCases} test cases have no references.`, { width: contentWidth });
+        }
+    }
+
+    sectionHeading(doc, `Applied Sections (${coverage.resolvedSections.length})`);
+    doc.font('Regular').fontSize(9).fillColor('#333333');
+    coverage.resolvedSections.forEach(section => {
+        if (doc.y > doc.page.height - MARGIN - 12) doc.addPage();
+        doc.text(section.path, { width: contentWidth });
+    });
+
+    const pathById = {};
+    coverage.resolvedSections.forEach(section => { pathById[section.id] = section.path; });
+    coverage.categories
+        .filter(category => !coverage.automatedCategories.includes(category))
+        .filter(category => coverage.casesByCategory[category].length > 0)
+        .forEach(category => {
+            sectionHeading(doc, `${category} Test Cases (${coverage.casesByCategory[category].length})`);
+            drawTable(doc,
+                [{ label: 'ID', width: 60 }, { label: 'Title', width: 250 }, { label: 'Section', width: contentWidth - 310 }],
+                coverage.casesByCategory[category].map(tc => [`C${tc.id}`, tc.title, pathById[tc.sectionId] || '']));
+        });
+};
+
+/**
+ * Stream a coverage report for computed charts into a writable stream.
+ * Each chart is { title, filterSummary, coverage } where coverage is the
+ * result of computeCoverage.
+ */
+const writeCoverageReport = (stream, { title, charts }) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, autoFirstPage: true, info: { Title: title } });
+    Object.entries(FONT_FILES).forEach(([name, file]) => doc.registerFont(name, file));
+    doc.pipe(stream);
+
+    // Title page
+    doc.moveDown(8);
+    doc.font('Bold').fontSize(28).fillColor(PRIMARY_COLOR).text(title, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Regular').fontSize(12).fillColor('#444444')
+        .text(`Generated ${new Date().toUTCString()}`, { align: 'center' });
+    doc.moveDown(2);
+    charts.forEach((chart, idx) => {
+        doc.fontSize(12).fillColor('#333333')
+            .text(`${idx + 1}. ${chart.title} — ${chart.coverage.overallCoverage}% automated`, { align: 'center' });
+    });
+
+    charts.forEach(chart => writeChart(doc, chart));
+    doc.end();
+};
+
+module.exports = { writeCoverageReport };
@@ -0,0 +1,66 @@
+// backend/scheduledReports.js
+const fs = require('fs');
+const cronParser = require('cron-parser');
+const { writeCoverageReport } = require('./pdfReport');
+const { buildExportTables, toCsv } = require('./spreadsheetExport');
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+/**
+ * First time a cron expression fires after the given date, in the given IANA timezone
+ */
+const nextRunAt = (cron, timezone, after) =>
+    cronParser.parseExpression(cron, { currentDate: after, tz: timezone || undefined }).next().toDate();
+
+const isValidCron = (cron) => {
+    try {
+        cronParser.parseExpression(cron);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Write a report of computed charts to filePath. Each chart is
+ * { title, filterSummary, definition, coverage }; priorities are needed for CSV.
+ * The file appears under its final name only once it is complete.
+ */
+const writeReportFile = async (filePath, format, { title, charts, priorities, testrailUrl }) => {
+    const tmpPath = `${filePath}.tmp`;
+    if (format === 'json') {
+        const report = {
+            title,
+            generatedAt: new Date().toISOString(),
+            charts: charts.map(({ title: chartTitle, filterSummary, definition, coverage }) =>
+                ({ title: chartTitle, filterSummary, definition, coverage }))
+        };
+        await fs.promises.writeFile(tmpPath, JSON.stringify(report, null, 2));
+    } else if (format === 'csv') {
+        // One block per table, prefixed with the chart it belongs to
+        const tables = [].concat(...charts.map(chart =>
+            buildExportTables(chart.coverage, { priorities, testrailUrl })
+                .map(table => ({ ...table, name: `${chart.title}: ${table.name}` }))));
+        // BOM so Excel opens UTF-8 titles correctly
+        await fs.promises.writeFile(tmpPath, '\ufeff' + toCsv(tables));
+    } else {
+        await new Promise((resolve, reject) => {
+            const stream = fs.createWriteStream(tmpPath);
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+            writeCoverageReport(stream, { title, charts });
+        });
+    }
+    await fs.promises.rename(tmpPath, filePath);
+};
+
+module.exports = { REPORT_FORMATS, nextRunAt, isValidCron, isValidTimezone, writeReportFile };
@@ -1,11 +1,39 @@
 // backend/server.js
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createStore, dataDir } = require('./store');
+const { createTestRailClient, isCancelled } = require('./testrailClient');
+const { writeCoverageReport } = require('./pdfReport');
+const { buildExportTables, toCsv, writeXlsx } = require('./spreadsheetExport');
+const { parseTestReport } = require('./testResults');
+const { BADGE_COLORS, colorForCoverage, renderBadge } = require('./badge');
+const { WEBHOOK_FORMATS, metricValue, evaluateRule, buildAlertPayload, isAllowedWebhook, sendAlert } = require('./alerts');
+const { packCaseCategories, sideFromSnapshot, sideFromCoverage, diffCoverage } = require('./compare');
+const { REPORT_FORMATS, nextRunAt, isValidCron, isValidTimezone, writeReportFile } = require('./scheduledReports');
+const { AUTH_MODES, MIN_PASSWORD_LENGTH, publicUser, createAuth } = require('./auth');
+const { createAuditLog } = require('./audit');
+const {
+    register: metricsRegister,
+    recordTestRailRequest,
+    httpMetricsMiddleware,
+    setCoverageMetrics,
+    removeCoverageMetrics,
+    recordRefreshError,
+    monitoredCharts
+} = require('./metrics');
+const {
+    INCLUSION_POLICIES,
+    DEFAULT_INCLUSION,
+    categoryLabels,
+    buildTree,
+    createCoverageService
+} = require('./coverage');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -26,6 +54,50 @@ app.options('*', (req, res) => {
     res.sendStatus(200);
 });
 
+// Bearer token Prometheus sends to scrape /metrics
+const metricsToken = process.env.METRICS_TOKEN || '';
+
+/**
+ * /metrics lists saved charts and their coverage, so it needs METRICS_TOKEN
+ * when one is set, and otherwise an admin session when login is enabled
+ */
+const requireMetricsAccess = async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    if (metricsToken) {
+        const given = Buffer.from(token);
+        const expected = Buffer.from(metricsToken);
+        const matches = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        return matches ? next() : res.status(401).json({ error: 'A valid METRICS_TOKEN is required' });
+    }
+    if (authMode === 'none') return next();
+    try {
+        const user = token ? await auth.authenticate(token) : null;
+        if (!user || user.role !== 'admin') {
+            return res.status(401).json({ error: 'Set METRICS_TOKEN or sign in as an admin to read metrics' });
+        }
+        next();
+    } catch (error) {
+        console.error('[METRICS] Error reading session:', error.message);
+        res.status(500).json({ error: 'Error reading session', details: error.message });
+    }
+};
+
+/**
+ * Prometheus scrape endpoint; registered before the rate limiter so scrapes are never throttled
+ */
+app.get('/metrics', requireMetricsAccess, async (req, res) => {
+    try {
+        res.set('Content-Type', metricsRegister.contentType);
+        res.end(await metricsRegister.metrics());
+    } catch (error) {
+        console.error('[METRICS] Error collecting metrics:', error.message);
+        res.status(500).end();
+    }
+});
+
+app.use('/api/testrail', httpMetricsMiddleware);
+
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -34,225 +106,2377 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Configuration
-const projectId = process.env.TESTRAIL_PROJECT_ID || 1;
-const suiteId = process.env.TESTRAIL_SUITE_ID || 1;
-const testrailUrl = process.env.TESTRAIL_URL || 'https://tealium.testrail.io';
-const userEmail = process.env.TESTRAIL_USER_EMAIL || 'your-email@example.com';
-const apiKey = process.env.TESTRAIL_API_KEY || 'your_api_key';
-const authToken = Buffer.from(`${userEmail}:${apiKey}`).toString('base64');
-
-/**
- * Fetch all sections with pagination
- */
-const fetchAllSections = async () => {
-    let allSections = [];
-    let offset = 0;
-    const limit = 250;
-    let fetched = 0;
-    do {
-        const url = `${testrailUrl}/index.php?/api/v2/get_sections/${projectId}&suite_id=${suiteId}&offset=${offset}&limit=${limit}`;
-        console.log(`[SECTIONS] Fetching sections with offset=${offset} and limit=${limit}`);
-        const response = await axios.get(url, {
-            headers: { 'Authorization': `Basic ${authToken}` }
-        });
-        const sectionsBatch = response.data.sections;
-        if (!sectionsBatch || !Array.isArray(sectionsBatch)) {
-            throw new Error('Sections data is not an array');
-        }
-        allSections = allSections.concat(sectionsBatch);
-        fetched = sectionsBatch.length;
-        offset += fetched;
-    } while (fetched === limit);
-    return allSections;
+const {
+    defaultProjectId,
+    defaultSuiteId,
+    testrailUrl,
+    testrailClientOptions,
+    automationField,
+    automatedOptions,
+    candidateOptions,
+    cacheTtlMs,
+    cacheFullRefreshMs
+} = require('./config');
+// Coverage snapshots per saved section selection
+const historyStore = createStore('history.json', { selections: [] });
+// Snapshots per selection that keep the category of every case for comparisons
+const historyCasesKept = Number(process.env.HISTORY_CASES_KEPT || 30);
+// Saved chart definitions
+const chartsStore = createStore('charts.json', { charts: [] });
+// Uploaded automated test results (JUnit/xUnit), reduced to the case IDs they cover
+const resultsStore = createStore('results.json', { reports: [] });
+// How often coverage gauges of saved charts are recomputed for /metrics (0 disables)
+const metricsRefreshMs = Number(process.env.METRICS_REFRESH_SECONDS || 300) * 1000;
+// Saved chart IDs to export on /metrics; all saved charts when empty
+const metricsChartIds = (process.env.METRICS_CHARTS || '').split(',').map(id => id.trim()).filter(Boolean);
+// Alert rules with the state of their last check
+const alertsStore = createStore('alerts.json', { rules: [] });
+// How often alert rules are checked (0 disables the scheduler)
+const alertCheckMs = Number(process.env.ALERT_CHECK_SECONDS || 900) * 1000;
+// Default receiver and body format of alerts; rules may override both
+const alertWebhookUrl = process.env.ALERT_WEBHOOK_URL || '';
+const alertWebhookFormat = WEBHOOK_FORMATS.includes(process.env.ALERT_WEBHOOK_FORMAT) ? process.env.ALERT_WEBHOOK_FORMAT : 'json';
+// Hosts that rules may send alerts to besides ALERT_WEBHOOK_URL, e.g. hooks.slack.com
+const alertWebhookHosts = (process.env.ALERT_WEBHOOK_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const webhookPolicy = { defaultUrl: alertWebhookUrl, allowedHosts: alertWebhookHosts };
+// Public address of the frontend, used for links in alerts
+const appUrl = (process.env.APP_URL || '').replace(/\/+$/, '');
+// Report schedules and their past runs; the files live in reportsDir
+const reportsStore = createStore('reports.json', { schedules: [], runs: [] });
+const reportsDir = process.env.REPORTS_DIR || path.join(dataDir, 'reports');
+// Past runs kept per schedule before the oldest files are deleted
+const reportRunsKept = Number(process.env.REPORT_RUNS_KEPT || 20);
+// Teams and the sections they own; shared by all users, unlike saved charts
+const teamsStore = createStore('teams.json', { teams: [] });
+// Coverage below the first value makes a badge red, below the second yellow
+const badgeThresholds = (process.env.BADGE_THRESHOLDS || '50,80').split(',').map(Number);
+// 'local' requires every API call to carry a session token of a local account
+const authMode = AUTH_MODES.includes(process.env.AUTH_MODE) ? process.env.AUTH_MODE : 'none';
+if (authMode !== 'none' && !process.env.AUTH_SECRET) {
+    throw new Error('AUTH_SECRET must be set when AUTH_MODE is ' + authMode);
+}
+// Accounts with their encrypted TestRail API keys, and open sessions
+const usersStore = createStore('users.json', { users: [] });
+const sessionsStore = createStore('sessions.json', { sessions: [] });
+const auth = authMode === 'none' ? null : createAuth({
+    usersStore,
+    sessionsStore,
+    secret: process.env.AUTH_SECRET,
+    sessionTtlMs: Number(process.env.AUTH_SESSION_HOURS || 12) * 60 * 60 * 1000
+});
+// Without it only the first account can sign itself up; admins can always add accounts
+const allowSignup = process.env.AUTH_ALLOW_SIGNUP === 'true';
+// Who changed what: saved data, TestRail writes and account events
+const auditLog = createAuditLog('audit.log');
+
+/**
+ * TestRail client with the cached data and coverage aggregation of one
+ * account (shared with the CLI). Uploaded results are those of ownerId.
+ */
+const createServices = (authToken, ownerId) => {
+    const testrail = createTestRailClient({ ...testrailClientOptions, authToken, onRequest: recordTestRailRequest });
+    return {
+        testrail,
+        ...createCoverageService({
+            testrail,
+            automationField,
+            automatedOptions,
+            candidateOptions,
+            cacheTtlMs,
+            cacheFullRefreshMs,
+            getResultReports: async () => (await resultsStore.read()).reports.filter(report => (report.ownerId || null) === ownerId)
+        })
+    };
+};
+
+// The account from TESTRAIL_USER_EMAIL/TESTRAIL_API_KEY, used when AUTH_MODE is none
+const sharedServices = authMode === 'none' ? createServices(testrailClientOptions.authToken, null) : null;
+// Services of signed-in users, replaced when a user changes their API key
+const userServices = new Map();
+
+/**
+ * Services that call TestRail on behalf of a user, or null while the user
+ * has not stored an API key
+ */
+const servicesFor = (user) => {
+    if (!user) return sharedServices;
+    if (!user.testrailKey) return null;
+    const cached = userServices.get(user.id);
+    if (cached && cached.key === user.testrailKey.data) return cached.services;
+    const services = createServices(auth.testrailAuthToken(user), user.id);
+    userServices.set(user.id, { key: user.testrailKey.data, services });
+    return services;
+};
+
+/**
+ * Services of the owner of saved data, for background jobs and public
+ * embeds. Throws when the owner is gone or has no API key.
+ */
+const servicesOfOwner = async (ownerId) => {
+    if (authMode === 'none') return sharedServices;
+    const owner = ownerId ? await auth.getUser(ownerId) : null;
+    const services = owner && servicesFor(owner);
+    if (!services) {
+        throw new Error('The owner of this item has no TestRail API key');
+    }
+    return services;
+};
+
+/**
+ * Whether saved data belongs to an account, i.e. is visible to and
+ * changeable by it. Without login everything belongs to everyone.
+ */
+const isOwnedBy = (ownerId) => (item) => authMode === 'none' || item.ownerId === ownerId;
+
+const ownerIdOf = (req) => (req.user ? req.user.id : null);
+
+/**
+ * Record a change made through the API in the audit log
+ */
+const audit = (req, action, target, details) => auditLog.record({ user: req.user, action, target, details });
+
+// Reachable without a session: signing in, and badges of saved charts
+const PUBLIC_PATHS = ['/auth/config', '/auth/login', '/auth/register', '/coverage/badge.svg'];
+
+/**
+ * Resolve the session of an API request into req.user and the TestRail
+ * services to use into req.services. The embed summary of a saved chart is
+ * public like its badge; both are computed with the chart owner's account.
+ */
+const attachUser = async (req, res, next) => {
+    req.user = null;
+    req.services = sharedServices;
+    if (authMode === 'none') return next();
+    const header = req.get('Authorization') || '';
+    req.token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    try {
+        req.user = req.token ? await auth.authenticate(req.token) : null;
+    } catch (error) {
+        console.error('[AUTH] Error reading session:', error.message);
+        return res.status(500).json({ error: 'Error reading session', details: error.message });
+    }
+    const isPublic = PUBLIC_PATHS.includes(req.path) || (req.path === '/coverage/summary' && req.query.saved);
+    if (!req.user && !isPublic) {
+        return res.status(401).json({ error: 'Sign in to use this endpoint' });
+    }
+    req.services = servicesFor(req.user);
+    next();
+};
+app.use('/api', attachUser);
+
+/**
+ * Routes that call TestRail need an API key of the signed-in user
+ */
+const requireTestRail = (req, res, next) => {
+    if (!req.services) {
+        return res.status(409).json({ error: 'Add your TestRail API key in Account settings first' });
+    }
+    next();
 };
 
 /**
- * Build a tree of sections based on parent_id (for display)
+ * Routes only admins may use
  */
-const buildTree = (sections) => {
-    const sectionMap = {};
-    sections.forEach(section => {
-        sectionMap[section.id] = { ...section, children: [] };
+const requireAdmin = (req, res, next) => {
+    if (authMode !== 'none' && req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can do this' });
+    }
+    next();
+};
+
+/**
+ * Auth endpoints other than the config only exist with login enabled
+ */
+const requireAuthMode = (req, res, next) => {
+    if (authMode === 'none') {
+        return res.status(404).json({ error: 'Login is disabled on this server (AUTH_MODE=none)' });
+    }
+    next();
+};
+
+/**
+ * Hand data saved before login was enabled to the first account
+ */
+const claimUnownedData = async (userId) => {
+    const claim = (items) => items.forEach(item => {
+        if (!item.ownerId) item.ownerId = userId;
     });
-    const roots = [];
-    sections.forEach(section => {
-        if (section.parent_id !== null && section.parent_id !== 0 && sectionMap[section.parent_id]) {
-            sectionMap[section.parent_id].children.push(sectionMap[section.id]);
-        } else {
-            roots.push(sectionMap[section.id]);
-        }
+    await chartsStore.update(data => claim(data.charts));
+    await historyStore.update(data => claim(data.selections));
+    await resultsStore.update(data => claim(data.reports));
+    await alertsStore.update(data => claim(data.rules));
+    await teamsStore.update(data => claim(data.teams));
+    await reportsStore.update(data => {
+        claim(data.schedules);
+        claim(data.runs);
     });
-    return roots;
 };
 
 /**
- * Function to fetch all test cases for a given section with pagination
+ * Endpoint for how the frontend should sign users in
  */
-const fetchTestCasesForSection = async (sectionId) => {
-    let allTestCases = [];
-    let offset = 0;
-    const limit = 250;
-    let fetched = 0;
-    do {
-        const url = `${testrailUrl}/index.php?/api/v2/get_cases/${projectId}&suite_id=${suiteId}&section_id=${sectionId}&offset=${offset}&limit=${limit}`;
-        console.log(`[CASES] Fetching test cases for section ${sectionId} with offset=${offset} and limit=${limit}`);
-        const response = await axios.get(url, {
-            headers: { 'Authorization': `Basic ${authToken}` }
-        });
-        let batch = response.data;
-        if (!Array.isArray(batch)) {
-            if (batch && Array.isArray(batch.cases)) {
-                batch = batch.cases;
-            } else {
-                console.error(`[CASES] Expected array for test cases but got: ${typeof response.data}`);
-                throw new Error('Test cases response is not an array');
+app.get('/api/auth/config', async (req, res) => {
+    try {
+        const { users } = authMode === 'none' ? { users: [] } : await usersStore.read();
+        res.json({ mode: authMode, allowSignup: authMode !== 'none' && (allowSignup || users.length === 0) });
+    } catch (error) {
+        console.error('[AUTH] Error reading accounts:', error.message);
+        res.status(500).json({ error: 'Error reading accounts', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for creating an account. Open to everyone for the first account
+ * (which becomes an admin) or with AUTH_ALLOW_SIGNUP; otherwise admins only.
+ */
+app.post('/api/auth/register',
+    requireAuthMode,
+    body('username').isString().trim().isLength({ min: 2, max: 64 }).matches(/^[\w.@-]+$/),
+    body('password').isString().isLength({ min: MIN_PASSWORD_LENGTH }),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        try {
+            const { users } = await usersStore.read();
+            const byAdmin = Boolean(req.user && req.user.role === 'admin');
+            if (users.length > 0 && !allowSignup && !byAdmin) {
+                return res.status(403).json({ error: 'Ask an admin to create your account' });
             }
+            const user = await auth.register(req.body.username, req.body.password);
+            if (!user) {
+                return res.status(409).json({ error: 'This username is taken' });
+            }
+            if (user.role === 'admin' && users.length === 0) {
+                await claimUnownedData(user.id);
+            }
+            console.log(`[AUTH] Registered "${user.username}" (${user.role})`);
+            audit({ user: req.user || user }, 'auth.register', user.id, { username: user.username, role: user.role });
+            res.status(201).json(publicUser(user));
+        } catch (error) {
+            console.error('[AUTH] Error registering account:', error.message);
+            res.status(500).json({ error: 'Error creating account', details: error.message });
         }
-        allTestCases = allTestCases.concat(batch);
-        fetched = batch.length;
-        offset += fetched;
-    } while (fetched === limit);
-    console.log(`[CASES] Section ${sectionId} total test cases: ${allTestCases.length}`);
-    return allTestCases;
-};
+    }
+);
 
 /**
- * Endpoint for fetching section structure
+ * Endpoint for signing in; returns a bearer token for the Authorization header
  */
-app.post('/api/testrail/folders',
-    body('path').optional().isString(),
+app.post('/api/auth/login',
+    requireAuthMode,
+    body('username').isString().trim().notEmpty(),
+    body('password').isString().notEmpty(),
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()){
             return res.status(400).json({ errors: errors.array() });
         }
-        const { path: userPath } = req.body;
-        console.log(`[FOLDERS] Request received. path=${userPath}`);
         try {
-            const sections = await fetchAllSections();
-            console.log('[FOLDERS] Total sections fetched:', sections.length);
-            const tree = buildTree(sections);
-            console.log('[FOLDERS] Constructed folder tree with', tree.length, 'root nodes');
-            res.json(tree);
+            const session = await auth.login(req.body.username, req.body.password);
+            if (!session) {
+                audit(req, 'auth.login-failed', null, { username: req.body.username });
+                return res.status(401).json({ error: 'Wrong username or password' });
+            }
+            audit({ user: session.user }, 'auth.login', session.user.id);
+            res.json({ token: session.token, user: publicUser(session.user) });
         } catch (error) {
-            console.error('[FOLDERS] Error fetching sections:', error.response ? error.response.data : error.message);
-            res.status(500).json({ error: 'Error fetching folder structure from TestRail', details: error.response ? error.response.data : error.message });
+            console.error('[AUTH] Error signing in:', error.message);
+            res.status(500).json({ error: 'Error signing in', details: error.message });
         }
     }
 );
 
 /**
- * Endpoint for fetching test case statistics.
- * Here we build the final set of sections as follows:
- * - Include all selected sections (folderIds)
- * - Add all their ancestors (to fetch test cases from parent sections)
- * - Add all their descendants
+ * Endpoint for ending the current session
  */
-app.post('/api/testrail/data',
-    body('folderIds').isArray(),
+app.post('/api/auth/logout', requireAuthMode, async (req, res) => {
+    try {
+        await auth.logout(req.token);
+        audit(req, 'auth.logout', req.user.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('[AUTH] Error signing out:', error.message);
+        res.status(500).json({ error: 'Error signing out', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for the signed-in account
+ */
+app.get('/api/auth/me', requireAuthMode, (req, res) => {
+    res.json(publicUser(req.user));
+});
+
+/**
+ * Endpoint for storing the TestRail login the backend uses on the user's
+ * behalf. The key is checked against TestRail before it is encrypted and saved.
+ */
+app.put('/api/auth/me/testrail',
+    requireAuthMode,
+    body('email').isString().trim().notEmpty(),
+    body('apiKey').isString().trim().notEmpty(),
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()){
             return res.status(400).json({ errors: errors.array() });
         }
-        const { folderIds } = req.body;
-        console.log(`[DATA] Request received for folderIds: ${folderIds}`);
+        const { email, apiKey } = req.body;
         try {
-            // 1. Fetch all sections
-            const allSections = await fetchAllSections();
-            console.log('[DATA] Total sections fetched:', allSections.length);
-
-            // 2. Build a parentMap
-            const parentMap = {};
-            allSections.forEach(section => {
-                parentMap[section.id] = section.parent_id;
+            const probe = createTestRailClient({
+                ...testrailClientOptions,
+                authToken: Buffer.from(`${email}:${apiKey}`).toString('base64'),
+                maxRetries: 0
+            });
+            await probe.fetchAllProjects();
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+            console.warn(`[AUTH] TestRail rejected the key of "${req.user.username}":`, status || error.message);
+            return res.status(400).json({
+                error: status === 401 || status === 403 ? 'TestRail rejected this email and API key' : 'Could not reach TestRail to check this API key',
+                details: error.response ? error.response.data : error.message
             });
+        }
+        try {
+            const user = await auth.setTestRailCredentials(req.user.id, email, apiKey);
+            audit(req, 'auth.testrail-key-set', req.user.id, { email });
+            res.json(publicUser(user));
+        } catch (error) {
+            console.error('[AUTH] Error storing TestRail key:', error.message);
+            res.status(500).json({ error: 'Error storing TestRail API key', details: error.message });
+        }
+    }
+);
 
-            // 3. For each selected id, add it, its ancestors, and its descendants
-            const selectedIds = folderIds.map(id => Number(id));
-            const allFolderIdsSet = new Set();
-            // Add selected sections
-            selectedIds.forEach(id => allFolderIdsSet.add(id));
-            // Add ancestors of selected sections
-            selectedIds.forEach(id => {
-                let current = parentMap[id];
-                while (current && current !== 0) {
-                    allFolderIdsSet.add(current);
-                    current = parentMap[current];
-                }
+/**
+ * Endpoint for removing the stored TestRail login of the signed-in user
+ */
+app.delete('/api/auth/me/testrail', requireAuthMode, async (req, res) => {
+    try {
+        const user = await auth.setTestRailCredentials(req.user.id, null, null);
+        userServices.delete(req.user.id);
+        audit(req, 'auth.testrail-key-removed', req.user.id);
+        res.json(publicUser(user));
+    } catch (error) {
+        console.error('[AUTH] Error removing TestRail key:', error.message);
+        res.status(500).json({ error: 'Error removing TestRail API key', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for listing accounts (admins only)
+ */
+app.get('/api/users', requireAuthMode, requireAdmin, async (req, res) => {
+    try {
+        const { users } = await usersStore.read();
+        res.json(users.map(publicUser));
+    } catch (error) {
+        console.error('[AUTH] Error reading accounts:', error.message);
+        res.status(500).json({ error: 'Error reading accounts', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for reading the audit log, newest first (admins only)
+ */
+app.get('/api/audit',
+    requireAdmin,
+    query('userId').optional().isString(),
+    query('action').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 5000 }).toInt(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        try {
+            res.json(await auditLog.list(req.query));
+        } catch (error) {
+            console.error('[AUDIT] Error reading audit log:', error.message);
+            res.status(500).json({ error: 'Error reading audit log', details: error.message });
+        }
+    }
+);
+
+/**
+ * Validators for how a section selection is resolved; prefix targets a
+ * nested selection such as 'charts.*.'
+ */
+const selectionValidators = (prefix = '') => [
+    body(`${prefix}projectId`).optional().isInt({ min: 1 }).toInt(),
+    body(`${prefix}suiteId`).optional().isInt({ min: 1 }).toInt(),
+    body(`${prefix}folderIds`).isArray(),
+    body(`${prefix}folderIds.*`).isInt().toInt(),
+    body(`${prefix}inclusion`).optional().isIn(INCLUSION_POLICIES),
+    body(`${prefix}excludeIds`).optional().isArray(),
+    body(`${prefix}excludeIds.*`).isInt().toInt(),
+    body(`${prefix}automatedCategories`).optional().isArray({ min: 1 }),
+    body(`${prefix}automatedCategories.*`).isString()
+];
+
+/**
+ * Validators for the optional case filter object of a request body
+ */
+const filterValidators = (prefix = '') => [
+    body(`${prefix}filters`).optional().isObject(),
+    body(`${prefix}filters.priorityIds`).optional().isArray(),
+    body(`${prefix}filters.priorityIds.*`).isInt().toInt(),
+    body(`${prefix}filters.typeIds`).optional().isArray(),
+    body(`${prefix}filters.typeIds.*`).isInt().toInt(),
+    body(`${prefix}filters.templateIds`).optional().isArray(),
+    body(`${prefix}filters.templateIds.*`).isInt().toInt(),
+    body(`${prefix}filters.createdFrom`).optional({ values: 'falsy' }).isISO8601(),
+    body(`${prefix}filters.createdTo`).optional({ values: 'falsy' }).isISO8601(),
+    body(`${prefix}filters.updatedFrom`).optional({ values: 'falsy' }).isISO8601(),
+    body(`${prefix}filters.updatedTo`).optional({ values: 'falsy' }).isISO8601(),
+    body(`${prefix}filters.refs`).optional().isString().trim()
+];
+
+/**
+ * Endpoint for listing projects available to the configured account
+ */
+app.get('/api/testrail/projects', requireTestRail, async (req, res) => {
+    console.log('[PROJECTS] Request received');
+    const { testrail } = req.services;
+    try {
+        const projects = await testrail.fetchAllProjects();
+        console.log('[PROJECTS] Total projects fetched:', projects.length);
+        res.json({
+            projects: projects.map(({ id, name, suite_mode, is_completed }) => ({ id, name, suite_mode, is_completed })),
+            defaultProjectId
+        });
+    } catch (error) {
+        console.error('[PROJECTS] Error fetching projects:', error.response ? error.response.data : error.message);
+        res.status(500).json({ error: 'Error fetching projects from TestRail', details: error.response ? error.response.data : error.message });
+    }
+});
+
+/**
+ * Endpoint for listing suites of a project
+ */
+app.get('/api/testrail/projects/:projectId/suites',
+    requireTestRail,
+    param('projectId').isInt({ min: 1 }).toInt(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { projectId } = req.params;
+        console.log(`[SUITES] Request received for projectId=${projectId}`);
+        const { testrail } = req.services;
+        try {
+            const suites = await testrail.fetchSuites(projectId);
+            console.log('[SUITES] Total suites fetched:', suites.length);
+            // Prefer the configured suite when it belongs to this project
+            const configured = suites.find(suite => suite.id === defaultSuiteId);
+            res.json({
+                suites: suites.map(({ id, name, is_master, is_completed }) => ({ id, name, is_master, is_completed })),
+                defaultSuiteId: configured ? configured.id : (suites.length ? suites[0].id : null)
             });
-            // Add descendants: for each section, if one of its ancestors is selected, add it
-            allSections.forEach(section => {
-                let current = parentMap[section.id];
-                while (current && current !== 0) {
-                    if (selectedIds.includes(current)) {
-                        allFolderIdsSet.add(section.id);
-                        break;
-                    }
-                    current = parentMap[current];
-                }
+        } catch (error) {
+            console.error('[SUITES] Error fetching suites:', error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Error fetching suites from TestRail', details: error.response ? error.response.data : error.message });
+        }
+    }
+);
+
+/**
+ * Endpoint for the values the case filters and category settings can take in a project
+ */
+app.get('/api/testrail/projects/:projectId/filter-options',
+    requireTestRail,
+    param('projectId').isInt({ min: 1 }).toInt(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { projectId } = req.params;
+        console.log(`[FILTERS] Request received for projectId=${projectId}`);
+        const { testrail, fetchAutomationOptions } = req.services;
+        try {
+            const [priorities, caseTypes, templates, options] = await Promise.all([
+                testrail.fetchPriorities(),
+                testrail.fetchCaseTypes(),
+                testrail.fetchTemplates(projectId),
+                fetchAutomationOptions(projectId)
+            ]);
+            res.json({
+                priorities: priorities.map(({ id, name, short_name, priority }) => ({ id, name, short_name, priority })),
+                caseTypes: caseTypes.map(({ id, name }) => ({ id, name })),
+                templates: templates.map(({ id, name }) => ({ id, name })),
+                categories: categoryLabels(options),
+                defaultAutomatedCategories: automatedOptions
             });
-            const allFolderIds = Array.from(allFolderIdsSet);
-            console.log('[DATA] All folder IDs to process:', allFolderIds);
-
-            // 4. Fetch test cases for all sections in parallel
-            const testCasesResults = await Promise.all(
-                allFolderIds.map(id =>
-                    fetchTestCasesForSection(id).catch(err => {
-                        console.error(`Error fetching test cases for section ${id}:`, err.message);
-                        return [];
-                    })
-                )
-            );
-            const allTestCases = [].concat(...testCasesResults);
-            console.log('[DATA] Total test cases fetched:', allTestCases.length);
-
-            // 5. Aggregate statistics
-            let totalCounts = { Yes: 0, 'Automation Candidate': 0, No: 0 };
-            let candidateTests = [];
-            let noTests = [];
-            allTestCases.forEach(testCase => {
-                console.log(`TestCase id=${testCase.id}, custom_automation=${testCase.custom_automation}`);
-                const automationValue = Number(testCase.custom_automation);
-                if (automationValue === 1) {
-                    totalCounts.Yes += 1;
-                } else if (automationValue === 3) {
-                    totalCounts['Automation Candidate'] += 1;
-                    candidateTests.push({ id: testCase.id, title: testCase.title });
-                } else if (automationValue === 2) {
-                    totalCounts.No += 1;
-                    noTests.push({ id: testCase.id, title: testCase.title });
-                } else {
-                    totalCounts.No += 1;
-                    noTests.push({ id: testCase.id, title: testCase.title });
+        } catch (error) {
+            console.error('[FILTERS] Error fetching filter options:', error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Error fetching filter options from TestRail', details: error.response ? error.response.data : error.message });
+        }
+    }
+);
+
+/**
+ * Endpoint for dropping cached TestRail data, for one project/suite or all
+ */
+app.delete('/api/testrail/cache',
+    requireTestRail,
+    query('projectId').optional().isInt({ min: 1 }).toInt(),
+    query('suiteId').optional().isInt({ min: 1 }).toInt(),
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { projectId, suiteId } = req.query;
+        req.services.invalidateCache(projectId, suiteId);
+        console.log(`[CACHE] Invalidated projectId=${projectId || '*'}, suiteId=${suiteId || '*'}`);
+        audit(req, 'cache.invalidate', null, { projectId: projectId || null, suiteId: suiteId || null });
+        res.status(204).end();
+    }
+);
+
+/**
+ * Endpoint for bulk-updating the automation field of selected cases.
+ * With dryRun the planned changes are returned without touching TestRail;
+ * otherwise the result of every case is reported.
+ */
+app.post('/api/testrail/cases/automation',
+    requireTestRail,
+    body('projectId').optional().isInt({ min: 1 }).toInt(),
+    body('suiteId').optional().isInt({ min: 1 }).toInt(),
+    body('caseIds').isArray({ min: 1, max: 5000 }),
+    body('caseIds.*').isInt({ min: 1 }).toInt(),
+    body('category').isString().notEmpty(),
+    body('dryRun').optional().isBoolean().toBoolean(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { projectId = defaultProjectId, suiteId = defaultSuiteId, caseIds, category, dryRun = false } = req.body;
+        console.log(`[UPDATE] ${dryRun ? 'Dry run' : 'Update'} of ${caseIds.length} cases to "${category}" in projectId=${projectId}, suiteId=${suiteId}`);
+        const { testrail, getAutomationOptions, getCases, getCategory, getCacheEntry } = req.services;
+        try {
+            const options = await getAutomationOptions(projectId, suiteId);
+            const option = options.find(o => o.label === category);
+            if (!option) {
+                return res.status(400).json({ error: `"${category}" is not an option of ${automationField}` });
+            }
+            const cases = await getCases(projectId, suiteId);
+            const caseMap = new Map(cases.map(testCase => [testCase.id, testCase]));
+
+            const plan = caseIds.map(id => {
+                const testCase = caseMap.get(id);
+                if (!testCase) {
+                    return { id, title: null, from: null, to: category, status: 'not-found' };
                 }
+                const from = getCategory(testCase, options);
+                return { id, title: testCase.title, from, to: category, status: from === category ? 'unchanged' : 'pending' };
             });
+            if (dryRun) {
+                return res.json({ dryRun: true, category, results: plan });
+            }
 
-            const total = totalCounts.Yes + totalCounts['Automation Candidate'] + totalCounts.No;
-            const percentages = total > 0 ? {
-                Yes: (totalCounts.Yes / total * 100).toFixed(1),
-                'Automation Candidate': (totalCounts['Automation Candidate'] / total * 100).toFixed(1),
-                No: (totalCounts.No / total * 100).toFixed(1)
-            } : { Yes: 0, 'Automation Candidate': 0, No: 0 };
+            // TestRail applies one update_cases call to many cases; keep batches modest
+            const pending = plan.filter(item => item.status === 'pending');
+            const batchSize = 100;
+            for (let i = 0; i < pending.length; i += batchSize) {
+                const batch = pending.slice(i, i + batchSize);
+                try {
+                    await testrail.updateCases(suiteId, batch.map(item => item.id), { [automationField]: option.id });
+                    batch.forEach(item => {
+                        item.status = 'updated';
+                    });
+                } catch (error) {
+                    const message = error.response ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message;
+                    console.error(`[UPDATE] Batch starting at case ${batch[0].id} failed:`, message);
+                    batch.forEach(item => {
+                        item.status = 'failed';
+                        item.error = message;
+                    });
+                }
+            }
+            // Make the next chart pick up TestRail's own view of the updated cases
+            getCacheEntry(projectId, suiteId).casesCheckedAt = 0;
 
-            const overallCoverage = percentages.Yes;
-            console.log(`[DATA] Aggregated total test cases: ${total}`);
-            console.log('[DATA] Percentages:', percentages);
+            const summary = {};
+            plan.forEach(item => { summary[item.status] = (summary[item.status] || 0) + 1; });
+            console.log('[UPDATE] Result:', summary);
+            audit(req, 'cases.update-automation', `${projectId}/${suiteId}`, {
+                category,
+                updated: plan.filter(item => item.status === 'updated').map(item => item.id),
+                failed: plan.filter(item => item.status === 'failed').map(item => item.id)
+            });
+            res.json({ dryRun: false, category, summary, results: plan });
+        } catch (error) {
+            console.error('[UPDATE] Error updating cases:', error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Error updating test cases in TestRail', details: error.response ? error.response.data : error.message });
+        }
+    }
+);
 
-            res.json({ totalCounts, percentages, overallCoverage, candidateTests, noTests });
+/**
+ * Endpoint for fetching section structure
+ */
+app.post('/api/testrail/folders',
+    requireTestRail,
+    body('projectId').optional().isInt({ min: 1 }).toInt(),
+    body('suiteId').optional().isInt({ min: 1 }).toInt(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { projectId = defaultProjectId, suiteId = defaultSuiteId } = req.body;
+        console.log(`[FOLDERS] Request received. projectId=${projectId}, suiteId=${suiteId}`);
+        try {
+            const sections = await req.services.getSections(projectId, suiteId);
+            console.log('[FOLDERS] Total sections fetched:', sections.length);
+            const tree = buildTree(sections);
+            console.log('[FOLDERS] Constructed folder tree with', tree.length, 'root nodes');
+            res.json(tree);
         } catch (error) {
-            console.error('[DATA] Error fetching test case statistics:', error.response ? error.response.data : error.message);
-            res.status(500).json({ error: 'Error fetching test case statistics from TestRail', details: error.response ? error.response.data : error.message });
+            console.error('[FOLDERS] Error fetching sections:', error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Error fetching folder structure from TestRail', details: error.response ? error.response.data : error.message });
         }
     }
 );
 
-// Serving static React files from the build folder
-app.use(express.static(path.join(__dirname, 'build')));
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'build', 'index.html'));
+/**
+ * What a tracked selection counts, normalized so that equal selections
+ * compare equal regardless of ID order or filter key order
+ */
+const historyDefinition = (selection) => {
+    const sortedIds = (ids) => (ids || []).map(Number).sort((a, b) => a - b);
+    const filters = selection.filters || {};
+    return {
+        projectId: selection.projectId,
+        suiteId: selection.suiteId,
+        folderIds: sortedIds(selection.folderIds),
+        inclusion: selection.inclusion || DEFAULT_INCLUSION,
+        excludeIds: sortedIds(selection.excludeIds),
+        filters: Object.fromEntries(Object.keys(filters).sort().map(key => [key, filters[key]])),
+        automatedCategories: selection.automatedCategories ? [...selection.automatedCategories].sort() : undefined
+    };
+};
+
+const sameDefinition = (a, b) => JSON.stringify(historyDefinition(a)) === JSON.stringify(historyDefinition(b));
+
+// One store per selection, so updates of the same file stay serialized
+const caseHistoryStores = new Map();
+
+/**
+ * Per-case categories of a selection's snapshots, keyed by snapshot ID. They
+ * are by far the largest part of a snapshot, so they live in their own file
+ * under history/ and only the latest HISTORY_CASES_KEPT snapshots keep them.
+ */
+const caseHistoryStore = (selectionId) => {
+    if (!caseHistoryStores.has(selectionId)) {
+        caseHistoryStores.set(selectionId, createStore(path.join('history', `${selectionId}.json`), { snapshots: {} }));
+    }
+    return caseHistoryStores.get(selectionId);
+};
+
+/**
+ * Record a coverage snapshot for a named selection of an owner, creating
+ * the selection on first use. Returns the stored selection, or null when
+ * the owner already tracks a different selection under that name, so one
+ * trend line never mixes the numbers of two selections.
+ */
+const recordSnapshot = async (selection, coverage, ownerId) => {
+    const snapshotId = crypto.randomUUID();
+    // Case categories that snapshots recorded before kept in history.json
+    const moved = {};
+    const stored = await historyStore.update(data => {
+        let stored = data.selections.find(s => s.name === selection.name && (s.ownerId || null) === ownerId);
+        if (stored && !sameDefinition(stored, selection)) {
+            console.log(`[HISTORY] "${selection.name}" already tracks a different selection`);
+            return null;
+        }
+        if (!stored) {
+            stored = {
+                id: crypto.randomUUID(),
+                name: selection.name,
+                ownerId,
+                projectId: selection.projectId,
+                suiteId: selection.suiteId,
+                folderIds: selection.folderIds.map(Number),
+                inclusion: selection.inclusion || DEFAULT_INCLUSION,
+                excludeIds: (selection.excludeIds || []).map(Number),
+                filters: selection.filters || {},
+                automatedCategories: selection.automatedCategories,
+                snapshots: []
+            };
+            data.selections.push(stored);
+        }
+        stored.snapshots.forEach(snapshot => {
+            if (!snapshot.id) snapshot.id = crypto.randomUUID();
+            if (snapshot.caseCategories) {
+                moved[snapshot.id] = snapshot.caseCategories;
+                delete snapshot.caseCategories;
+                snapshot.hasCases = true;
+            }
+        });
+        stored.snapshots.push({
+            id: snapshotId,
+            timestamp: new Date().toISOString(),
+            // What this snapshot counted, kept with the numbers themselves
+            definition: historyDefinition(selection),
+            categories: coverage.categories,
+            totalCounts: coverage.totalCounts,
+            percentages: coverage.percentages,
+            overallCoverage: coverage.overallCoverage,
+            hasCases: true
+        });
+        stored.snapshots.slice(0, Math.max(0, stored.snapshots.length - historyCasesKept))
+            .forEach(snapshot => { snapshot.hasCases = false; });
+        console.log(`[HISTORY] Recorded snapshot #${stored.snapshots.length} for "${stored.name}"`);
+        return stored;
+    });
+    if (!stored) return null;
+
+    const kept = new Set(stored.snapshots.filter(snapshot => snapshot.hasCases).map(snapshot => snapshot.id));
+    await caseHistoryStore(stored.id).update(data => {
+        Object.assign(data.snapshots, moved, { [snapshotId]: packCaseCategories(coverage) });
+        Object.keys(data.snapshots)
+            .filter(id => !kept.has(id))
+            .forEach(id => { delete data.snapshots[id]; });
+    });
+    return stored;
+};
+
+// Answer to a history name that already tracks another selection
+const historyNameTaken = (name) => ({
+    error: `"${name}" already tracks a different selection; choose another history name`
 });
 
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+/**
+ * A saved selection as sent to clients: per-case categories of the snapshots
+ * are only used for comparisons and replaced by a flag
+ */
+const withoutCaseCategories = (selection) => ({
+    ...selection,
+    snapshots: selection.snapshots.map(({ caseCategories, ...snapshot }) => ({ ...snapshot, hasCases: Boolean(snapshot.hasCases || caseCategories) }))
 });
+
+/**
+ * Selection and history name of a data request, with server defaults filled in
+ */
+const readDataRequest = (requestBody) => {
+    const {
+        folderIds,
+        projectId = defaultProjectId,
+        suiteId = defaultSuiteId,
+        inclusion = DEFAULT_INCLUSION,
+        excludeIds = [],
+        historyName,
+        filters = {},
+        automatedCategories
+    } = requestBody;
+    console.log(`[DATA] Request received for projectId=${projectId}, suiteId=${suiteId}, folderIds: ${folderIds}, inclusion=${inclusion}, excludeIds: ${excludeIds}, filters: ${JSON.stringify(filters)}`);
+    return {
+        selection: { projectId, suiteId, folderIds, inclusion, excludeIds, filters, automatedCategories },
+        historyName
+    };
+};
+
+/**
+ * Add the case lists the data endpoint returned before categories were read
+ * from TestRail, for existing clients: candidateTests holds the cases of the
+ * candidate options, noTests those of every other category not counted as automated
+ */
+const withLegacyCaseLists = (coverage) => {
+    const notAutomated = coverage.categories.filter(category => !coverage.automatedCategories.includes(category));
+    const casesOf = (categories) => [].concat(...categories.map(category => coverage.casesByCategory[category]))
+        .map(({ id, title }) => ({ id, title }));
+    return {
+        ...coverage,
+        candidateTests: casesOf(notAutomated.filter(category => candidateOptions.includes(category))),
+        noTests: casesOf(notAutomated.filter(category => !candidateOptions.includes(category)))
+    };
+};
+
+/**
+ * Endpoint for fetching test case statistics.
+ * When historyName is given, a snapshot of the result is recorded
+ * under that name for the coverage history.
+ */
+app.post('/api/testrail/data',
+    requireTestRail,
+    ...selectionValidators(),
+    ...filterValidators(),
+    body('historyName').optional().isString().trim(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { selection, historyName } = readDataRequest(req.body);
+        try {
+            const coverage = await req.services.computeCoverage(selection);
+            if (historyName) {
+                const stored = await recordSnapshot({ name: historyName, ...selection }, coverage, ownerIdOf(req));
+                if (!stored) {
+                    return res.status(409).json(historyNameTaken(historyName));
+                }
+                coverage.historyId = stored.id;
+            }
+            res.json(withLegacyCaseLists(coverage));
+        } catch (error) {
+            console.error('[DATA] Error fetching test case statistics:', error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Error fetching test case statistics from TestRail', details: error.response ? error.response.data : error.message });
+        }
+    }
+);
+
+/**
+ * Streaming variant of the data endpoint. Progress snapshots are sent as
+ * server-sent "progress" events while TestRail is queried, followed by one
+ * "result" or "error" event. Closing the connection cancels the TestRail
+ * calls still in flight.
+ */
+app.post('/api/testrail/data/stream',
+    requireTestRail,
+    ...selectionValidators(),
+    ...filterValidators(),
+    body('historyName').optional().isString().trim(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { selection, historyName } = readDataRequest(req.body);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Keep reverse proxies from buffering the events
+            'X-Accel-Buffering': 'no'
+        });
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                console.log('[DATA] Client closed the stream, cancelling TestRail calls');
+                controller.abort();
+            }
+        });
+        const send = (event, data) => {
+            if (!controller.signal.aborted) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        };
+        try {
+            const coverage = await req.services.computeCoverage(selection, {
+                signal: controller.signal,
+                onProgress: (progress) => send('progress', progress)
+            });
+            if (historyName && !controller.signal.aborted) {
+                const stored = await recordSnapshot({ name: historyName, ...selection }, coverage, ownerIdOf(req));
+                if (!stored) {
+                    send('error', historyNameTaken(historyName));
+                    return res.end();
+                }
+                coverage.historyId = stored.id;
+            }
+            send('result', withLegacyCaseLists(coverage));
+        } catch (error) {
+            if (isCancelled(error)) {
+                console.log('[DATA] Build cancelled');
+            } else {
+                console.error('[DATA] Error fetching test case statistics:', error.response ? error.response.data : error.message);
+                send('error', { error: 'Error fetching test case statistics from TestRail', details: error.response ? error.response.data : error.message });
+            }
+        }
+        res.end();
+    }
+);
+
+/**
+ * Validators for a saved chart definition
+ */
+const chartDefinitionValidators = [
+    body('name').isString().trim().notEmpty(),
+    body('title').optional().isString().trim(),
+    body('filterSummary').optional().isString(),
+    ...selectionValidators(),
+    ...filterValidators()
+];
+
+/**
+ * Pick the stored fields of a chart definition from a request body
+ */
+const toChartDefinition = ({ name, title, filterSummary, projectId, suiteId, folderIds, inclusion, excludeIds, filters, automatedCategories }) => ({
+    name,
+    title: title || name,
+    filterSummary: filterSummary || '',
+    projectId: projectId || defaultProjectId,
+    suiteId: suiteId || defaultSuiteId,
+    folderIds: folderIds.map(Number),
+    inclusion: inclusion || DEFAULT_INCLUSION,
+    excludeIds: excludeIds || [],
+    filters: filters || {},
+    automatedCategories
+});
+
+/**
+ * Endpoint for listing saved chart definitions
+ */
+app.get('/api/charts', async (req, res) => {
+    try {
+        const { charts } = await chartsStore.read();
+        res.json(charts.filter(isOwnedBy(ownerIdOf(req))));
+    } catch (error) {
+        console.error('[CHARTS] Error reading saved charts:', error.message);
+        res.status(500).json({ error: 'Error reading saved charts', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for fetching one saved chart definition. Links to saved charts are
+ * shared with teammates, so any signed-in user may read one; editable tells
+ * whether they may also change it.
+ */
+app.get('/api/charts/:id', param('id').isString(), async (req, res) => {
+    try {
+        const { charts } = await chartsStore.read();
+        const chart = charts.find(c => c.id === req.params.id);
+        if (!chart) {
+            return res.status(404).json({ error: 'Saved chart not found' });
+        }
+        res.json({ ...chart, editable: isOwnedBy(ownerIdOf(req))(chart) });
+    } catch (error) {
+        console.error('[CHARTS] Error reading saved chart:', error.message);
+        res.status(500).json({ error: 'Error reading saved chart', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for saving a new chart definition
+ */
+app.post('/api/charts', ...chartDefinitionValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const now = new Date().toISOString();
+        const chart = { id: crypto.randomUUID(), ...toChartDefinition(req.body), ownerId: ownerIdOf(req), createdAt: now, updatedAt: now };
+        await chartsStore.update(data => {
+            data.charts.push(chart);
+        });
+        console.log(`[CHARTS] Saved chart "${chart.name}" (${chart.id})`);
+        audit(req, 'chart.create', chart.id, { name: chart.name });
+        res.status(201).json(chart);
+    } catch (error) {
+        console.error('[CHARTS] Error saving chart:', error.message);
+        res.status(500).json({ error: 'Error saving chart', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for replacing a saved chart definition
+ */
+app.put('/api/charts/:id', param('id').isString(), ...chartDefinitionValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const chart = await chartsStore.update(data => {
+            const idx = data.charts.findIndex(c => c.id === req.params.id && isOwnedBy(ownerIdOf(req))(c));
+            if (idx === -1) return null;
+            data.charts[idx] = {
+                ...data.charts[idx],
+                ...toChartDefinition(req.body),
+                updatedAt: new Date().toISOString()
+            };
+            return data.charts[idx];
+        });
+        if (!chart) {
+            return res.status(404).json({ error: 'Saved chart not found' });
+        }
+        console.log(`[CHARTS] Updated chart "${chart.name}" (${chart.id})`);
+        audit(req, 'chart.update', chart.id, { name: chart.name });
+        res.json(chart);
+    } catch (error) {
+        console.error('[CHARTS] Error updating chart:', error.message);
+        res.status(500).json({ error: 'Error updating chart', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for deleting a saved chart definition
+ */
+app.delete('/api/charts/:id', param('id').isString(), async (req, res) => {
+    try {
+        const removed = await chartsStore.update(data => {
+            const before = data.charts.length;
+            data.charts = data.charts.filter(c => c.id !== req.params.id || !isOwnedBy(ownerIdOf(req))(c));
+            return data.charts.length !== before;
+        });
+        if (!removed) {
+            return res.status(404).json({ error: 'Saved chart not found' });
+        }
+        audit(req, 'chart.delete', req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('[CHARTS] Error deleting chart:', error.message);
+        res.status(500).json({ error: 'Error deleting chart', details: error.message });
+    }
+});
+
+// Comma-separated list of IDs in a query string
+const ID_LIST = /^\d+(,\d+)*$/;
+
+const toIdList = (value) => (value ? value.split(',').map(Number) : undefined);
+
+/**
+ * Validators for a selection given in the query string: a saved chart
+ * (saved=<id>), a share-link definition (chart=<base64url JSON>) or plain parameters
+ */
+const selectionQueryValidators = [
+    query('saved').optional().isString(),
+    query('chart').optional().isBase64({ urlSafe: true }),
+    query('projectId').optional().isInt({ min: 1 }).toInt(),
+    query('suiteId').optional().isInt({ min: 1 }).toInt(),
+    query('folderIds').optional().matches(ID_LIST),
+    query('inclusion').optional().isIn(INCLUSION_POLICIES),
+    query('excludeIds').optional().matches(ID_LIST),
+    query('automatedCategories').optional().isString(),
+    query('priorityIds').optional().matches(ID_LIST),
+    query('typeIds').optional().matches(ID_LIST),
+    query('templateIds').optional().matches(ID_LIST),
+    query('createdFrom').optional().isISO8601(),
+    query('createdTo').optional().isISO8601(),
+    query('updatedFrom').optional().isISO8601(),
+    query('updatedTo').optional().isISO8601(),
+    query('refs').optional().isString()
+];
+
+/**
+ * Check a definition decoded from a share link with the rules of a request
+ * body; returns it sanitized or throws with the fields that failed
+ */
+const validateChartDefinition = async (definition) => {
+    const decoded = { body: definition };
+    await Promise.all([...selectionValidators(), ...filterValidators()].map(chain => chain.run(decoded)));
+    const errors = validationResult(decoded);
+    if (!errors.isEmpty()){
+        throw new Error(`Invalid chart definition: ${errors.array().map(e => `${e.path}: ${e.msg}`).join('; ')}`);
+    }
+    return decoded.body;
+};
+
+/**
+ * Resolve a query-string selection into { title, definition, services }, or
+ * null when a saved chart does not exist. Saved charts are computed with the
+ * services of their owner, anything else with those of the request.
+ * Throws when no sections are given.
+ */
+const readSelectionQuery = async (params, services) => {
+    if (params.saved) {
+        const { charts } = await chartsStore.read();
+        const chart = charts.find(c => c.id === params.saved);
+        return chart ? { title: chart.title, definition: chart, services: await servicesOfOwner(chart.ownerId) } : null;
+    }
+    if (!services) {
+        throw new Error('Sign in and add a TestRail API key to use unsaved selections');
+    }
+    if (params.chart) {
+        const { title, filterSummary, ...definition } = JSON.parse(Buffer.from(params.chart, 'base64url').toString('utf8'));
+        return { title, definition: await validateChartDefinition(definition), services };
+    }
+    if (!params.folderIds) {
+        throw new Error('Expected saved, chart or folderIds');
+    }
+    const filters = {
+        priorityIds: toIdList(params.priorityIds),
+        typeIds: toIdList(params.typeIds),
+        templateIds: toIdList(params.templateIds),
+        createdFrom: params.createdFrom,
+        createdTo: params.createdTo,
+        updatedFrom: params.updatedFrom,
+        updatedTo: params.updatedTo,
+        refs: params.refs
+    };
+    return {
+        title: null,
+        services,
+        definition: {
+            projectId: params.projectId,
+            suiteId: params.suiteId,
+            folderIds: toIdList(params.folderIds),
+            inclusion: params.inclusion,
+            excludeIds: toIdList(params.excludeIds),
+            filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+            automatedCategories: params.automatedCategories
+                ? params.automatedCategories.split(',').map(label => label.trim()).filter(Boolean)
+                : undefined
+        }
+    };
+};
+
+/**
+ * Compute coverage for a query-string selection; defaults match the data endpoint
+ */
+const computeQueryCoverage = ({ computeCoverage }, { projectId, suiteId, folderIds, inclusion, excludeIds, filters, automatedCategories }) =>
+    computeCoverage({
+        projectId: projectId || defaultProjectId,
+        suiteId: suiteId || defaultSuiteId,
+        folderIds: folderIds.map(Number),
+        inclusion: inclusion || DEFAULT_INCLUSION,
+        excludeIds: (excludeIds || []).map(Number),
+        filters: filters || {},
+        automatedCategories
+    });
+
+/**
+ * Endpoint for a compact coverage summary of a query-string selection,
+ * used by the embeddable chart page
+ */
+app.get('/api/coverage/summary', ...selectionQueryValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    let selection;
+    try {
+        selection = await readSelectionQuery(req.query, req.services);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (!selection) {
+        return res.status(404).json({ error: 'Saved chart not found' });
+    }
+    try {
+        const coverage = await computeQueryCoverage(selection.services, selection.definition);
+        res.json({
+            title: selection.title,
+            categories: coverage.categories,
+            automatedCategories: coverage.automatedCategories,
+            totalCounts: coverage.totalCounts,
+            percentages: coverage.percentages,
+            overallCoverage: coverage.overallCoverage,
+            syncedAt: coverage.syncedAt,
+            warnings: coverage.warnings,
+            fieldWarnings: coverage.fieldWarnings
+        });
+    } catch (error) {
+        console.error('[EMBED] Error computing coverage:', error.response ? error.response.data : error.message);
+        res.status(500).json({ error: 'Error fetching test case statistics from TestRail', details: error.response ? error.response.data : error.message });
+    }
+});
+
+/**
+ * Endpoint for a shields-style SVG coverage badge of a query-string selection.
+ * thresholds=<red below>,<yellow below> overrides BADGE_THRESHOLDS; errors
+ * are returned as grey badges so embedding pages still show something.
+ */
+app.get('/api/coverage/badge.svg',
+    ...selectionQueryValidators,
+    query('label').optional().isString().isLength({ max: 50 }),
+    query('thresholds').optional().matches(/^\d+(\.\d+)?,\d+(\.\d+)?$/),
+    async (req, res) => {
+        const label = req.query.label || 'automation coverage';
+        const sendBadge = (status, message, color) => {
+            res.status(status)
+                .type('image/svg+xml')
+                .set('Cache-Control', `max-age=${Math.round(cacheTtlMs / 1000)}`)
+                .send(renderBadge({ label, message, color }));
+        };
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return sendBadge(400, 'invalid', BADGE_COLORS.grey);
+        }
+        const thresholds = req.query.thresholds ? req.query.thresholds.split(',').map(Number) : badgeThresholds;
+        let selection;
+        try {
+            selection = await readSelectionQuery(req.query, req.services);
+        } catch (error) {
+            return sendBadge(400, 'invalid', BADGE_COLORS.grey);
+        }
+        if (!selection) {
+            return sendBadge(404, 'not found', BADGE_COLORS.grey);
+        }
+        try {
+            const coverage = await computeQueryCoverage(selection.services, selection.definition);
+            console.log(`[BADGE] ${coverage.overallCoverage}% for ${req.originalUrl}`);
+            sendBadge(200, `${coverage.overallCoverage}%`, colorForCoverage(coverage.overallCoverage, thresholds));
+        } catch (error) {
+            console.error('[BADGE] Error computing coverage:', error.response ? error.response.data : error.message);
+            sendBadge(500, 'error', BADGE_COLORS.grey);
+        }
+    }
+);
+
+/**
+ * Webhook URLs in requests must be ALERT_WEBHOOK_URL or on ALERT_WEBHOOK_HOSTS
+ */
+const webhookUrlValidator = (value) => {
+    if (typeof value !== 'string' || !isAllowedWebhook(value, webhookPolicy)) {
+        throw new Error('Only ALERT_WEBHOOK_URL or URLs on ALERT_WEBHOOK_HOSTS are allowed');
+    }
+    return true;
+};
+
+/**
+ * Validators for an alert rule: a selection like a saved chart plus what to watch
+ */
+const alertRuleValidators = [
+    body('name').isString().trim().notEmpty(),
+    ...selectionValidators(),
+    ...filterValidators(),
+    body('category').optional({ values: 'falsy' }).isString(),
+    body('minPercent').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).toFloat(),
+    body('maxDrop').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).toFloat(),
+    body('webhookUrl').optional({ values: 'falsy' }).custom(webhookUrlValidator),
+    body('format').optional().isIn(WEBHOOK_FORMATS),
+    body('enabled').optional().isBoolean().toBoolean(),
+    body().custom(value => {
+        if (typeof value.minPercent !== 'number' && typeof value.maxDrop !== 'number') {
+            throw new Error('A rule needs minPercent, maxDrop or both');
+        }
+        return true;
+    })
+];
+
+/**
+ * Pick the stored fields of an alert rule from a request body
+ */
+const toAlertRule = (ruleBody) => ({
+    ...toChartDefinition(ruleBody),
+    category: ruleBody.category || null,
+    minPercent: typeof ruleBody.minPercent === 'number' ? ruleBody.minPercent : null,
+    maxDrop: typeof ruleBody.maxDrop === 'number' ? ruleBody.maxDrop : null,
+    webhookUrl: ruleBody.webhookUrl || null,
+    format: ruleBody.format || alertWebhookFormat,
+    enabled: ruleBody.enabled !== false
+});
+
+/**
+ * Link that opens the app with the rule's selection, when APP_URL is configured
+ */
+const alertAppUrl = (rule) => {
+    if (!appUrl) return null;
+    const { projectId, suiteId, folderIds, inclusion, excludeIds, filters, automatedCategories } = rule;
+    const definition = { projectId, suiteId, folderIds, inclusion, excludeIds, filters, automatedCategories, title: rule.name };
+    return `${appUrl}?chart=${Buffer.from(JSON.stringify(definition)).toString('base64url')}`;
+};
+
+// Rules with a check in progress, so a slow check is not started again before it ends
+const checkingRules = new Set();
+
+/**
+ * Evaluate one rule against fresh coverage, deliver the alert if it trips
+ * and store the outcome as the rule's state for the next check
+ */
+const evaluateAlertRule = async (rule) => {
+    const state = rule.state || {};
+    const checkedAt = new Date().toISOString();
+    const previousValue = state.lastValue !== undefined ? state.lastValue : null;
+    const result = { checkedAt, value: null, previousValue, triggered: false, reasons: [], delivered: false, error: null };
+    let breached = state.breached || false;
+    try {
+        const { computeCoverage } = await servicesOfOwner(rule.ownerId);
+        const coverage = await computeCoverage(rule);
+        result.value = metricValue(rule, coverage);
+        if (result.value === null) {
+            throw new Error(`Category "${rule.category}" does not exist in this project`);
+        }
+        const evaluation = evaluateRule(rule, result.value, state);
+        breached = evaluation.breached;
+        result.triggered = evaluation.triggered;
+        result.reasons = evaluation.reasons;
+        if (result.triggered) {
+            const webhookUrl = rule.webhookUrl || alertWebhookUrl;
+            if (!webhookUrl) {
+                throw new Error('No webhook configured for this rule or in ALERT_WEBHOOK_URL');
+            }
+            // Rules saved before the allowlist, or with a host removed from it since
+            if (!isAllowedWebhook(webhookUrl, webhookPolicy)) {
+                throw new Error(`Webhook host of ${webhookUrl} is not in ALERT_WEBHOOK_HOSTS`);
+            }
+            await sendAlert(webhookUrl, buildAlertPayload(rule.format, { ...result, rule, appUrl: alertAppUrl(rule) }));
+            result.delivered = true;
+            console.log(`[ALERTS] Rule "${rule.name}" tripped: ${result.reasons.join('; ')}`);
+        }
+    } catch (error) {
+        result.error = error.response ? `HTTP ${error.response.status}` : error.message;
+        console.error(`[ALERTS] Error checking rule "${rule.name}":`, result.error);
+    }
+
+    await alertsStore.update(data => {
+        const stored = data.rules.find(r => r.id === rule.id);
+        if (!stored) return;
+        stored.state = {
+            // A failed check keeps the last good value so the next drop is measured against it
+            lastValue: result.value !== null ? result.value : state.lastValue,
+            lastCheckedAt: checkedAt,
+            breached,
+            lastTriggeredAt: result.delivered ? checkedAt : state.lastTriggeredAt,
+            lastError: result.error
+        };
+    });
+    return result;
+};
+
+/**
+ * Check one rule unless a check of it is already running; the rule is
+ * marked as being checked before the first await
+ */
+const checkAlertRule = async (rule) => {
+    checkingRules.add(rule.id);
+    try {
+        return await evaluateAlertRule(rule);
+    } finally {
+        checkingRules.delete(rule.id);
+    }
+};
+
+/**
+ * Check every enabled rule, one at a time
+ */
+const checkAlertRules = async () => {
+    const { rules } = await alertsStore.read();
+    const ids = rules.filter(rule => rule.enabled).map(rule => rule.id);
+    let checked = 0;
+    for (const id of ids) {
+        // Re-read so the state of a check made in the meantime is compared with
+        const rule = (await alertsStore.read()).rules.find(r => r.id === id);
+        if (!rule || !rule.enabled || checkingRules.has(id)) continue;
+        await checkAlertRule(rule);
+        checked += 1;
+    }
+    console.log(`[ALERTS] Checked ${checked} alert rules`);
+};
+
+/**
+ * Endpoint for listing alert rules with the state of their last check
+ */
+app.get('/api/alerts', async (req, res) => {
+    try {
+        const { rules } = await alertsStore.read();
+        res.json(rules.filter(isOwnedBy(ownerIdOf(req))));
+    } catch (error) {
+        console.error('[ALERTS] Error reading alert rules:', error.message);
+        res.status(500).json({ error: 'Error reading alert rules', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for creating an alert rule
+ */
+app.post('/api/alerts', ...alertRuleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const now = new Date().toISOString();
+        const rule = { id: crypto.randomUUID(), ...toAlertRule(req.body), ownerId: ownerIdOf(req), state: {}, createdAt: now, updatedAt: now };
+        await alertsStore.update(data => {
+            data.rules.push(rule);
+        });
+        console.log(`[ALERTS] Created rule "${rule.name}" (${rule.id})`);
+        audit(req, 'alert.create', rule.id, { name: rule.name });
+        res.status(201).json(rule);
+    } catch (error) {
+        console.error('[ALERTS] Error creating alert rule:', error.message);
+        res.status(500).json({ error: 'Error creating alert rule', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for replacing an alert rule; its check state starts over
+ */
+app.put('/api/alerts/:id', param('id').isString(), ...alertRuleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const rule = await alertsStore.update(data => {
+            const idx = data.rules.findIndex(r => r.id === req.params.id && isOwnedBy(ownerIdOf(req))(r));
+            if (idx === -1) return null;
+            data.rules[idx] = {
+                ...data.rules[idx],
+                ...toAlertRule(req.body),
+                state: {},
+                updatedAt: new Date().toISOString()
+            };
+            return data.rules[idx];
+        });
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        audit(req, 'alert.update', rule.id, { name: rule.name });
+        res.json(rule);
+    } catch (error) {
+        console.error('[ALERTS] Error updating alert rule:', error.message);
+        res.status(500).json({ error: 'Error updating alert rule', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for deleting an alert rule
+ */
+app.delete('/api/alerts/:id', param('id').isString(), async (req, res) => {
+    try {
+        const removed = await alertsStore.update(data => {
+            const before = data.rules.length;
+            data.rules = data.rules.filter(r => r.id !== req.params.id || !isOwnedBy(ownerIdOf(req))(r));
+            return data.rules.length !== before;
+        });
+        if (!removed) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        audit(req, 'alert.delete', req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('[ALERTS] Error deleting alert rule:', error.message);
+        res.status(500).json({ error: 'Error deleting alert rule', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for checking one rule right away instead of waiting for the scheduler
+ */
+app.post('/api/alerts/:id/check', param('id').isString(), async (req, res) => {
+    try {
+        const { rules } = await alertsStore.read();
+        const rule = rules.find(r => r.id === req.params.id);
+        if (!rule || !isOwnedBy(ownerIdOf(req))(rule)) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        if (checkingRules.has(rule.id)) {
+            return res.status(409).json({ error: 'This rule is already being checked' });
+        }
+        res.json(await checkAlertRule(rule));
+    } catch (error) {
+        console.error('[ALERTS] Error checking alert rule:', error.message);
+        res.status(500).json({ error: 'Error checking alert rule', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for sending a sample alert, to verify a webhook receiver (admins only)
+ */
+app.post('/api/alerts/test',
+    requireAdmin,
+    body('webhookUrl').optional({ values: 'falsy' }).custom(webhookUrlValidator),
+    body('format').optional().isIn(WEBHOOK_FORMATS),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const webhookUrl = req.body.webhookUrl || alertWebhookUrl;
+        if (!webhookUrl) {
+            return res.status(400).json({ error: 'Pass webhookUrl or set ALERT_WEBHOOK_URL' });
+        }
+        const rule = {
+            id: 'test',
+            name: 'Sample alert',
+            projectId: defaultProjectId,
+            suiteId: defaultSuiteId,
+            folderIds: [],
+            inclusion: DEFAULT_INCLUSION,
+            excludeIds: [],
+            filters: {},
+            category: null,
+            minPercent: 50,
+            maxDrop: 5
+        };
+        const payload = buildAlertPayload(req.body.format || alertWebhookFormat, {
+            rule,
+            value: 42.0,
+            previousValue: 55.0,
+            reasons: evaluateRule(rule, 42.0, { lastValue: 55.0 }).reasons,
+            checkedAt: new Date().toISOString(),
+            appUrl,
+            test: true
+        });
+        try {
+            await sendAlert(webhookUrl, payload);
+            console.log(`[ALERTS] Sample alert sent to ${webhookUrl}`);
+            audit(req, 'alert.test', null, { webhookUrl });
+            res.json({ sent: true, webhookUrl, payload });
+        } catch (error) {
+            console.error('[ALERTS] Error sending sample alert:', error.message);
+            res.status(502).json({ error: 'Error sending sample alert', details: error.message });
+        }
+    }
+);
+
+/**
+ * Endpoint for a PDF report of one or more chart definitions.
+ * Each chart is recomputed on the server and drawn as vector graphics.
+ */
+app.post('/api/reports/pdf',
+    requireTestRail,
+    body('title').optional().isString().trim(),
+    body('charts').isArray({ min: 1 }),
+    body('charts.*.title').optional().isString().trim(),
+    body('charts.*.filterSummary').optional().isString(),
+    ...selectionValidators('charts.*.'),
+    ...filterValidators('charts.*.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { title = 'Automation Coverage Report', charts } = req.body;
+        console.log(`[REPORT] PDF requested for ${charts.length} charts`);
+        const { computeCoverage } = req.services;
+        try {
+            // Charts are computed one after another so they share the warm cache
+            const computed = [];
+            for (const chart of charts) {
+                const coverage = await computeCoverage({
+                    projectId: defaultProjectId,
+                    suiteId: defaultSuiteId,
+                    ...chart
+                });
+                computed.push({
+                    title: chart.title || 'Automation Coverage Chart',
+                    filterSummary: chart.filterSummary,
+                    coverage
+                });
+            }
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', 'attachment; filename="coverage-report.pdf"');
+            writeCoverageReport(res, { title, charts: computed });
+        } catch (error) {
+            console.error('[REPORT] Error generating PDF report:', error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Error generating PDF report', details: error.response ? error.response.data : error.message });
+        }
+    }
+);
+
+/**
+ * Endpoint for exporting one chart definition as CSV or XLSX
+ */
+app.post('/api/reports/:format',
+    requireTestRail,
+    param('format').isIn(['csv', 'xlsx']),
+    body('title').optional().isString().trim(),
+    ...selectionValidators(),
+    ...filterValidators(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { format } = req.params;
+        const { title = 'coverage', projectId = defaultProjectId, suiteId = defaultSuiteId, ...selection } = req.body;
+        console.log(`[EXPORT] ${format.toUpperCase()} requested for projectId=${projectId}, suiteId=${suiteId}, folderIds: ${selection.folderIds}`);
+        const { testrail, computeCoverage } = req.services;
+        try {
+            const [coverage, priorities] = await Promise.all([
+                computeCoverage({ projectId, suiteId, ...selection }),
+                testrail.fetchPriorities()
+            ]);
+            const tables = buildExportTables(coverage, { priorities, testrailUrl });
+            const fileName = `${title.replace(/[^\w.-]+/g, '_') || 'coverage'}.${format}`;
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                // BOM so Excel opens UTF-8 titles correctly
+                res.send('\ufeff' + toCsv(tables));
+            } else {
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                await writeXlsx(res, tables);
+                res.end();
+            }
+        } catch (error) {
+            console.error('[EXPORT] Error exporting coverage:', error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Error exporting coverage', details: error.response ? error.response.data : error.message });
+        }
+    }
+);
+
+/**
+ * Validators for a report schedule
+ */
+const reportScheduleValidators = [
+    body('name').isString().trim().notEmpty(),
+    body('title').optional().isString().trim(),
+    body('cron').isString().trim().custom(value => {
+        if (!isValidCron(value)) throw new Error('Invalid cron expression');
+        return true;
+    }),
+    body('timezone').optional({ values: 'falsy' }).isString().custom(value => {
+        if (!isValidTimezone(value)) throw new Error('Unknown timezone');
+        return true;
+    }),
+    body('format').isIn(REPORT_FORMATS),
+    body('chartIds').isArray({ min: 1 }),
+    body('chartIds.*').isString(),
+    body('enabled').optional().isBoolean().toBoolean()
+];
+
+/**
+ * Pick the stored fields of a report schedule from a request body
+ */
+const toReportSchedule = ({ name, title, cron, timezone, format, chartIds, enabled }) => ({
+    name,
+    title: title || name,
+    cron,
+    timezone: timezone || null,
+    format,
+    chartIds,
+    enabled: enabled !== false
+});
+
+const withNextRun = (schedule) => ({
+    ...schedule,
+    nextRunAt: schedule.enabled
+        ? nextRunAt(schedule.cron, schedule.timezone, new Date(schedule.lastRunAt || schedule.createdAt)).toISOString()
+        : null
+});
+
+// Schedules with a run in progress, so the ticker does not start them twice
+const runningSchedules = new Set();
+
+/**
+ * Generate one report for a schedule and record the run. Old runs beyond
+ * REPORT_RUNS_KEPT are deleted together with their files.
+ */
+const runReportSchedule = async (schedule, trigger) => {
+    runningSchedules.add(schedule.id);
+    const startedAt = new Date();
+    const run = {
+        id: crypto.randomUUID(),
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        ownerId: schedule.ownerId,
+        trigger,
+        format: schedule.format,
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        status: 'running',
+        fileName: null,
+        size: null,
+        warnings: [],
+        error: null
+    };
+    console.log(`[SCHEDULES] Running "${schedule.name}" (${trigger})`);
+    try {
+        await reportsStore.update(data => {
+            const stored = data.schedules.find(s => s.id === schedule.id);
+            if (stored) stored.lastRunAt = run.startedAt;
+        });
+
+        const { computeCoverage, testrail } = await servicesOfOwner(schedule.ownerId);
+        const { charts: savedCharts } = await chartsStore.read();
+        const charts = [];
+        for (const chartId of schedule.chartIds) {
+            const saved = savedCharts.filter(isOwnedBy(schedule.ownerId)).find(c => c.id === chartId);
+            if (!saved) {
+                run.warnings.push(`Saved chart ${chartId} no longer exists`);
+                continue;
+            }
+            const definition = toChartDefinition(saved);
+            const coverage = await computeCoverage(definition);
+            coverage.warnings.forEach(warning => run.warnings.push(`${saved.title}: ${warning.message}`));
+            charts.push({ title: saved.title, filterSummary: saved.filterSummary, definition, coverage });
+        }
+        if (!charts.length) {
+            throw new Error('None of the saved charts of this schedule exist');
+        }
+
+        const stamp = run.startedAt.replace(/[:.]/g, '-');
+        run.fileName = `${schedule.name.replace(/[^\w.-]+/g, '_')}-${stamp}.${schedule.format}`;
+        await fs.promises.mkdir(reportsDir, { recursive: true });
+        const filePath = path.join(reportsDir, run.fileName);
+        await writeReportFile(filePath, schedule.format, {
+            title: schedule.title,
+            charts,
+            priorities: schedule.format === 'csv' ? await testrail.fetchPriorities() : [],
+            testrailUrl
+        });
+        run.size = (await fs.promises.stat(filePath)).size;
+        run.status = 'success';
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.response ? `HTTP ${error.response.status}` : error.message;
+        console.error(`[SCHEDULES] Report "${schedule.name}" failed:`, run.error);
+    } finally {
+        runningSchedules.delete(schedule.id);
+    }
+    run.finishedAt = new Date().toISOString();
+
+    const expired = await reportsStore.update(data => {
+        data.runs.push(run);
+        const ofSchedule = data.runs.filter(r => r.scheduleId === schedule.id);
+        const dropped = ofSchedule.slice(0, Math.max(0, ofSchedule.length - reportRunsKept));
+        data.runs = data.runs.filter(r => !dropped.includes(r));
+        return dropped;
+    });
+    await Promise.all(expired
+        .filter(r => r.fileName)
+        .map(r => fs.promises.unlink(path.join(reportsDir, r.fileName)).catch(() => {})));
+    console.log(`[SCHEDULES] "${schedule.name}" finished: ${run.status}${run.fileName ? ` (${run.fileName})` : ''}`);
+    return run;
+};
+
+/**
+ * Start every enabled schedule whose next run time has passed. A server
+ * that was down catches up with a single run, not one per missed slot.
+ */
+const runDueReportSchedules = async () => {
+    const { schedules } = await reportsStore.read();
+    const now = new Date();
+    const due = schedules.filter(schedule => schedule.enabled
+        && !runningSchedules.has(schedule.id)
+        && nextRunAt(schedule.cron, schedule.timezone, new Date(schedule.lastRunAt || schedule.createdAt)) <= now);
+    for (const schedule of due) {
+        await runReportSchedule(schedule, 'schedule');
+    }
+};
+
+/**
+ * Endpoint for listing report schedules with their next run time
+ */
+app.get('/api/report-schedules', async (req, res) => {
+    try {
+        const { schedules } = await reportsStore.read();
+        res.json(schedules.filter(isOwnedBy(ownerIdOf(req))).map(withNextRun));
+    } catch (error) {
+        console.error('[SCHEDULES] Error reading report schedules:', error.message);
+        res.status(500).json({ error: 'Error reading report schedules', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for creating a report schedule
+ */
+app.post('/api/report-schedules', ...reportScheduleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const now = new Date().toISOString();
+        const schedule = { id: crypto.randomUUID(), ...toReportSchedule(req.body), ownerId: ownerIdOf(req), lastRunAt: null, createdAt: now, updatedAt: now };
+        await reportsStore.update(data => {
+            data.schedules.push(schedule);
+        });
+        console.log(`[SCHEDULES] Created "${schedule.name}" (${schedule.cron})`);
+        audit(req, 'schedule.create', schedule.id, { name: schedule.name, cron: schedule.cron });
+        res.status(201).json(withNextRun(schedule));
+    } catch (error) {
+        console.error('[SCHEDULES] Error creating report schedule:', error.message);
+        res.status(500).json({ error: 'Error creating report schedule', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for replacing a report schedule
+ */
+app.put('/api/report-schedules/:id', param('id').isString(), ...reportScheduleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const schedule = await reportsStore.update(data => {
+            const idx = data.schedules.findIndex(s => s.id === req.params.id && isOwnedBy(ownerIdOf(req))(s));
+            if (idx === -1) return null;
+            data.schedules[idx] = {
+                ...data.schedules[idx],
+                ...toReportSchedule(req.body),
+                updatedAt: new Date().toISOString()
+            };
+            return data.schedules[idx];
+        });
+        if (!schedule) {
+            return res.status(404).json({ error: 'Report schedule not found' });
+        }
+        audit(req, 'schedule.update', schedule.id, { name: schedule.name, cron: schedule.cron, enabled: schedule.enabled });
+        res.json(withNextRun(schedule));
+    } catch (error) {
+        console.error('[SCHEDULES] Error updating report schedule:', error.message);
+        res.status(500).json({ error: 'Error updating report schedule', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for deleting a report schedule; its past runs and files are kept
+ */
+app.delete('/api/report-schedules/:id', param('id').isString(), async (req, res) => {
+    try {
+        const removed = await reportsStore.update(data => {
+            const before = data.schedules.length;
+            data.schedules = data.schedules.filter(s => s.id !== req.params.id || !isOwnedBy(ownerIdOf(req))(s));
+            return data.schedules.length !== before;
+        });
+        if (!removed) {
+            return res.status(404).json({ error: 'Report schedule not found' });
+        }
+        audit(req, 'schedule.delete', req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('[SCHEDULES] Error deleting report schedule:', error.message);
+        res.status(500).json({ error: 'Error deleting report schedule', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for generating a schedule's report right away
+ */
+app.post('/api/report-schedules/:id/run', param('id').isString(), async (req, res) => {
+    try {
+        const { schedules } = await reportsStore.read();
+        const schedule = schedules.find(s => s.id === req.params.id);
+        if (!schedule || !isOwnedBy(ownerIdOf(req))(schedule)) {
+            return res.status(404).json({ error: 'Report schedule not found' });
+        }
+        if (runningSchedules.has(schedule.id)) {
+            return res.status(409).json({ error: 'This report is already being generated' });
+        }
+        audit(req, 'schedule.run', schedule.id, { name: schedule.name });
+        res.json(await runReportSchedule(schedule, 'manual'));
+    } catch (error) {
+        console.error('[SCHEDULES] Error running report schedule:', error.message);
+        res.status(500).json({ error: 'Error running report schedule', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for listing past report runs, newest first, optionally of one schedule
+ */
+app.get('/api/report-runs', query('scheduleId').optional().isString(), async (req, res) => {
+    try {
+        const { runs } = await reportsStore.read();
+        const { scheduleId } = req.query;
+        res.json(runs
+            .filter(isOwnedBy(ownerIdOf(req)))
+            .filter(run => !scheduleId || run.scheduleId === scheduleId)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt)));
+    } catch (error) {
+        console.error('[SCHEDULES] Error reading report runs:', error.message);
+        res.status(500).json({ error: 'Error reading report runs', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for downloading the file of a report run
+ */
+app.get('/api/report-runs/:id/file', param('id').isString(), async (req, res) => {
+    try {
+        const { runs } = await reportsStore.read();
+        const run = runs.find(r => r.id === req.params.id);
+        if (!run || !run.fileName || !isOwnedBy(ownerIdOf(req))(run)) {
+            return res.status(404).json({ error: 'Report file not found' });
+        }
+        res.download(path.join(reportsDir, run.fileName), run.fileName, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Report file not found' });
+            }
+        });
+    } catch (error) {
+        console.error('[SCHEDULES] Error reading report run:', error.message);
+        res.status(500).json({ error: 'Error reading report run', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for uploading a JUnit/xUnit XML report, sent as the raw request body.
+ * Only the TestRail case IDs found in it are kept.
+ */
+app.post('/api/results',
+    express.text({ type: ['application/xml', 'text/xml'], limit: process.env.RESULTS_MAX_SIZE || '20mb' }),
+    query('name').optional().isString().trim(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ error: 'Expected an XML report with Content-Type application/xml' });
+        }
+        let parsed;
+        try {
+            parsed = parseTestReport(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        try {
+            const report = {
+                id: crypto.randomUUID(),
+                name: req.query.name || 'Test results',
+                ownerId: ownerIdOf(req),
+                uploadedAt: new Date().toISOString(),
+                ...parsed
+            };
+            await resultsStore.update(data => {
+                data.reports.push(report);
+            });
+            console.log(`[RESULTS] Stored "${report.name}": ${report.tests} tests, ${report.results.length} cases, ${report.unmatched} without case ID`);
+            audit(req, 'results.upload', report.id, { name: report.name, cases: report.results.length });
+            const { results, ...summary } = report;
+            res.status(201).json({ ...summary, cases: results.length });
+        } catch (error) {
+            console.error('[RESULTS] Error storing test results:', error.message);
+            res.status(500).json({ error: 'Error storing test results', details: error.message });
+        }
+    }
+);
+
+/**
+ * Endpoint for listing uploaded result reports
+ */
+app.get('/api/results', async (req, res) => {
+    try {
+        const { reports } = await resultsStore.read();
+        res.json(reports.filter(isOwnedBy(ownerIdOf(req))).map(({ results, ...summary }) => ({ ...summary, cases: results.length })));
+    } catch (error) {
+        console.error('[RESULTS] Error reading test results:', error.message);
+        res.status(500).json({ error: 'Error reading test results', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for deleting an uploaded result report
+ */
+app.delete('/api/results/:id', param('id').isString(), async (req, res) => {
+    try {
+        const removed = await resultsStore.update(data => {
+            const before = data.reports.length;
+            data.reports = data.reports.filter(r => r.id !== req.params.id || !isOwnedBy(ownerIdOf(req))(r));
+            return data.reports.length !== before;
+        });
+        if (!removed) {
+            return res.status(404).json({ error: 'Result report not found' });
+        }
+        audit(req, 'results.delete', req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('[RESULTS] Error deleting test results:', error.message);
+        res.status(500).json({ error: 'Error deleting test results', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for listing saved selections with coverage history
+ */
+app.get('/api/history', async (req, res) => {
+    try {
+        const { selections } = await historyStore.read();
+        res.json(selections.filter(isOwnedBy(ownerIdOf(req))).map(({ snapshots, ...selection }) => ({
+            ...selection,
+            snapshotCount: snapshots.length,
+            lastSnapshotAt: snapshots.length ? snapshots[snapshots.length - 1].timestamp : null
+        })));
+    } catch (error) {
+        console.error('[HISTORY] Error reading history:', error.message);
+        res.status(500).json({ error: 'Error reading coverage history', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for fetching the snapshot series of a saved selection
+ */
+app.get('/api/history/:id', param('id').isString(), async (req, res) => {
+    try {
+        const { selections } = await historyStore.read();
+        const selection = selections.find(s => s.id === req.params.id);
+        if (!selection || !isOwnedBy(ownerIdOf(req))(selection)) {
+            return res.status(404).json({ error: 'Saved selection not found' });
+        }
+        res.json(withoutCaseCategories(selection));
+    } catch (error) {
+        console.error('[HISTORY] Error reading history:', error.message);
+        res.status(500).json({ error: 'Error reading coverage history', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for recomputing a saved selection and recording a new snapshot
+ */
+app.post('/api/history/:id/snapshots', requireTestRail, param('id').isString(), async (req, res) => {
+    try {
+        const { selections } = await historyStore.read();
+        const selection = selections.find(s => s.id === req.params.id);
+        if (!selection || !isOwnedBy(ownerIdOf(req))(selection)) {
+            return res.status(404).json({ error: 'Saved selection not found' });
+        }
+        const coverage = await req.services.computeCoverage(selection);
+        const stored = await recordSnapshot(selection, coverage, ownerIdOf(req));
+        res.json(withoutCaseCategories(stored));
+    } catch (error) {
+        console.error('[HISTORY] Error recording snapshot:', error.response ? error.response.data : error.message);
+        res.status(500).json({ error: 'Error recording coverage snapshot', details: error.response ? error.response.data : error.message });
+    }
+});
+
+/**
+ * Validators for comparing two section selections
+ */
+const selectionCompareValidators = [
+    body('base').isObject(),
+    body('target').isObject(),
+    ...selectionValidators('base.'),
+    ...filterValidators('base.'),
+    ...selectionValidators('target.'),
+    ...filterValidators('target.')
+];
+
+/**
+ * Validators for comparing one saved selection at two points in time
+ */
+const historyCompareValidators = [
+    body('historyId').isString(),
+    body('baseAt').isISO8601(),
+    body('targetAt').optional({ values: 'null' }).isISO8601()
+];
+
+/**
+ * Latest snapshot of a saved selection taken at or before a point in time
+ */
+const snapshotAt = (selection, at) => {
+    const time = new Date(at).getTime();
+    return selection.snapshots
+        .filter(snapshot => new Date(snapshot.timestamp).getTime() <= time)
+        .pop();
+};
+
+/**
+ * Endpoint for comparing coverage, either of two section selections
+ * ({ base, target }) or of one saved selection at two snapshot times
+ * ({ historyId, baseAt, targetAt }; without targetAt the selection is
+ * computed now). Returns the delta per category and the cases that moved
+ * between categories, were added or were removed.
+ */
+app.post('/api/coverage/compare', requireTestRail, async (req, res) => {
+    const byHistory = req.body.historyId !== undefined;
+    await Promise.all((byHistory ? historyCompareValidators : selectionCompareValidators).map(chain => chain.run(req)));
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const { computeCoverage, getCases, getSyncedAt } = req.services;
+    try {
+        if (!byHistory) {
+            const withDefaults = (selection) => ({ projectId: defaultProjectId, suiteId: defaultSuiteId, ...selection });
+            console.log('[COMPARE] Comparing two selections');
+            // One after another so the second one is served from the warm cache
+            const baseCoverage = await computeCoverage(withDefaults(req.body.base));
+            const targetCoverage = await computeCoverage(withDefaults(req.body.target));
+            const titles = {};
+            [baseCoverage, targetCoverage].forEach(coverage => Object.values(coverage.casesByCategory)
+                .forEach(cases => cases.forEach(testCase => { titles[testCase.id] = testCase.title; })));
+            return res.json({
+                base: { at: baseCoverage.syncedAt },
+                target: { at: targetCoverage.syncedAt },
+                ...diffCoverage(sideFromCoverage(baseCoverage), sideFromCoverage(targetCoverage), titles)
+            });
+        }
+
+        const { historyId, baseAt, targetAt } = req.body;
+        const { selections } = await historyStore.read();
+        const selection = selections.find(s => s.id === historyId);
+        if (!selection || !isOwnedBy(ownerIdOf(req))(selection)) {
+            return res.status(404).json({ error: 'Saved selection not found' });
+        }
+        const baseSnapshot = snapshotAt(selection, baseAt);
+        const targetSnapshot = targetAt ? snapshotAt(selection, targetAt) : null;
+        if (!baseSnapshot || (targetAt && !targetSnapshot)) {
+            return res.status(404).json({ error: `No snapshot of "${selection.name}" at or before ${baseSnapshot ? targetAt : baseAt}` });
+        }
+        console.log(`[COMPARE] Comparing "${selection.name}" at ${baseSnapshot.timestamp} with ${targetSnapshot ? targetSnapshot.timestamp : 'now'}`);
+        const { snapshots: storedCases } = await caseHistoryStore(selection.id).read();
+        // Snapshots that were pruned, or failed to store their cases, compare by counts only
+        const withCases = (snapshot) => ({
+            ...snapshot,
+            caseCategories: snapshot.caseCategories || (snapshot.hasCases && storedCases[snapshot.id]) || null
+        });
+        const target = targetSnapshot ? sideFromSnapshot(withCases(targetSnapshot)) : sideFromCoverage(await computeCoverage(selection));
+        const titles = {};
+        (await getCases(selection.projectId, selection.suiteId)).forEach(testCase => { titles[testCase.id] = testCase.title; });
+        res.json({
+            base: { at: baseSnapshot.timestamp },
+            target: { at: targetSnapshot ? targetSnapshot.timestamp : getSyncedAt(selection.projectId, selection.suiteId) },
+            ...diffCoverage(sideFromSnapshot(withCases(baseSnapshot)), target, titles)
+        });
+    } catch (error) {
+        console.error('[COMPARE] Error comparing coverage:', error.response ? error.response.data : error.message);
+        res.status(500).json({ error: 'Error comparing coverage', details: error.response ? error.response.data : error.message });
+    }
+});
+
+/**
+ * Endpoint for deleting a saved selection with its history
+ */
+app.delete('/api/history/:id', param('id').isString(), async (req, res) => {
+    try {
+        const removed = await historyStore.update(data => {
+            const before = data.selections.length;
+            data.selections = data.selections.filter(s => s.id !== req.params.id || !isOwnedBy(ownerIdOf(req))(s));
+            return data.selections.length !== before;
+        });
+        if (!removed) {
+            return res.status(404).json({ error: 'Saved selection not found' });
+        }
+        await fs.promises.rm(path.join(dataDir, 'history', `${req.params.id}.json`), { force: true });
+        caseHistoryStores.delete(req.params.id);
+        audit(req, 'history.delete', req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('[HISTORY] Error deleting selection:', error.message);
+        res.status(500).json({ error: 'Error deleting saved selection', details: error.message });
+    }
+});
+
+/**
+ * Validators for a team and the sections it owns
+ */
+const teamValidators = [
+    body('name').isString().trim().notEmpty(),
+    body('projectId').optional().isInt({ min: 1 }).toInt(),
+    body('suiteId').optional().isInt({ min: 1 }).toInt(),
+    body('sectionIds').isArray({ min: 1 }),
+    body('sectionIds.*').isInt({ min: 1 }).toInt()
+];
+
+/**
+ * Pick the stored fields of a team from a request body
+ */
+const toTeam = ({ name, projectId, suiteId, sectionIds }) => ({
+    name,
+    projectId: projectId || defaultProjectId,
+    suiteId: suiteId || defaultSuiteId,
+    sectionIds: Array.from(new Set(sectionIds))
+});
+
+/**
+ * Message for sections a team claims that another team of the suite already
+ * owns directly, or null. Subsections may be assigned to another team.
+ */
+const teamConflict = (teams, team, teamId) => {
+    const other = teams.find(t => t.id !== teamId
+        && t.projectId === team.projectId
+        && t.suiteId === team.suiteId
+        && t.sectionIds.some(id => team.sectionIds.includes(id)));
+    if (!other) return null;
+    const shared = other.sectionIds.filter(id => team.sectionIds.includes(id));
+    return `Section${shared.length > 1 ? 's' : ''} ${shared.join(', ')} already belong${shared.length > 1 ? '' : 's'} to "${other.name}"`;
+};
+
+/**
+ * Teams are visible to everyone, but only their creator or an admin may
+ * change or delete them
+ */
+const canChangeTeam = (req, team) => authMode === 'none'
+    || req.user.role === 'admin'
+    || (Boolean(team.ownerId) && team.ownerId === req.user.id);
+
+/**
+ * Endpoint for listing teams, optionally of one project/suite
+ */
+app.get('/api/teams',
+    query('projectId').optional().isInt({ min: 1 }).toInt(),
+    query('suiteId').optional().isInt({ min: 1 }).toInt(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        try {
+            const { teams } = await teamsStore.read();
+            const { projectId, suiteId } = req.query;
+            res.json(teams.filter(team => (!projectId || team.projectId === projectId) && (!suiteId || team.suiteId === suiteId)));
+        } catch (error) {
+            console.error('[TEAMS] Error reading teams:', error.message);
+            res.status(500).json({ error: 'Error reading teams', details: error.message });
+        }
+    }
+);
+
+/**
+ * Endpoint for creating a team with the sections it owns
+ */
+app.post('/api/teams', ...teamValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const now = new Date().toISOString();
+        const team = { id: crypto.randomUUID(), ...toTeam(req.body), ownerId: ownerIdOf(req), updatedBy: ownerIdOf(req), createdAt: now, updatedAt: now };
+        const conflict = await teamsStore.update(data => {
+            const message = teamConflict(data.teams, team, null);
+            if (!message) data.teams.push(team);
+            return message;
+        });
+        if (conflict) {
+            return res.status(409).json({ error: conflict });
+        }
+        console.log(`[TEAMS] Created "${team.name}" with sections ${team.sectionIds}`);
+        audit(req, 'team.create', team.id, { name: team.name, sectionIds: team.sectionIds });
+        res.status(201).json(team);
+    } catch (error) {
+        console.error('[TEAMS] Error creating team:', error.message);
+        res.status(500).json({ error: 'Error creating team', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for replacing a team's name or sections
+ */
+app.put('/api/teams/:id', param('id').isString(), ...teamValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()){
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const result = await teamsStore.update(data => {
+            const idx = data.teams.findIndex(t => t.id === req.params.id);
+            if (idx === -1) return null;
+            if (!canChangeTeam(req, data.teams[idx])) return { forbidden: true };
+            const team = { ...data.teams[idx], ...toTeam(req.body), updatedBy: ownerIdOf(req), updatedAt: new Date().toISOString() };
+            const conflict = teamConflict(data.teams, team, team.id);
+            if (!conflict) data.teams[idx] = team;
+            return { team, conflict };
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (result.forbidden) {
+            return res.status(403).json({ error: 'Only the creator of this team or an admin can change it' });
+        }
+        if (result.conflict) {
+            return res.status(409).json({ error: result.conflict });
+        }
+        audit(req, 'team.update', result.team.id, { name: result.team.name, sectionIds: result.team.sectionIds });
+        res.json(result.team);
+    } catch (error) {
+        console.error('[TEAMS] Error updating team:', error.message);
+        res.status(500).json({ error: 'Error updating team', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for deleting a team; its sections fall back to their parents' teams
+ */
+app.delete('/api/teams/:id', param('id').isString(), async (req, res) => {
+    try {
+        const result = await teamsStore.update(data => {
+            const team = data.teams.find(t => t.id === req.params.id);
+            if (!team) return null;
+            if (!canChangeTeam(req, team)) return { forbidden: true };
+            data.teams = data.teams.filter(t => t !== team);
+            return { team };
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (result.forbidden) {
+            return res.status(403).json({ error: 'Only the creator of this team or an admin can delete it' });
+        }
+        audit(req, 'team.delete', req.params.id, { name: result.team.name });
+        res.status(204).end();
+    } catch (error) {
+        console.error('[TEAMS] Error deleting team:', error.message);
+        res.status(500).json({ error: 'Error deleting team', details: error.message });
+    }
+});
+
+/**
+ * Endpoint for the team leaderboard: coverage and candidate backlog of every
+ * team of a suite, computed in one pass over its cases
+ */
+app.post('/api/teams/coverage',
+    requireTestRail,
+    body('projectId').optional().isInt({ min: 1 }).toInt(),
+    body('suiteId').optional().isInt({ min: 1 }).toInt(),
+    body('automatedCategories').optional().isArray({ min: 1 }),
+    body('automatedCategories.*').isString(),
+    ...filterValidators(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()){
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const { projectId = defaultProjectId, suiteId = defaultSuiteId, filters = {}, automatedCategories } = req.body;
+        console.log(`[TEAMS] Leaderboard requested for projectId=${projectId}, suiteId=${suiteId}`);
+        try {
+            const { teams } = await teamsStore.read();
+            const suiteTeams = teams.filter(team => team.projectId === projectId && team.suiteId === suiteId);
+            res.json(await req.services.computeTeamCoverage({ projectId, suiteId, teams: suiteTeams, filters, automatedCategories }));
+        } catch (error) {
+            console.error('[TEAMS] Error computing team coverage:', error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Error computing team coverage', details: error.response ? error.response.data : error.message });
+        }
+    }
+);
+
+/**
+ * Recompute the coverage gauges of the monitored saved charts, one at a time.
+ * Series of charts that were deleted are dropped.
+ */
+const refreshCoverageMetrics = async () => {
+    const { charts } = await chartsStore.read();
+    const monitored = metricsChartIds.length ? charts.filter(c => metricsChartIds.includes(c.id)) : charts;
+    const ids = monitored.map(c => c.id);
+    monitoredCharts()
+        .filter(id => !ids.includes(id))
+        .forEach(removeCoverageMetrics);
+    for (const chart of monitored) {
+        try {
+            const { computeCoverage } = await servicesOfOwner(chart.ownerId);
+            const coverage = await computeCoverage(toChartDefinition(chart));
+            setCoverageMetrics(chart.id, chart.name, coverage);
+        } catch (error) {
+            console.error(`[METRICS] Error refreshing coverage of "${chart.name}":`, error.response ? error.response.data : error.message);
+            recordRefreshError(chart.id, chart.name);
+        }
+    }
+    console.log(`[METRICS] Refreshed coverage of ${monitored.length} saved charts`);
+};
+
+// Serving static React files from the build folder
+app.use(express.static(path.join(__dirname, 'build')));
+app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'build', 'index.html'));
+});
+
+/**
+ * Listen on a port and start the background jobs; resolves to the http.Server
+ */
+const start = (port = PORT) => new Promise(resolve => {
+    const server = app.listen(port, () => {
+        console.log(`Server is running on port ${server.address().port}`);
+        if (metricsRefreshMs > 0) {
+            const refresh = () => refreshCoverageMetrics().catch(error => console.error('[METRICS] Refresh failed:', error.message));
+            refresh();
+            setInterval(refresh, metricsRefreshMs);
+        }
+        // Schedules have minute resolution like cron itself
+        setInterval(() => {
+            runDueReportSchedules().catch(error => console.error('[SCHEDULES] Scheduled run failed:', error.message));
+        }, 60 * 1000);
+        if (alertCheckMs > 0) {
+            // A sweep that outlasts the interval is not started a second time
+            let checkingAlerts = false;
+            setInterval(() => {
+                if (checkingAlerts) return;
+                checkingAlerts = true;
+                checkAlertRules()
+                    .catch(error => console.error('[ALERTS] Scheduled check failed:', error.message))
+                    .finally(() => { checkingAlerts = false; });
+            }, alertCheckMs);
+        }
+        resolve(server);
+    });
+});
+
+// Started here when run directly; startWithMock.js and the tests import it
+if (require.main === module) {
+    start();
+}
+
+module.exports = { app, start };
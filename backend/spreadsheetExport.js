@@ -0,0 +1,119 @@
+// backend/spreadsheetExport.js
+const ExcelJS = require('exceljs');
+
+/**
+ * Flatten the per-section tree, parents before their children
+ */
+const flattenSectionTree = (nodes) =>
+    nodes.reduce((rows, node) => rows.concat([node]).concat(flattenSectionTree(node.children)), []);
+
+/**
+ * Build the tables of an export: a summary with counts and percentages per
+ * category (overall and per section, rolled up), coverage per requirement
+ * when cases carry refs, and one case list per category.
+ */
+const buildExportTables = (coverage, { priorities, testrailUrl }) => {
+    const { categories } = coverage;
+    const pathById = {};
+    coverage.resolvedSections.forEach(section => { pathById[section.id] = section.path; });
+    const total = categories.reduce((sum, category) => sum + coverage.totalCounts[category], 0);
+
+    const summaryColumns = ['Scope']
+        .concat(...categories.map(category => [`${category} (count)`, `${category} (%)`]))
+        .concat(['Total', 'Coverage (%)']);
+    const summaryRows = [
+        ['All selected sections']
+            .concat(...categories.map(category => [coverage.totalCounts[category], Number(coverage.percentages[category])]))
+            .concat([total, Number(coverage.overallCoverage)])
+    ].concat(flattenSectionTree(coverage.sectionTree).map(node =>
+        [pathById[node.id] || node.name]
+            .concat(...categories.map(category => [node.rolledUpCounts[category], Number(node.percentages[category])]))
+            .concat([node.rolledUpTotal, Number(node.coverage)])
+    ));
+
+    const priorityById = {};
+    priorities.forEach(priority => { priorityById[priority.id] = priority.name; });
+
+    const requirementTables = coverage.requirements && coverage.requirements.length ? [{
+        name: 'Requirements',
+        columns: ['Requirement'].concat(categories, ['Total', 'Automated', 'Coverage (%)', 'No automation']),
+        rows: coverage.requirements.map(requirement =>
+            [requirement.ref]
+                .concat(categories.map(category => requirement.counts[category]))
+                .concat([requirement.total, requirement.automated, Number(requirement.coverage), requirement.automated === 0 ? 'yes' : '']))
+    }] : [];
+
+    const caseColumns = ['Case ID', 'Title', 'Section', 'Priority', 'References', 'TestRail Link'];
+    const categoryTables = categories.map(category => ({
+        name: category,
+        columns: caseColumns,
+        rows: coverage.casesByCategory[category].map(tc => [
+            `C${tc.id}`,
+            tc.title,
+            pathById[tc.sectionId] || '',
+            priorityById[tc.priorityId] || '',
+            tc.refs || '',
+            `${testrailUrl}/index.php?/cases/view/${tc.id}`
+        ])
+    }));
+
+    return [{ name: 'Summary', columns: summaryColumns, rows: summaryRows }].concat(requirementTables, categoryTables);
+};
+
+/**
+ * Text starting with =, +, -, @, tab or carriage return is prefixed with ' so
+ * spreadsheet apps do not run it as a formula; numbers are written as they are
+ */
+const escapeCsv = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV has no sheets, so each table becomes a titled block separated by a blank line
+ */
+const toCsv = (tables) =>
+    tables
+        .map(table => [[table.name], table.columns].concat(table.rows)
+            .map(row => row.map(escapeCsv).join(','))
+            .join('\r\n'))
+        .join('\r\n\r\n') + '\r\n';
+
+/**
+ * Excel limits sheet names to 31 characters without []:*?/\ and requires them to be unique
+ */
+const toSheetName = (name, used) => {
+    const base = name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+        candidate = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+};
+
+/**
+ * Write the tables as an XLSX workbook with one sheet per table
+ */
+const writeXlsx = async (stream, tables) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const used = new Set();
+    tables.forEach(table => {
+        const sheet = workbook.addWorksheet(toSheetName(table.name, used));
+        sheet.addRow(table.columns).font = { bold: true };
+        table.rows.forEach(row => sheet.addRow(row));
+        // Fit columns to their content, within reason
+        sheet.columns.forEach((column, idx) => {
+            const longest = table.rows.reduce((max, row) => Math.max(max, String(row[idx]).length), table.columns[idx].length);
+            column.width = Math.min(Math.max(longest + 2, 10), 80);
+        });
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    });
+    await workbook.xlsx.write(stream);
+};
+
+module.exports = { buildExportTables, flattenSectionTree, toCsv, writeXlsx };
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+// backend/startWithMock.js
+// Offline mode: start the TestRail stand-in and point the app at it
+require('dotenv').config();
+const { loadFixtures, startMockTestRail, DEFAULT_FIXTURES } = require('./mockTestRail');
+
+const mockPort = Number(process.env.MOCK_TESTRAIL_PORT || 5099);
+const fixturesFile = process.env.MOCK_TESTRAIL_FIXTURES || DEFAULT_FIXTURES;
+
+const fixtures = loadFixtures(fixturesFile);
+
+startMockTestRail(mockPort, fixtures, {
+    rateLimitEvery: Number(process.env.MOCK_TESTRAIL_RATE_LIMIT_EVERY || 0),
+    delayMs: Number(process.env.MOCK_TESTRAIL_DELAY_MS || 0)
+}).then(() => {
+    console.log(`[MOCK] TestRail stand-in with ${fixturesFile} on http://localhost:${mockPort}`);
+    // Set before the server reads its configuration; IDs from .env would not exist in the fixtures
+    const [project] = fixtures.projects;
+    const suite = fixtures.suites.find(s => s.project_id === project.id);
+    process.env.TESTRAIL_URL = `http://localhost:${mockPort}`;
+    process.env.TESTRAIL_PROJECT_ID = String(project.id);
+    process.env.TESTRAIL_SUITE_ID = String(suite.id);
+    require('./server').start();
+}).catch(error => {
+    console.error('[MOCK] Could not start the TestRail stand-in:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,46 @@
+// backend/store.js
+const fs = require('fs');
+const path = require('path');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Create a small JSON-file store in the data directory.
+ * Updates are serialized and written atomically (temp file + rename).
+ */
+const createStore = (fileName, defaults) => {
+    const filePath = path.join(dataDir, fileName);
+    let queue = Promise.resolve();
+
+    const read = async () => {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return JSON.parse(JSON.stringify(defaults));
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Apply a mutator to the stored data and persist it; resolves to the mutator's result
+     */
+    const update = (mutator) => {
+        const run = queue.then(async () => {
+            const data = await read();
+            const result = await mutator(data);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tmpPath, filePath);
+            return result;
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    return { read, update };
+};
+
+module.exports = { createStore, dataDir };
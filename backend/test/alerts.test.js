@@ -0,0 +1,118 @@
+// backend/test/alerts.test.js
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+// 25% automated
+const cases = makeCases(10, 1, [YES, NO, NO, NO]);
+const suite = {
+    id: 10,
+    sections: [{ id: 1, parent_id: null, name: 'Web' }],
+    cases
+};
+
+const selection = { projectId: 1, suiteId: 10, folderIds: [1] };
+
+describe('alerts', () => {
+    let app;
+    let receiver;
+    let hookUrl;
+    const received = [];
+
+    before(async () => {
+        // Stands in for a Slack or other webhook receiver
+        receiver = http.createServer((req, res) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, body: JSON.parse(data) });
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, resolve));
+        hookUrl = `http://localhost:${receiver.address().port}/hook`;
+        app = await startApp(makeFixtures([suite]), undefined, { ALERT_WEBHOOK_HOSTS: 'localhost' });
+    });
+
+    after(async () => {
+        await app.stop();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('only accepts webhooks on ALERT_WEBHOOK_HOSTS', async () => {
+        for (const webhookUrl of ['http://169.254.169.254/latest/meta-data', `http://127.0.0.1:${receiver.address().port}/hook`, 'file:///etc/passwd']) {
+            const rule = await app.post('/api/alerts', { name: 'Web', ...selection, minPercent: 50, webhookUrl });
+            assert.equal(rule.status, 400, webhookUrl);
+            const test = await app.post('/api/alerts/test', { webhookUrl });
+            assert.equal(test.status, 400, webhookUrl);
+        }
+        assert.equal(received.length, 0);
+    });
+
+    it('sends a sample alert to an allowed webhook', async () => {
+        const { status, body } = await app.post('/api/alerts/test', { webhookUrl: hookUrl, format: 'slack' });
+        assert.equal(status, 200);
+        assert.equal(body.sent, true);
+        assert.equal(received.length, 1);
+        assert.match(received[0].body.text, /\[TEST\]/);
+    });
+
+    it('fires a threshold alert once and a drop alert on every drop', async () => {
+        const created = await app.post('/api/alerts', { name: 'Web', ...selection, minPercent: 50, maxDrop: 10, webhookUrl: hookUrl });
+        assert.equal(created.status, 201);
+        const ruleId = created.body.id;
+        received.length = 0;
+
+        const first = (await app.post(`/api/alerts/${ruleId}/check`)).body;
+        assert.equal(first.value, 25);
+        assert.equal(first.triggered, true);
+        assert.equal(first.delivered, true);
+        assert.equal(received.length, 1);
+        assert.equal(received[0].body.type, 'coverage-alert');
+        assert.deepEqual(received[0].body.reasons, ['Automation coverage is 25%, below the threshold of 50%']);
+
+        // Still below the threshold: nothing new to report
+        const second = (await app.post(`/api/alerts/${ruleId}/check`)).body;
+        assert.equal(second.triggered, false);
+        assert.equal(received.length, 1);
+
+        // The automated case is switched to manual in TestRail
+        app.mockData().cases.find(testCase => testCase.id === cases[0].id).custom_automation = NO;
+        assert.equal((await app.request('DELETE', '/api/testrail/cache')).status, 204);
+        const third = (await app.post(`/api/alerts/${ruleId}/check`)).body;
+        assert.equal(third.value, 0);
+        assert.equal(third.previousValue, 25);
+        assert.deepEqual(third.reasons, ['Automation coverage dropped by 25.0 points, from 25% to 0%']);
+        assert.equal(received.length, 2);
+
+        const [stored] = (await app.get('/api/alerts')).body;
+        assert.equal(stored.state.lastValue, 0);
+        assert.equal(stored.state.breached, true);
+    });
+
+    it('starts a changed rule over and forgets deleted ones', async () => {
+        const [rule] = (await app.get('/api/alerts')).body;
+        assert.equal((await app.request('PUT', `/api/alerts/${rule.id}`, { name: 'Web', ...selection })).status, 400);
+
+        const updated = await app.request('PUT', `/api/alerts/${rule.id}`, { name: 'Web', ...selection, minPercent: 10, webhookUrl: hookUrl });
+        assert.equal(updated.status, 200);
+        assert.deepEqual(updated.body.state, {});
+        assert.equal(updated.body.maxDrop, null);
+        // With the state reset the rule fires again for the same value
+        assert.equal((await app.post(`/api/alerts/${rule.id}/check`)).body.triggered, true);
+
+        assert.equal((await app.request('DELETE', `/api/alerts/${rule.id}`)).status, 204);
+        assert.equal((await app.post(`/api/alerts/${rule.id}/check`)).status, 404);
+        assert.deepEqual((await app.get('/api/alerts')).body, []);
+    });
+
+    it('does not check a rule again while its check is still running', async () => {
+        const created = await app.post('/api/alerts', { name: 'Web', ...selection, minPercent: 50, webhookUrl: hookUrl });
+        received.length = 0;
+        const checks = await Promise.all([1, 2].map(() => app.post(`/api/alerts/${created.body.id}/check`)));
+        assert.deepEqual(checks.map(check => check.status).sort(), [200, 409]);
+        assert.equal(received.length, 1);
+        assert.equal((await app.request('DELETE', `/api/alerts/${created.body.id}`)).status, 204);
+    });
+});
@@ -0,0 +1,194 @@
+// backend/test/auth.test.js
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+const suite = {
+    id: 10,
+    sections: [{ id: 1, parent_id: null, name: 'Web' }],
+    cases: makeCases(10, 1, [YES, NO])
+};
+
+// TestRail accounts the stand-in accepts
+const testrailUsers = [
+    { email: 'alice@example.com', apiKey: 'alice-key' },
+    { email: 'bob@example.com', apiKey: 'bob-key' }
+];
+
+const selection = { projectId: 1, suiteId: 10, folderIds: [1] };
+
+// Steps build on each other: accounts, then keys, then saved data
+describe('login with AUTH_MODE=local', () => {
+    let app;
+    const tokens = {};
+
+    before(async () => {
+        app = await startApp({ ...makeFixtures([suite]), users: testrailUsers }, undefined, {
+            AUTH_MODE: 'local',
+            AUTH_SECRET: 'test-secret'
+        });
+    });
+
+    after(() => app.stop());
+
+    it('rejects API calls without a session', async () => {
+        assert.equal((await app.get('/api/charts')).status, 401);
+        assert.equal((await app.post('/api/testrail/data', selection)).status, 401);
+    });
+
+    it('offers signup only until the first account exists', async () => {
+        assert.deepEqual((await app.get('/api/auth/config')).body, { mode: 'local', allowSignup: true });
+
+        const first = await app.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+        assert.equal(first.status, 201);
+        assert.equal(first.body.role, 'admin');
+
+        assert.deepEqual((await app.get('/api/auth/config')).body, { mode: 'local', allowSignup: false });
+        const second = await app.post('/api/auth/register', { username: 'bob', password: 'bob-password' });
+        assert.equal(second.status, 403);
+    });
+
+    it('signs in with the right password only', async () => {
+        assert.equal((await app.post('/api/auth/login', { username: 'alice', password: 'wrong-password' })).status, 401);
+        const { status, body } = await app.post('/api/auth/login', { username: 'alice', password: 'alice-password' });
+        assert.equal(status, 200);
+        assert.equal(body.user.username, 'alice');
+        tokens.alice = body.token;
+    });
+
+    it('lets an admin create accounts', async () => {
+        const created = await app.post('/api/auth/register', { username: 'bob', password: 'bob-password' }, tokens.alice);
+        assert.equal(created.status, 201);
+        assert.equal(created.body.role, 'user');
+        tokens.bob = (await app.post('/api/auth/login', { username: 'bob', password: 'bob-password' })).body.token;
+        assert.ok(tokens.bob);
+    });
+
+    it('needs a TestRail API key before calling TestRail', async () => {
+        const { status } = await app.post('/api/testrail/data', selection, tokens.alice);
+        assert.equal(status, 409);
+    });
+
+    it('checks API keys against TestRail and stores them encrypted', async () => {
+        const rejected = await app.request('PUT', '/api/auth/me/testrail', { email: 'alice@example.com', apiKey: 'bob-key' }, tokens.alice);
+        assert.equal(rejected.status, 400);
+
+        for (const name of ['alice', 'bob']) {
+            const { status, body } = await app.request('PUT', '/api/auth/me/testrail', { email: `${name}@example.com`, apiKey: `${name}-key` }, tokens[name]);
+            assert.equal(status, 200);
+            assert.equal(body.hasTestRailKey, true);
+        }
+        const stored = fs.readFileSync(path.join(app.dataDir, 'users.json'), 'utf8');
+        assert.ok(!stored.includes('alice-key'));
+        assert.ok(!stored.includes('alice-password'));
+    });
+
+    it('calls TestRail with the account of the signed-in user', async () => {
+        const before = app.callers().length;
+        const { status, body } = await app.post('/api/testrail/data', selection, tokens.bob);
+        assert.equal(status, 200);
+        assert.equal(body.overallCoverage, '50.0');
+        const callers = app.callers().slice(before);
+        assert.ok(callers.length > 0);
+        assert.ok(callers.every(email => email === 'bob@example.com'));
+    });
+
+    it('keeps saved charts private to their owner', async () => {
+        const saved = await app.post('/api/charts', { name: 'Web', ...selection }, tokens.alice);
+        assert.equal(saved.status, 201);
+        const chartId = saved.body.id;
+
+        assert.deepEqual((await app.get('/api/charts', tokens.bob)).body, []);
+        assert.equal((await app.request('DELETE', `/api/charts/${chartId}`, undefined, tokens.bob)).status, 404);
+        assert.equal((await app.get('/api/charts', tokens.alice)).body.length, 1);
+
+        // Embeds of a saved chart stay public and use the owner's account
+        const before = app.callers().length;
+        const summary = await app.get(`/api/coverage/summary?saved=${chartId}`);
+        assert.equal(summary.status, 200);
+        assert.equal(summary.body.title, 'Web');
+        assert.ok(app.callers().slice(before).every(email => email === 'alice@example.com'));
+    });
+
+    it('opens a teammate\'s saved chart link read-only', async () => {
+        const [saved] = (await app.get('/api/charts', tokens.alice)).body;
+        const own = await app.get(`/api/charts/${saved.id}`, tokens.alice);
+        assert.equal(own.body.editable, true);
+
+        const shared = await app.get(`/api/charts/${saved.id}`, tokens.bob);
+        assert.equal(shared.status, 200);
+        assert.equal(shared.body.title, 'Web');
+        assert.equal(shared.body.editable, false);
+        // The link builds the chart with the teammate's own TestRail account
+        const { status, body } = await app.post('/api/testrail/data', { projectId: shared.body.projectId, suiteId: shared.body.suiteId, folderIds: shared.body.folderIds }, tokens.bob);
+        assert.equal(status, 200);
+        assert.equal(body.overallCoverage, '50.0');
+
+        const renamed = { name: 'Mine', projectId: 1, suiteId: 10, folderIds: [1] };
+        assert.equal((await app.request('PUT', `/api/charts/${saved.id}`, renamed, tokens.bob)).status, 404);
+        assert.equal((await app.get(`/api/charts/${saved.id}`)).status, 401);
+        assert.equal((await app.get('/api/charts/missing', tokens.bob)).status, 404);
+    });
+
+    it('shows the audit log to admins only', async () => {
+        assert.equal((await app.get('/api/audit', tokens.bob)).status, 403);
+        const { status, body } = await app.get('/api/audit', tokens.alice);
+        assert.equal(status, 200);
+        const actions = body.map(entry => `${entry.username || '-'} ${entry.action}`);
+        assert.ok(actions.includes('alice chart.create'));
+        assert.ok(actions.includes('- auth.login-failed'));
+        assert.ok(actions.includes('bob auth.testrail-key-set'));
+        // Newest first
+        assert.equal(body[0].action, 'chart.create');
+    });
+
+    it('lets only the creator of a team or an admin change it', async () => {
+        const team = { name: 'Web', projectId: 1, suiteId: 10, sectionIds: [1] };
+        const { status, body } = await app.post('/api/teams', team, tokens.alice);
+        assert.equal(status, 201);
+        assert.equal((await app.get('/api/teams', tokens.bob)).body.length, 1);
+
+        assert.equal((await app.request('PUT', `/api/teams/${body.id}`, { ...team, name: 'Mine' }, tokens.bob)).status, 403);
+        assert.equal((await app.request('DELETE', `/api/teams/${body.id}`, undefined, tokens.bob)).status, 403);
+        assert.equal((await app.request('DELETE', `/api/teams/${body.id}`, undefined, tokens.alice)).status, 204);
+
+        const own = await app.post('/api/teams', team, tokens.bob);
+        assert.equal((await app.request('PUT', `/api/teams/${own.body.id}`, { ...team, name: 'Bob team' }, tokens.bob)).status, 200);
+        // Admins may change any team
+        assert.equal((await app.request('DELETE', `/api/teams/${own.body.id}`, undefined, tokens.alice)).status, 204);
+    });
+
+    it('lets only admins send sample alerts', async () => {
+        assert.equal((await app.post('/api/alerts/test', {}, tokens.bob)).status, 403);
+    });
+
+    it('shows metrics to admins only when no METRICS_TOKEN is set', async () => {
+        assert.equal((await app.get('/metrics')).status, 401);
+        assert.equal((await app.get('/metrics', tokens.bob)).status, 401);
+        const { status, body } = await app.get('/metrics', tokens.alice);
+        assert.equal(status, 200);
+        assert.match(body, /mycoverage_testrail_requests_total/);
+    });
+
+    it('lists accounts to admins only', async () => {
+        assert.equal((await app.get('/api/users', tokens.bob)).status, 403);
+        const { status, body } = await app.get('/api/users', tokens.alice);
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(user => [user.username, user.role]), [['alice', 'admin'], ['bob', 'user']]);
+        assert.ok(body.every(user => user.passwordHash === undefined && user.testrailKey === undefined));
+    });
+
+    it('forgets a removed TestRail API key', async () => {
+        const { status, body } = await app.request('DELETE', '/api/auth/me/testrail', undefined, tokens.bob);
+        assert.equal(status, 200);
+        assert.equal(body.hasTestRailKey, false);
+        assert.equal((await app.post('/api/testrail/data', selection, tokens.bob)).status, 409);
+    });
+
+    it('ends the session on logout', async () => {
+        assert.equal((await app.post('/api/auth/logout', undefined, tokens.bob)).status, 204);
+        assert.equal((await app.get('/api/auth/me', tokens.bob)).status, 401);
+    });
+});
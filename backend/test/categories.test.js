@@ -0,0 +1,57 @@
+// backend/test/categories.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCases, makeFixtures, startApp } = require('./helpers');
+const { parseDropdownItems } = require('../coverage');
+
+// A field with an option that is itself called "Unset", and two unreadable lines
+const caseFields = [{
+    id: 1,
+    system_name: 'custom_automation',
+    type_id: 6,
+    configs: [{
+        context: { is_global: true, project_ids: null },
+        options: { items: '1, Yes\n2, Unset\nManual\n\nx, Later' }
+    }]
+}];
+
+const suite = {
+    id: 10,
+    sections: [{ id: 1, parent_id: null, name: 'Web' }],
+    cases: makeCases(10, 1, [1, 2, 2, null])
+};
+
+describe('automation categories', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ ...makeFixtures([suite]), caseFields });
+    });
+
+    after(() => app.stop());
+
+    it('reports option lines it cannot read', () => {
+        const skipped = [];
+        const options = parseDropdownItems('1, Yes\nManual\n\n2, No, really\nx, Later', line => skipped.push(line));
+        assert.deepEqual(options, [{ id: 1, label: 'Yes' }, { id: 2, label: 'No, really' }]);
+        assert.deepEqual(skipped, ['Manual', 'x, Later']);
+    });
+
+    it('keeps cases without a value apart from an option named "Unset"', async () => {
+        const { status, body } = await app.post('/api/testrail/data', { projectId: 1, suiteId: 10, folderIds: [1] });
+        assert.equal(status, 200);
+        assert.deepEqual(body.categories, ['Yes', 'Unset', '(Unset)']);
+        assert.deepEqual(body.totalCounts, { 'Yes': 1, 'Unset': 2, '(Unset)': 1 });
+        // Unreadable options do not make the data incomplete
+        assert.deepEqual(body.warnings, []);
+        assert.deepEqual(body.fieldWarnings.map(warning => warning.message), [
+            'Option "Manual" of custom_automation is not in the "id, label" format and was ignored',
+            'Option "x, Later" of custom_automation is not in the "id, label" format and was ignored'
+        ]);
+    });
+
+    it('offers the same categories as filter options', async () => {
+        const { body } = await app.get('/api/testrail/projects/1/filter-options');
+        assert.deepEqual(body.categories, ['Yes', 'Unset', '(Unset)']);
+    });
+});
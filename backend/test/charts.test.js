@@ -0,0 +1,107 @@
+// backend/test/charts.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+// Web is half automated, API fully
+const suite = {
+    id: 10,
+    sections: [
+        { id: 1, parent_id: null, name: 'Web' },
+        { id: 2, parent_id: null, name: 'API' }
+    ],
+    cases: [...makeCases(10, 1, [YES, NO]), ...makeCases(10, 2, [YES, YES])]
+};
+
+const RED = '#e05d44';
+const YELLOW = '#dfb317';
+const GREEN = '#4c1';
+
+describe('saved charts, summaries and badges', () => {
+    let app;
+    let chartId;
+
+    before(async () => {
+        app = await startApp(makeFixtures([suite]));
+    });
+
+    after(() => app.stop());
+
+    it('saves, renames and deletes chart definitions', async () => {
+        assert.equal((await app.post('/api/charts', { name: '', projectId: 1, suiteId: 10, folderIds: [1] })).status, 400);
+
+        const created = await app.post('/api/charts', { name: 'Web', projectId: 1, suiteId: 10, folderIds: [1] });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.title, 'Web');
+        chartId = created.body.id;
+
+        const updated = await app.request('PUT', `/api/charts/${chartId}`, { name: 'Web', title: 'Web coverage', projectId: 1, suiteId: 10, folderIds: [1] });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.createdAt, created.body.createdAt);
+        assert.equal((await app.get(`/api/charts/${chartId}`)).body.title, 'Web coverage');
+        assert.equal((await app.request('PUT', '/api/charts/missing', { name: 'Web', folderIds: [1] })).status, 404);
+
+        const other = await app.post('/api/charts', { name: 'API', projectId: 1, suiteId: 10, folderIds: [2] });
+        assert.equal((await app.request('DELETE', `/api/charts/${other.body.id}`)).status, 204);
+        assert.deepEqual((await app.get('/api/charts')).body.map(chart => chart.id), [chartId]);
+    });
+
+    it('summarizes saved charts and ad hoc selections', async () => {
+        const saved = await app.get(`/api/coverage/summary?saved=${chartId}`);
+        assert.equal(saved.status, 200);
+        assert.equal(saved.body.title, 'Web coverage');
+        assert.equal(saved.body.overallCoverage, '50.0');
+
+        const adHoc = await app.get('/api/coverage/summary?projectId=1&suiteId=10&folderIds=1,2');
+        assert.equal(adHoc.body.overallCoverage, '75.0');
+
+        assert.equal((await app.get('/api/coverage/summary?saved=missing')).status, 404);
+        assert.equal((await app.get('/api/coverage/summary?projectId=1&suiteId=10')).status, 400);
+    });
+
+    it('checks chart definitions from share links like request bodies', async () => {
+        const link = (definition) => `/api/coverage/summary?chart=${Buffer.from(JSON.stringify(definition)).toString('base64url')}`;
+        const shared = await app.get(link({ title: 'Shared', projectId: 1, suiteId: 10, folderIds: [2] }));
+        assert.equal(shared.status, 200);
+        assert.equal(shared.body.title, 'Shared');
+        assert.equal(shared.body.overallCoverage, '100.0');
+
+        for (const definition of [
+            { projectId: '1/../../get_users', suiteId: 10, folderIds: [2] },
+            { projectId: 1, suiteId: 10, folderIds: ['all'] },
+            { projectId: 1, suiteId: 10, folderIds: [2], inclusion: 'everything' },
+            { projectId: 1, suiteId: 10, folderIds: [2], filters: { refs: 5 } }
+        ]) {
+            const { status, body } = await app.get(link(definition));
+            assert.equal(status, 400, JSON.stringify(definition));
+            assert.match(body.error, /^Invalid chart definition/);
+        }
+        assert.equal((await app.get('/api/coverage/summary?chart=bm90IGpzb24')).status, 400);
+    });
+
+    it('colors badges by BADGE_THRESHOLDS or the thresholds parameter', async () => {
+        const web = await app.get(`/api/coverage/badge.svg?saved=${chartId}&label=web`);
+        assert.equal(web.status, 200);
+        assert.match(web.headers.get('content-type'), /^image\/svg\+xml/);
+        assert.match(web.body, /aria-label="web: 50.0%"/);
+        // The default thresholds are 50 and 80
+        assert.match(web.body, new RegExp(`fill="${YELLOW}"`));
+
+        const api = await app.get('/api/coverage/badge.svg?projectId=1&suiteId=10&folderIds=2');
+        assert.match(api.body, /aria-label="automation coverage: 100.0%"/);
+        assert.match(api.body, new RegExp(`fill="${GREEN}"`));
+
+        const strict = await app.get(`/api/coverage/badge.svg?saved=${chartId}&thresholds=60,90`);
+        assert.match(strict.body, new RegExp(`fill="${RED}"`));
+    });
+
+    it('returns grey badges for bad requests', async () => {
+        const invalid = await app.get('/api/coverage/badge.svg?thresholds=high');
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body, /invalid/);
+
+        const missing = await app.get('/api/coverage/badge.svg?saved=missing');
+        assert.equal(missing.status, 404);
+        assert.match(missing.body, /not found/);
+    });
+});
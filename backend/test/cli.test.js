@@ -0,0 +1,146 @@
+// backend/test/cli.test.js
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures } = require('./helpers');
+const { startMockTestRail } = require('../mockTestRail');
+const { DEFAULT_INCLUSION } = require('../coverage');
+const {
+    EXIT_BELOW_THRESHOLD,
+    EXIT_ERROR,
+    EXIT_INCOMPLETE,
+    UsageError,
+    parseOptions,
+    toSectionIds,
+    checkGate
+} = require('../cli');
+
+// Suite 10:  1 Web (automated) > 2 Checkout (manual)
+//            3 API > 4 Checkout (automated, manual)
+const suite = {
+    id: 10,
+    sections: [
+        { id: 1, parent_id: null, name: 'Web' },
+        { id: 2, parent_id: 1, depth: 1, name: 'Checkout' },
+        { id: 3, parent_id: null, name: 'API' },
+        { id: 4, parent_id: 3, depth: 1, name: 'Checkout' }
+    ],
+    cases: [
+        ...makeCases(10, 1, [YES]),
+        ...makeCases(10, 2, [NO]),
+        ...makeCases(10, 4, [YES, NO])
+    ]
+};
+const sections = makeFixtures([suite]).sections;
+
+describe('mycoverage CLI', () => {
+    describe('parseOptions', () => {
+        it('fills in defaults', () => {
+            const options = parseOptions(['--suite', '10']);
+            assert.equal(options.suiteId, 10);
+            assert.equal(options.inclusion, DEFAULT_INCLUSION);
+            assert.equal(options.format, 'markdown');
+            assert.equal(options.minCoverage, null);
+            assert.equal(options.allowIncomplete, false);
+            assert.deepEqual(options.filters, {});
+        });
+
+        it('collects repeated sections and filters', () => {
+            const options = parseOptions([
+                '--section', 'Web', '--section', '3', '--exclude', '4',
+                '--priority', '1,2', '--created-from', '2024-01-01', '--min-coverage', '80', '--allow-incomplete'
+            ]);
+            assert.deepEqual(options.sections, ['Web', '3']);
+            assert.deepEqual(options.excludes, ['4']);
+            assert.deepEqual(options.filters, { priorityIds: [1, 2], createdFrom: '2024-01-01' });
+            assert.equal(options.minCoverage, 80);
+            assert.equal(options.allowIncomplete, true);
+        });
+
+        it('rejects bad values', () => {
+            for (const argv of [
+                ['--min-coverage', '120'],
+                ['--priority', '1,x'],
+                ['--format', 'xml'],
+                ['--inclusion', 'everything'],
+                ['--created-to', 'yesterday'],
+                ['--unknown']
+            ]) {
+                assert.throws(() => parseOptions(argv), UsageError, argv.join(' '));
+            }
+        });
+    });
+
+    describe('toSectionIds', () => {
+        it('accepts IDs and paths in any case and spacing', () => {
+            assert.deepEqual(toSectionIds(sections, ['3', 'web>checkout', ' API >  Checkout ']), [3, 2, 4]);
+        });
+
+        it('rejects sections that do not exist', () => {
+            assert.throws(() => toSectionIds(sections, ['99']), /Section 99 does not exist/);
+            assert.throws(() => toSectionIds(sections, ['Checkout']), /No section with path "Checkout"/);
+        });
+    });
+
+    describe('checkGate', () => {
+        const coverage = (overallCoverage, warnings = [], fieldWarnings = []) => ({ overallCoverage, warnings, fieldWarnings });
+        const gate = { minCoverage: 50, allowIncomplete: false };
+
+        it('passes complete data at or above the minimum', () => {
+            assert.equal(checkGate(coverage('50.0'), { ...gate, minCoverage: null }), null);
+            assert.deepEqual(checkGate(coverage('50.0'), gate), { minCoverage: 50, incomplete: false, passed: true, exitCode: 0 });
+            assert.equal(checkGate(coverage('49.9'), gate).exitCode, EXIT_BELOW_THRESHOLD);
+        });
+
+        it('fails incomplete data unless allowed', () => {
+            const partial = coverage('90.0', [{ message: 'Could not refresh test cases' }]);
+            assert.deepEqual(checkGate(partial, gate), { minCoverage: 50, incomplete: true, passed: false, exitCode: EXIT_INCOMPLETE });
+            assert.deepEqual(checkGate(partial, { ...gate, allowIncomplete: true }), { minCoverage: 50, incomplete: true, passed: true, exitCode: 0 });
+        });
+
+        it('does not count automation field warnings as incomplete data', () => {
+            const withFieldWarning = coverage('90.0', [], [{ message: 'Option "Manual" of custom_automation is not in the "id, label" format and was ignored' }]);
+            assert.deepEqual(checkGate(withFieldWarning, gate), { minCoverage: 50, incomplete: false, passed: true, exitCode: 0 });
+        });
+    });
+
+    describe('exit codes', () => {
+        let mockServer;
+        let env;
+        // Resolves to the exit code and output instead of rejecting on a non-zero code
+        const cli = (...args) => promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'cli.js'), ...args], { env })
+            .then(({ stdout, stderr }) => ({ code: 0, stdout, stderr }), ({ code, stdout, stderr }) => ({ code, stdout, stderr }));
+
+        before(async () => {
+            mockServer = await startMockTestRail(0, makeFixtures([suite]));
+            env = {
+                ...process.env,
+                TESTRAIL_URL: `http://localhost:${mockServer.address().port}`,
+                TESTRAIL_PROJECT_ID: '1',
+                TESTRAIL_SUITE_ID: '10'
+            };
+        });
+
+        after(() => new Promise(resolve => mockServer.close(resolve)));
+
+        it('exits with 0 when the gate passes', async () => {
+            const { code, stdout } = await cli('--section', 'Web', '--min-coverage', '50');
+            assert.equal(code, 0);
+            assert.match(stdout, /Coverage gate passed/);
+        });
+
+        it('exits with 1 below the minimum and says so in JSON', async () => {
+            const { code, stdout } = await cli('--section', 'API', '--min-coverage', '60', '--format', 'json');
+            assert.equal(code, EXIT_BELOW_THRESHOLD);
+            assert.deepEqual(JSON.parse(stdout).threshold, { minCoverage: 60, passed: false, incomplete: false });
+        });
+
+        it('exits with 2 on bad arguments', async () => {
+            const { code, stderr } = await cli('--section', 'Nowhere');
+            assert.equal(code, EXIT_ERROR);
+            assert.match(stderr, /No section with path "Nowhere"/);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+// backend/test/data.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, CANDIDATE, makeCases, makeFixtures, startApp } = require('./helpers');
+
+// Suite 10:  1 Web (1 case) > 2 Checkout (2) > 3 Cart (4)
+//                           > 4 Account (1)
+//            5 API (1)
+const treeSuite = {
+    id: 10,
+    sections: [
+        { id: 1, parent_id: null, name: 'Web' },
+        { id: 2, parent_id: 1, depth: 1, name: 'Checkout' },
+        { id: 3, parent_id: 2, depth: 2, name: 'Cart' },
+        { id: 4, parent_id: 1, depth: 1, name: 'Account' },
+        { id: 5, parent_id: null, name: 'API' }
+    ],
+    cases: [
+        ...makeCases(10, 1, [YES]),
+        ...makeCases(10, 2, [YES, NO]),
+        ...makeCases(10, 3, [YES, YES, NO, null]),
+        ...makeCases(10, 4, [CANDIDATE]),
+        ...makeCases(10, 5, [NO])
+    ]
+};
+
+// Suites whose case count sits around the page size of 250
+const pagedSuite = (id, count) => ({
+    id,
+    sections: [{ id: id * 100, parent_id: null, name: `Paged ${count}` }],
+    cases: makeCases(id, id * 100, Array.from({ length: count }, (_, idx) => (idx % 4 === 0 ? YES : NO)))
+});
+const pageSizes = { 21: 249, 22: 250, 23: 251, 24: 500 };
+
+// Suite 40: one automated case out of three, and an empty section
+const mathSuite = {
+    id: 40,
+    sections: [
+        { id: 4000, parent_id: null, name: 'Math' },
+        { id: 4001, parent_id: null, name: 'Empty' }
+    ],
+    cases: makeCases(40, 4000, [YES, NO, CANDIDATE])
+};
+
+// Suite 50: cases referencing requirements, one of them without automation
+const refsSuite = {
+    id: 50,
+    sections: [{ id: 5000, parent_id: null, name: 'Stories' }],
+    cases: makeCases(50, 5000, [YES, NO, NO, YES, NO]).map((testCase, idx) => ({
+        ...testCase,
+        refs: ['PO-1, PO-2', 'PO-1', ' PO-3 ,PO-3', 'PO-10', null][idx]
+    }))
+};
+
+describe('POST /api/testrail/data', () => {
+    let app;
+    const data = (selection) => app.post('/api/testrail/data', { projectId: 1, suiteId: 10, ...selection });
+    const resolvedIds = (body) => body.resolvedSections.map(section => section.id);
+    const total = (body) => Object.values(body.totalCounts).reduce((sum, count) => sum + count, 0);
+
+    before(async () => {
+        const pagedSuites = Object.entries(pageSizes).map(([id, count]) => pagedSuite(Number(id), count));
+        app = await startApp(makeFixtures([treeSuite, ...pagedSuites, mathSuite, refsSuite]));
+    });
+
+    after(() => app.stop());
+
+    describe('section resolution', () => {
+        it('counts only the selected section with "exact"', async () => {
+            const { status, body } = await data({ folderIds: [2], inclusion: 'exact' });
+            assert.equal(status, 200);
+            assert.deepEqual(resolvedIds(body), [2]);
+            assert.equal(total(body), 2);
+        });
+
+        it('adds subsections with "descendants"', async () => {
+            const { body } = await data({ folderIds: [2], inclusion: 'descendants' });
+            assert.deepEqual(resolvedIds(body), [2, 3]);
+            assert.equal(total(body), 6);
+        });
+
+        it('adds parent sections with "ancestors"', async () => {
+            const { body } = await data({ folderIds: [3], inclusion: 'ancestors' });
+            assert.deepEqual(resolvedIds(body), [1, 2, 3]);
+            assert.equal(total(body), 7);
+        });
+
+        it('adds both by default', async () => {
+            const { body } = await data({ folderIds: [2] });
+            assert.equal(body.inclusion, 'ancestors-and-descendants');
+            assert.deepEqual(resolvedIds(body), [1, 2, 3]);
+            assert.equal(total(body), 7);
+        });
+
+        it('reports section paths', async () => {
+            const { body } = await data({ folderIds: [3], inclusion: 'exact' });
+            assert.equal(body.resolvedSections[0].path, 'Web > Checkout > Cart');
+        });
+
+        it('leaves out excluded branches', async () => {
+            const { body } = await data({ folderIds: [1], inclusion: 'descendants', excludeIds: [2] });
+            assert.deepEqual(resolvedIds(body), [1, 4]);
+            assert.equal(total(body), 2);
+        });
+
+        it('rolls counts up the section tree', async () => {
+            const { body } = await data({ folderIds: [1, 5], inclusion: 'descendants' });
+            const [web, api] = body.sectionTree;
+            assert.equal(web.total, 1);
+            assert.equal(web.rolledUpTotal, 8);
+            assert.equal(web.children[0].rolledUpTotal, 6);
+            assert.equal(api.rolledUpTotal, 1);
+        });
+    });
+
+    describe('pagination', () => {
+        for (const [suiteId, count] of Object.entries(pageSizes)) {
+            it(`counts all ${count} cases`, async () => {
+                const { status, body } = await data({ suiteId: Number(suiteId), folderIds: [suiteId * 100] });
+                assert.equal(status, 200);
+                assert.equal(total(body), count);
+                assert.equal(body.totalCounts.Yes, Math.ceil(count / 4));
+                // A full page means another request, which may come back empty
+                assert.equal(app.callsTo('get_cases', suiteId).length, Math.floor(count / 250) + 1);
+            });
+        }
+    });
+
+    describe('percentages', () => {
+        it('rounds category shares and coverage to one decimal', async () => {
+            const { body } = await data({ suiteId: 40, folderIds: [4000] });
+            assert.deepEqual(body.categories, ['Yes', 'No', 'Automation Candidate', 'Unset']);
+            assert.deepEqual(body.totalCounts, { Yes: 1, No: 1, 'Automation Candidate': 1, Unset: 0 });
+            assert.deepEqual(body.percentages, { Yes: '33.3', No: '33.3', 'Automation Candidate': '33.3', Unset: '0.0' });
+            assert.equal(body.overallCoverage, '33.3');
+        });
+
+        it('keeps the candidateTests and noTests lists of the original response', async () => {
+            const [, manual, candidate] = mathSuite.cases;
+            const { body } = await data({ suiteId: 40, folderIds: [4000] });
+            assert.deepEqual(body.candidateTests, [{ id: candidate.id, title: candidate.title }]);
+            assert.deepEqual(body.noTests, [{ id: manual.id, title: manual.title }]);
+            // A category that counts as automated is in neither list
+            const widened = await data({ suiteId: 40, folderIds: [4000], automatedCategories: ['Yes', 'No'] });
+            assert.deepEqual(widened.body.noTests, []);
+            assert.deepEqual(widened.body.candidateTests, [{ id: candidate.id, title: candidate.title }]);
+        });
+
+        it('adds up every category that counts as automated', async () => {
+            const { body } = await data({ suiteId: 40, folderIds: [4000], automatedCategories: ['Yes', 'Automation Candidate'] });
+            assert.deepEqual(body.automatedCategories, ['Yes', 'Automation Candidate']);
+            assert.equal(body.overallCoverage, '66.7');
+        });
+
+        it('puts cases without an automation value into Unset', async () => {
+            const { body } = await data({ folderIds: [3], inclusion: 'exact' });
+            assert.deepEqual(body.totalCounts, { Yes: 2, No: 1, 'Automation Candidate': 0, Unset: 1 });
+            assert.equal(body.percentages.Unset, '25.0');
+            // Like the original response, cases without a value are listed with No
+            assert.equal(body.noTests.length, 2);
+            assert.equal(body.overallCoverage, '50.0');
+        });
+
+        it('reports zero coverage for sections without cases', async () => {
+            const { body } = await data({ suiteId: 40, folderIds: [4001] });
+            assert.equal(total(body), 0);
+            assert.equal(Number(body.overallCoverage), 0);
+            assert.ok(Object.values(body.percentages).every(percent => Number(percent) === 0));
+        });
+    });
+
+    describe('requirements', () => {
+        it('counts every case towards each of its references', async () => {
+            const { body } = await data({ suiteId: 50, folderIds: [5000] });
+            const byRef = Object.fromEntries(body.requirements.map(requirement => [requirement.ref, requirement]));
+            assert.deepEqual(body.requirements.map(requirement => requirement.ref), ['PO-1', 'PO-2', 'PO-3', 'PO-10']);
+            assert.equal(byRef['PO-1'].total, 2);
+            assert.equal(byRef['PO-1'].automated, 1);
+            assert.equal(byRef['PO-1'].coverage, '50.0');
+            assert.equal(byRef['PO-2'].coverage, '100.0');
+            assert.equal(body.unreferencedCases, 1);
+        });
+
+        it('flags requirements without automated cases', async () => {
+            const { body } = await data({ suiteId: 50, folderIds: [5000] });
+            const uncovered = body.requirements.filter(requirement => requirement.automated === 0);
+            assert.deepEqual(uncovered.map(requirement => requirement.ref), ['PO-3']);
+            assert.equal(uncovered[0].total, 1);
+        });
+    });
+
+    it('rejects a request without folderIds', async () => {
+        const { status, body } = await app.post('/api/testrail/data', { projectId: 1 });
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].path, 'folderIds');
+    });
+});
@@ -0,0 +1,34 @@
+// backend/test/failures.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+const suite = {
+    id: 60,
+    sections: [
+        { id: 6000, parent_id: null, name: 'Web' },
+        { id: 6001, parent_id: null, name: 'API' }
+    ],
+    cases: [...makeCases(60, 6000, [YES]), ...makeCases(60, 6001, [NO])]
+};
+
+describe('TestRail failures', () => {
+    let app;
+
+    before(async () => {
+        // Every second call is throttled and nothing is retried: the sections
+        // load, the suite-wide case download fails
+        app = await startApp(makeFixtures([suite]), { rateLimitEvery: 2, retryAfterSeconds: 0 }, { TESTRAIL_MAX_RETRIES: '0' });
+    });
+
+    after(() => app.stop());
+
+    it('reports a failed case download instead of fetching section by section', async () => {
+        const { status, body } = await app.post('/api/testrail/data', { projectId: 1, suiteId: 60, folderIds: [6000, 6001] });
+        assert.equal(status, 500);
+        assert.match(body.error, /Error fetching test case statistics/);
+        const caseCalls = app.callsTo('get_cases', 60);
+        assert.equal(caseCalls.length, 1);
+        assert.ok(!caseCalls[0].includes('section_id'));
+    });
+});
@@ -0,0 +1,90 @@
+// backend/test/folders.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeFixtures, startApp } = require('./helpers');
+
+// Suite 10:  1 Web > 2 Checkout > 3 Cart
+//                  > 4 Account
+//            5 API
+const treeSuite = {
+    id: 10,
+    sections: [
+        { id: 1, parent_id: null, name: 'Web' },
+        { id: 2, parent_id: 1, depth: 1, name: 'Checkout' },
+        { id: 3, parent_id: 2, depth: 2, name: 'Cart' },
+        { id: 4, parent_id: 1, depth: 1, name: 'Account' },
+        { id: 5, parent_id: null, name: 'API' }
+    ],
+    cases: []
+};
+
+// Suite 30: 251 sections, one more than a page. The last one is a child of
+// the first, so its parent arrives on an earlier page.
+const pagedSuite = {
+    id: 30,
+    sections: Array.from({ length: 251 }, (_, idx) => ({
+        id: 1000 + idx,
+        parent_id: idx === 250 ? 1000 : null,
+        name: `Section ${idx}`
+    })),
+    cases: []
+};
+
+describe('projects, suites and section trees', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(makeFixtures([treeSuite, pagedSuite]));
+    });
+
+    after(() => app.stop());
+
+    it('lists projects and suites with the configured defaults', async () => {
+        const projects = await app.get('/api/testrail/projects');
+        assert.equal(projects.status, 200);
+        assert.deepEqual(projects.body, {
+            projects: [{ id: 1, name: 'Test Project', suite_mode: 3, is_completed: false }],
+            defaultProjectId: 1
+        });
+
+        const suites = await app.get('/api/testrail/projects/1/suites');
+        assert.equal(suites.status, 200);
+        assert.deepEqual(suites.body.suites.map(suite => [suite.id, suite.name]), [[10, 'Suite 10'], [30, 'Suite 30']]);
+        assert.equal(suites.body.defaultSuiteId, 10);
+
+        assert.equal((await app.get('/api/testrail/projects/abc/suites')).status, 400);
+    });
+
+    it('nests sections under their parents', async () => {
+        const { status, body } = await app.post('/api/testrail/folders', { projectId: 1, suiteId: 10 });
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(root => root.name), ['Web', 'API']);
+        const [web, api] = body;
+        assert.deepEqual(web.children.map(child => child.name), ['Checkout', 'Account']);
+        assert.deepEqual(web.children[0].children.map(child => child.name), ['Cart']);
+        assert.deepEqual(web.children[0].children[0].children, []);
+        assert.deepEqual(api.children, []);
+    });
+
+    it('builds the tree from sections spread over several pages', async () => {
+        const { status, body } = await app.post('/api/testrail/folders', { projectId: 1, suiteId: 30 });
+        assert.equal(status, 200);
+        assert.equal(body.length, 250);
+        assert.deepEqual(body[0].children.map(child => child.id), [1250]);
+
+        const offsets = app.callsTo('get_sections', 30).map(request => new URLSearchParams(request.split('&').slice(1).join('&')).get('offset'));
+        assert.deepEqual(offsets, ['0', '250']);
+    });
+
+    it('reports TestRail errors for an unknown suite', async () => {
+        const { status, body } = await app.post('/api/testrail/folders', { projectId: 1, suiteId: 99 });
+        assert.equal(status, 500);
+        assert.match(body.details.error, /suite_id/);
+    });
+
+    it('rejects invalid IDs', async () => {
+        const { status, body } = await app.post('/api/testrail/folders', { projectId: 'abc' });
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].path, 'projectId');
+    });
+});
@@ -0,0 +1,128 @@
+// backend/test/helpers.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockTestRail } = require('../mockTestRail');
+
+// Values of the automation field in the fixtures
+const YES = 1;
+const NO = 2;
+const CANDIDATE = 3;
+
+const caseFields = [{
+    id: 1,
+    system_name: 'custom_automation',
+    type_id: 6,
+    configs: [{
+        context: { is_global: true, project_ids: null },
+        options: { items: '1, Yes\n2, No\n3, Automation Candidate' }
+    }]
+}];
+
+let nextCaseId = 1;
+
+/**
+ * Cases of one section with the given automation values, in order
+ */
+const makeCases = (suiteId, sectionId, automationValues) =>
+    automationValues.map(value => {
+        const id = nextCaseId++;
+        return {
+            id,
+            suite_id: suiteId,
+            section_id: sectionId,
+            title: `Case ${id}`,
+            custom_automation: value,
+            priority_id: 2,
+            type_id: 1,
+            template_id: 1,
+            created_on: 1704067200,
+            updated_on: 1704067200,
+            refs: null
+        };
+    });
+
+/**
+ * Fixtures for project 1 from suites given as { id, sections, cases }
+ */
+const makeFixtures = (suites) => ({
+    projects: [{ id: 1, name: 'Test Project', suite_mode: 3, is_completed: false }],
+    suites: suites.map(suite => ({ id: suite.id, project_id: 1, name: `Suite ${suite.id}` })),
+    sections: [].concat(...suites.map(suite => suite.sections.map(section => ({ suite_id: suite.id, depth: 0, ...section })))),
+    cases: [].concat(...suites.map(suite => suite.cases)),
+    caseFields,
+    priorities: [{ id: 2, name: 'Medium', short_name: 'Medium' }],
+    caseTypes: [{ id: 1, name: 'Functional' }],
+    templates: [{ id: 1, name: 'Test Case (Text)' }]
+});
+
+/**
+ * Start the TestRail stand-in with the fixtures, then the app against it with
+ * an empty data directory and any extra environment variables. The server
+ * module reads its configuration on first require, so each test file (its
+ * own process under node --test) gets one setup.
+ */
+const startApp = async (fixtures, mockOptions, env = {}) => {
+    // The coverage code logs every case; keep the test output readable
+    console.log = () => {};
+    console.warn = () => {};
+
+    const mock = createMockTestRail(fixtures, mockOptions);
+    const mockServer = await new Promise(resolve => {
+        const server = mock.listen(0, () => resolve(server));
+    });
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mycoverage-test-'));
+    Object.assign(process.env, {
+        TESTRAIL_URL: `http://localhost:${mockServer.address().port}`,
+        TESTRAIL_PROJECT_ID: '1',
+        TESTRAIL_SUITE_ID: String(fixtures.suites[0].id),
+        DATA_DIR: dataDir,
+        ...env
+    });
+    const { app } = require('../server');
+    const appServer = await new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+    const baseUrl = `http://localhost:${appServer.address().port}`;
+
+    // token is sent as a bearer token when the app runs with login enabled;
+    // a string body is sent as is with contentType, anything else as JSON
+    const request = async (method, apiPath, body, token, contentType = 'application/json') => {
+        const headers = { 'Content-Type': contentType };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(`${baseUrl}${apiPath}`, {
+            method,
+            headers,
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        // Non-JSON responses (metrics, badges, exports) are returned as text
+        const isJson = (response.headers.get('content-type') || '').includes('json');
+        return { status: response.status, body: isJson && text ? JSON.parse(text) : text || null, headers: response.headers };
+    };
+    const post = (apiPath, body, token) => request('POST', apiPath, body, token);
+    const get = (apiPath, token) => request('GET', apiPath, undefined, token);
+    const upload = (apiPath, text, contentType, token) => request('POST', apiPath, text, token, contentType);
+
+    // API calls the app made for one endpoint of one suite (suite_id parameter or ID in the path)
+    const callsTo = (method, suiteId) =>
+        mock.locals.requests.filter(request => request.startsWith(`/api/v2/${method}/`)
+            && (request.includes(`&suite_id=${suiteId}&`) || request.split('&')[0] === `/api/v2/${method}/${suiteId}`));
+
+    // Account emails the app used for its TestRail calls
+    const callers = () => mock.locals.callers;
+
+    // The stand-in's copy of the fixtures, with the updates the app made
+    const mockData = () => mock.locals.data;
+
+    const stop = async () => {
+        appServer.closeAllConnections();
+        mockServer.closeAllConnections();
+        await Promise.all([appServer, mockServer].map(server => new Promise(resolve => server.close(resolve))));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+
+    return { baseUrl, dataDir, request, post, get, upload, callsTo, callers, mockData, stop };
+};
+
+module.exports = { YES, NO, CANDIDATE, makeCases, makeFixtures, startApp };
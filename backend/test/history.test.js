@@ -0,0 +1,120 @@
+// backend/test/history.test.js
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+// Suite 10:  1 Web (2 cases, one automated), 2 API (1 automated)
+const webCases = makeCases(10, 1, [YES, NO]);
+const apiCases = makeCases(10, 2, [YES]);
+const suite = {
+    id: 10,
+    sections: [
+        { id: 1, parent_id: null, name: 'Web' },
+        { id: 2, parent_id: null, name: 'API' }
+    ],
+    cases: [
+        ...webCases,
+        ...apiCases
+    ]
+};
+
+describe('coverage history', () => {
+    let app;
+    const track = (historyName, selection) =>
+        app.post('/api/testrail/data', { projectId: 1, suiteId: 10, historyName, ...selection });
+
+    before(async () => {
+        app = await startApp(makeFixtures([suite]), undefined, { HISTORY_CASES_KEPT: '2' });
+    });
+
+    after(() => app.stop());
+
+    it('adds snapshots of the same selection to one trend line', async () => {
+        const first = await track('Web', { folderIds: [1], inclusion: 'exact' });
+        const second = await track('Web', { folderIds: [1], inclusion: 'exact' });
+        assert.equal(first.status, 200);
+        assert.equal(second.body.historyId, first.body.historyId);
+
+        const { body } = await app.get(`/api/history/${first.body.historyId}`);
+        assert.equal(body.snapshots.length, 2);
+        assert.deepEqual(body.snapshots[0].definition.folderIds, [1]);
+        assert.equal(body.snapshots[1].overallCoverage, '50.0');
+    });
+
+    it('refuses to track a different selection under a taken name', async () => {
+        const { status, body } = await track('Web', { folderIds: [1, 2], inclusion: 'exact' });
+        assert.equal(status, 409);
+        assert.match(body.error, /different selection/);
+
+        const [web] = (await app.get('/api/history')).body.filter(selection => selection.name === 'Web');
+        assert.deepEqual(web.folderIds, [1]);
+        assert.equal(web.snapshotCount, 2);
+    });
+
+    it('compares two selections case by case', async () => {
+        const { status, body } = await app.post('/api/coverage/compare', {
+            base: { projectId: 1, suiteId: 10, folderIds: [1], inclusion: 'exact' },
+            target: { projectId: 1, suiteId: 10, folderIds: [2], inclusion: 'exact' }
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(body.overall, { base: 50, target: 100, delta: 50 });
+        assert.deepEqual(body.added.map(testCase => testCase.id), [apiCases[0].id]);
+        assert.deepEqual(body.removed.map(testCase => [testCase.title, testCase.category]), [
+            [webCases[0].title, 'Yes'],
+            [webCases[1].title, 'No']
+        ]);
+        assert.equal((await app.post('/api/coverage/compare', { base: { projectId: 1 } })).status, 400);
+    });
+
+    it('compares a tracked selection over time', async () => {
+        const [web] = (await app.get('/api/history')).body.filter(selection => selection.name === 'Web');
+        const { snapshots: [, secondSnapshot] } = (await app.get(`/api/history/${web.id}`)).body;
+
+        // The manual Web case gets automated in TestRail
+        app.mockData().cases.find(testCase => testCase.id === webCases[1].id).custom_automation = YES;
+        assert.equal((await app.request('DELETE', '/api/testrail/cache')).status, 204);
+        const recorded = await app.post(`/api/history/${web.id}/snapshots`);
+        assert.equal(recorded.status, 200);
+        assert.equal(recorded.body.snapshots.length, 3);
+        const lastSnapshot = recorded.body.snapshots[2];
+        assert.equal(lastSnapshot.overallCoverage, '100.0');
+
+        const moved = [{ id: webCases[1].id, title: webCases[1].title, from: 'No', to: 'Yes' }];
+        const between = await app.post('/api/coverage/compare', { historyId: web.id, baseAt: secondSnapshot.timestamp, targetAt: lastSnapshot.timestamp });
+        assert.equal(between.status, 200);
+        assert.deepEqual(between.body.overall, { base: 50, target: 100, delta: 50 });
+        assert.deepEqual(between.body.moved, moved);
+
+        // Without targetAt the selection is compared with its current coverage
+        const untilNow = await app.post('/api/coverage/compare', { historyId: web.id, baseAt: secondSnapshot.timestamp });
+        assert.deepEqual(untilNow.body.moved, moved);
+
+        const tooEarly = await app.post('/api/coverage/compare', { historyId: web.id, baseAt: '2000-01-01T00:00:00Z' });
+        assert.equal(tooEarly.status, 404);
+    });
+
+    it('keeps the cases of the latest HISTORY_CASES_KEPT snapshots in a file per selection', async () => {
+        const [web] = (await app.get('/api/history')).body.filter(selection => selection.name === 'Web');
+        const { snapshots } = (await app.get(`/api/history/${web.id}`)).body;
+        assert.deepEqual(snapshots.map(snapshot => snapshot.hasCases), [false, true, true]);
+        assert.ok(!fs.readFileSync(path.join(app.dataDir, 'history.json'), 'utf8').includes('caseCategories'));
+        const stored = JSON.parse(fs.readFileSync(path.join(app.dataDir, 'history', `${web.id}.json`), 'utf8'));
+        assert.deepEqual(Object.keys(stored.snapshots).sort(), [snapshots[1].id, snapshots[2].id].sort());
+
+        // The oldest snapshot still compares by its counts
+        const { body } = await app.post('/api/coverage/compare', { historyId: web.id, baseAt: snapshots[0].timestamp, targetAt: snapshots[2].timestamp });
+        assert.equal(body.casesCompared, false);
+        assert.deepEqual(body.overall, { base: 50, target: 100, delta: 50 });
+    });
+
+    it('deletes a tracked selection with its snapshots', async () => {
+        const [web] = (await app.get('/api/history')).body.filter(selection => selection.name === 'Web');
+        assert.equal((await app.request('DELETE', `/api/history/${web.id}`)).status, 204);
+        assert.ok(!fs.existsSync(path.join(app.dataDir, 'history', `${web.id}.json`)));
+        assert.equal((await app.get(`/api/history/${web.id}`)).status, 404);
+        assert.equal((await app.post(`/api/history/${web.id}/snapshots`)).status, 404);
+        assert.equal((await app.request('DELETE', `/api/history/${web.id}`)).status, 404);
+    });
+});
@@ -0,0 +1,45 @@
+// backend/test/metrics.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+const { register, setCoverageMetrics, removeCoverageMetrics } = require('../metrics');
+
+const suite = {
+    id: 10,
+    sections: [{ id: 1, parent_id: null, name: 'Web' }],
+    cases: makeCases(10, 1, [YES, NO])
+};
+
+const coverageOf = (overallCoverage) => ({
+    categories: ['Yes', 'No'],
+    totalCounts: { Yes: 1, No: 1 },
+    percentages: { Yes: '50.0', No: '50.0' },
+    overallCoverage
+});
+
+describe('/metrics', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(makeFixtures([suite]), undefined, { METRICS_TOKEN: 'scrape-token' });
+    });
+
+    after(() => app.stop());
+
+    it('requires METRICS_TOKEN when one is set', async () => {
+        assert.equal((await app.get('/metrics')).status, 401);
+        assert.equal((await app.get('/metrics', 'wrong-token')).status, 401);
+        assert.equal((await app.get('/metrics', 'scrape-token')).status, 200);
+    });
+
+    it('keeps charts with the same name apart', async () => {
+        setCoverageMetrics('chart-a', 'Checkout', coverageOf('100.0'));
+        setCoverageMetrics('chart-b', 'Checkout', coverageOf('25.0'));
+        removeCoverageMetrics('chart-a');
+
+        const { body } = await app.get('/metrics', 'scrape-token');
+        assert.match(body, /mycoverage_coverage_percent\{chart="chart-b",selection="Checkout"\} 25/);
+        assert.doesNotMatch(body, /chart="chart-a"/);
+        assert.equal((await register.getSingleMetric('mycoverage_coverage_percent').get()).values.length, 1);
+    });
+});
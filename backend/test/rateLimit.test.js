@@ -0,0 +1,34 @@
+// backend/test/rateLimit.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+const suite = {
+    id: 50,
+    sections: [{ id: 5000, parent_id: null, name: 'Throttled' }],
+    cases: makeCases(50, 5000, Array.from({ length: 600 }, (_, idx) => (idx % 2 ? NO : YES)))
+};
+
+describe('TestRail rate limiting', () => {
+    let app;
+
+    before(async () => {
+        // Every third call is answered with 429; Retry-After 0 keeps the test fast
+        app = await startApp(makeFixtures([suite]), { rateLimitEvery: 3, retryAfterSeconds: 0 });
+    });
+
+    after(() => app.stop());
+
+    it('retries throttled calls and still counts every case', async () => {
+        const { status, body } = await app.post('/api/testrail/data', { projectId: 1, suiteId: 50, folderIds: [5000] });
+        assert.equal(status, 200);
+        assert.deepEqual(body.warnings, []);
+        assert.equal(body.totalCounts.Yes, 300);
+        assert.equal(body.totalCounts.No, 300);
+        assert.equal(body.overallCoverage, '50.0');
+        // Three pages of cases plus the calls that were throttled
+        const offsets = app.callsTo('get_cases', 50).map(request => request.match(/offset=(\d+)/)[1]);
+        assert.ok(offsets.length > 3);
+        assert.deepEqual([...new Set(offsets)], ['0', '250', '500']);
+    });
+});
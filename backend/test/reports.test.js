@@ -0,0 +1,117 @@
+// backend/test/reports.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+const cases = makeCases(10, 1, [YES, NO]);
+const suite = {
+    id: 10,
+    sections: [{ id: 1, parent_id: null, name: 'Web' }],
+    cases
+};
+// Titles Helvetica cannot draw
+cases[1].title = 'Оплата заказа';
+// A title a spreadsheet would run as a formula
+cases[0].title = '=HYPERLINK("http://example.com","Open")';
+
+const selection = { projectId: 1, suiteId: 10, folderIds: [1] };
+
+describe('report exports and schedules', () => {
+    let app;
+    let chartId;
+    let scheduleId;
+
+    before(async () => {
+        app = await startApp(makeFixtures([suite]), undefined, { REPORT_RUNS_KEPT: '2' });
+        chartId = (await app.post('/api/charts', { name: 'Web', ...selection })).body.id;
+    });
+
+    after(() => app.stop());
+
+    it('exports a selection as PDF, CSV and XLSX', async () => {
+        const pdf = await app.post('/api/reports/pdf', { title: 'Weekly', charts: [{ title: 'Web', ...selection }] });
+        assert.equal(pdf.status, 200);
+        assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+        assert.ok(pdf.body.startsWith('%PDF-'));
+        // Text is set in the embedded Unicode font only
+        assert.match(pdf.body, /\/FontName \/[A-Z]{6}\+DejaVuSans\b/);
+        assert.doesNotMatch(pdf.body, /Helvetica/);
+        assert.equal((await app.post('/api/reports/pdf', { charts: [] })).status, 400);
+
+        const csv = await app.post('/api/reports/csv', { title: 'Web coverage', ...selection });
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-disposition'), /filename="Web_coverage.csv"/);
+        const lines = csv.body.split('\r\n');
+        assert.ok(lines.includes('All selected sections,1,50,1,50,0,0,0,0,2,50'));
+        assert.ok(lines.some(line => line.startsWith(`C${cases[1].id},Оплата заказа,Web,Medium,`)));
+        assert.ok(lines.some(line => line.startsWith(`C${cases[0].id},"'=HYPERLINK(""http://example.com"",""Open"")",Web,`)));
+
+        const xlsx = await app.post('/api/reports/xlsx', selection);
+        assert.equal(xlsx.status, 200);
+        assert.ok(xlsx.body.startsWith('PK'));
+        assert.equal((await app.post('/api/reports/docx', selection)).status, 400);
+    });
+
+    it('rejects invalid cron expressions and timezones', async () => {
+        const schedule = { name: 'Weekly', format: 'json', chartIds: [chartId] };
+        assert.equal((await app.post('/api/report-schedules', { ...schedule, cron: 'every monday' })).status, 400);
+        assert.equal((await app.post('/api/report-schedules', { ...schedule, cron: '0 8 * * 1', timezone: 'Mars/Olympus' })).status, 400);
+        assert.equal((await app.post('/api/report-schedules', { ...schedule, cron: '0 8 * * 1', format: 'docx' })).status, 400);
+    });
+
+    it('computes the next run in the schedule timezone', async () => {
+        const { status, body } = await app.post('/api/report-schedules', {
+            name: 'Daily', cron: '0 8 * * *', timezone: 'Asia/Tokyo', format: 'json', chartIds: [chartId]
+        });
+        assert.equal(status, 201);
+        scheduleId = body.id;
+        // 08:00 in Tokyo is 23:00 UTC the day before
+        assert.match(body.nextRunAt, /T23:00:00\.000Z$/);
+        assert.ok(new Date(body.nextRunAt) > new Date());
+
+        const paused = await app.request('PUT', `/api/report-schedules/${scheduleId}`, {
+            name: 'Daily', cron: '0 8 * * *', timezone: 'Asia/Tokyo', format: 'json', chartIds: [chartId], enabled: false
+        });
+        assert.equal(paused.body.nextRunAt, null);
+        assert.deepEqual((await app.get('/api/report-schedules')).body.map(schedule => schedule.enabled), [false]);
+    });
+
+    it('runs a schedule on demand and serves the report file', async () => {
+        const run = await app.post(`/api/report-schedules/${scheduleId}/run`);
+        assert.equal(run.status, 200);
+        assert.equal(run.body.status, 'success');
+        assert.equal(run.body.trigger, 'manual');
+
+        const runs = (await app.get(`/api/report-runs?scheduleId=${scheduleId}`)).body;
+        assert.deepEqual(runs.map(r => r.id), [run.body.id]);
+
+        const file = await app.get(`/api/report-runs/${run.body.id}/file`);
+        assert.equal(file.status, 200);
+        const report = file.body;
+        assert.equal(report.title, 'Daily');
+        assert.equal(report.charts[0].coverage.overallCoverage, '50.0');
+        assert.equal((await app.get('/api/report-runs/missing/file')).status, 404);
+    });
+
+    it('keeps REPORT_RUNS_KEPT runs per schedule', async () => {
+        const second = (await app.post(`/api/report-schedules/${scheduleId}/run`)).body;
+        const third = (await app.post(`/api/report-schedules/${scheduleId}/run`)).body;
+        const runs = (await app.get(`/api/report-runs?scheduleId=${scheduleId}`)).body;
+        // Newest first, the first run dropped together with its file
+        assert.deepEqual(runs.map(r => r.id), [third.id, second.id]);
+        assert.equal((await app.get(`/api/report-runs/${third.id}/file`)).status, 200);
+    });
+
+    it('fails a run whose saved charts are all gone', async () => {
+        assert.equal((await app.request('DELETE', `/api/charts/${chartId}`)).status, 204);
+        const run = (await app.post(`/api/report-schedules/${scheduleId}/run`)).body;
+        assert.equal(run.status, 'failed');
+        assert.equal(run.error, 'None of the saved charts of this schedule exist');
+        assert.deepEqual(run.warnings, [`Saved chart ${chartId} no longer exists`]);
+
+        assert.equal((await app.request('DELETE', `/api/report-schedules/${scheduleId}`)).status, 204);
+        assert.deepEqual((await app.get('/api/report-schedules')).body, []);
+        // Past runs outlive their schedule
+        assert.equal((await app.get(`/api/report-runs?scheduleId=${scheduleId}`)).body.length, 2);
+    });
+});
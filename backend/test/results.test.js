@@ -0,0 +1,71 @@
+// backend/test/results.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+// Two cases marked automated and two manual ones
+const [automatedA, automatedB, manualA, manualB] = makeCases(10, 1, [YES, YES, NO, NO]);
+const suite = {
+    id: 10,
+    sections: [{ id: 1, parent_id: null, name: 'Web' }],
+    cases: [automatedA, automatedB, manualA, manualB]
+};
+
+// automatedA passes in one test and fails in another; manualA has a result
+// although it is not marked automated; one test names no case
+const junit = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="web">
+    <testcase name="C${automatedA.id} logs in"/>
+    <testcase name="logs in again">
+      <properties><property name="testrail_case_id" value="${automatedA.id}"/></properties>
+      <failure message="timeout"/>
+    </testcase>
+    <testcase name="test_C${manualA.id}_checkout"><skipped/></testcase>
+    <testcase name="untracked"/>
+  </testsuite>
+</testsuites>`;
+
+describe('automated test results', () => {
+    let app;
+    let reportId;
+    const data = () => app.post('/api/testrail/data', { projectId: 1, suiteId: 10, folderIds: [1] });
+
+    before(async () => {
+        app = await startApp(makeFixtures([suite]));
+    });
+
+    after(() => app.stop());
+
+    it('rejects uploads that are not test reports', async () => {
+        assert.equal((await app.upload('/api/results', '<html></html>', 'application/xml')).status, 400);
+        assert.equal((await app.upload('/api/results', 'not xml', 'text/plain')).status, 400);
+    });
+
+    it('keeps the case IDs found in names and properties', async () => {
+        const { status, body } = await app.upload('/api/results?name=Nightly', junit, 'application/xml');
+        assert.equal(status, 201);
+        assert.equal(body.name, 'Nightly');
+        assert.equal(body.tests, 4);
+        assert.equal(body.unmatched, 1);
+        assert.equal(body.cases, 2);
+        reportId = body.id;
+        assert.deepEqual((await app.get('/api/results')).body.map(report => report.id), [reportId]);
+    });
+
+    it('cross-checks the automation field against the results', async () => {
+        const { body } = await data();
+        const { verification } = body;
+        assert.equal(verification.verifiedCoverage, '25.0');
+        // A case run by several tests keeps its worst status
+        assert.deepEqual(verification.verified.map(testCase => [testCase.id, testCase.status]), [[automatedA.id, 'failed']]);
+        assert.deepEqual(verification.markedWithoutResult.map(testCase => testCase.id), [automatedB.id]);
+        assert.deepEqual(verification.resultWithoutMark.map(testCase => [testCase.id, testCase.status]), [[manualA.id, 'skipped']]);
+    });
+
+    it('stops verifying once the report is deleted', async () => {
+        assert.equal((await app.request('DELETE', `/api/results/${reportId}`)).status, 204);
+        assert.equal((await app.request('DELETE', `/api/results/${reportId}`)).status, 404);
+        assert.equal((await data()).body.verification, undefined);
+    });
+});
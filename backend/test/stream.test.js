@@ -0,0 +1,88 @@
+// backend/test/stream.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+// Four pages of cases, each answered after a delay
+const suite = {
+    id: 10,
+    sections: [{ id: 1, parent_id: null, name: 'Web' }],
+    cases: makeCases(10, 1, Array.from({ length: 1000 }, (value, idx) => (idx % 4 === 0 ? YES : NO)))
+};
+
+const selection = { projectId: 1, suiteId: 10, folderIds: [1] };
+
+describe('streamed chart builds', () => {
+    let app;
+
+    /**
+     * POST to the stream endpoint and hand each { event, data } to onEvent
+     * until the stream ends or onEvent returns false, which closes it
+     */
+    const readStream = async (body, onEvent) => {
+        const controller = new AbortController();
+        const response = await fetch(`${app.baseUrl}/api/testrail/data/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        assert.equal(response.headers.get('content-type'), 'text/event-stream');
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let open = true;
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            for (const message of messages) {
+                const [eventLine, dataLine] = message.split('\n');
+                const event = { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+                open = open && onEvent(event) !== false;
+            }
+            if (!open) break;
+        }
+        controller.abort();
+    };
+
+    before(async () => {
+        app = await startApp(makeFixtures([suite]), { delayMs: 50 });
+    });
+
+    after(() => app.stop());
+
+    it('reports progress per page before the result', async () => {
+        const events = [];
+        await readStream(selection, event => { events.push(event); });
+        const names = events.map(({ event }) => event);
+        assert.equal(names[names.length - 1], 'result');
+        assert.ok(names.slice(0, -1).every(name => name === 'progress'));
+
+        const fetched = events.filter(({ data }) => data.stage === 'cases').map(({ data }) => data.casesFetched);
+        assert.deepEqual([...new Set(fetched)], [0, 250, 500, 750, 1000]);
+        assert.equal(events[events.length - 1].data.overallCoverage, '25.0');
+    });
+
+    it('stops calling TestRail when the client goes away', async () => {
+        assert.equal((await app.request('DELETE', '/api/testrail/cache')).status, 204);
+        const before = app.callsTo('get_cases', 10).length;
+        const seen = [];
+        await readStream(selection, ({ event, data }) => {
+            seen.push(event);
+            return !(event === 'progress' && data.casesFetched > 0);
+        });
+        // Let calls that were not cancelled show up
+        await sleep(300);
+        const calls = app.callsTo('get_cases', 10).length - before;
+        assert.ok(!seen.includes('result'));
+        assert.ok(calls < 4, `${calls} get_cases calls`);
+        await sleep(200);
+        assert.equal(app.callsTo('get_cases', 10).length - before, calls);
+    });
+
+    it('sends validation errors before streaming', async () => {
+        const { status } = await app.post('/api/testrail/data/stream', { projectId: 1, suiteId: 10 });
+        assert.equal(status, 400);
+    });
+});
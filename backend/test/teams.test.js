@@ -0,0 +1,93 @@
+// backend/test/teams.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, CANDIDATE, makeCases, makeFixtures, startApp } = require('./helpers');
+
+// Suite 10:  1 Web (1 case) > 2 Checkout (2) > 3 Cart (3)
+//                           > 4 Account (2)
+//            5 API (2)
+//            6 Docs (1)
+const suite = {
+    id: 10,
+    sections: [
+        { id: 1, parent_id: null, name: 'Web' },
+        { id: 2, parent_id: 1, depth: 1, name: 'Checkout' },
+        { id: 3, parent_id: 2, depth: 2, name: 'Cart' },
+        { id: 4, parent_id: 1, depth: 1, name: 'Account' },
+        { id: 5, parent_id: null, name: 'API' },
+        { id: 6, parent_id: null, name: 'Docs' }
+    ],
+    cases: [
+        ...makeCases(10, 1, [YES]),
+        ...makeCases(10, 2, [NO, CANDIDATE]),
+        ...makeCases(10, 3, [YES, CANDIDATE, CANDIDATE]),
+        ...makeCases(10, 4, [YES, YES]),
+        ...makeCases(10, 5, [YES, NO]),
+        ...makeCases(10, 6, [NO])
+    ]
+};
+
+describe('teams', () => {
+    let app;
+    const teamIds = {};
+    const team = (name, sectionIds) => app.post('/api/teams', { name, projectId: 1, suiteId: 10, sectionIds });
+    const leaderboard = () => app.post('/api/teams/coverage', { projectId: 1, suiteId: 10 });
+
+    before(async () => {
+        app = await startApp(makeFixtures([suite]));
+    });
+
+    after(() => app.stop());
+
+    it('maps sections to teams', async () => {
+        for (const [name, sectionIds] of [['Web', [1]], ['Payments', [2]], ['Platform', [5]]]) {
+            const { status, body } = await team(name, sectionIds);
+            assert.equal(status, 201);
+            teamIds[name] = body.id;
+        }
+        assert.equal((await app.get('/api/teams?projectId=1&suiteId=10')).body.length, 3);
+    });
+
+    it('rejects a section that another team already owns', async () => {
+        const { status, body } = await team('Checkout', [2, 6]);
+        assert.equal(status, 409);
+        assert.match(body.error, /Payments/);
+    });
+
+    it('passes ownership down the section tree until another team takes over', async () => {
+        const { status, body } = await leaderboard();
+        assert.equal(status, 200);
+        const byName = Object.fromEntries(body.teams.map(row => [row.name, row]));
+        // Web keeps its own case and Account; Checkout and Cart belong to Payments
+        assert.deepEqual(byName.Web.sectionIds, [1, 4]);
+        assert.equal(byName.Web.total, 3);
+        assert.deepEqual(byName.Payments.sectionIds, [2, 3]);
+        assert.equal(byName.Payments.total, 5);
+        assert.equal(byName.Payments.candidates, 3);
+        assert.equal(body.unassigned.total, 1);
+    });
+
+    it('ranks teams by coverage, then by the smaller candidate backlog', async () => {
+        const { body } = await leaderboard();
+        assert.deepEqual(body.teams.map(row => [row.name, row.coverage]), [
+            ['Web', '100.0'],
+            ['Platform', '50.0'],
+            ['Payments', '20.0']
+        ]);
+    });
+
+    it('reads the suite only once for all teams', async () => {
+        const before = app.callsTo('get_cases', 10).length;
+        await app.request('DELETE', '/api/testrail/cache');
+        await leaderboard();
+        assert.equal(app.callsTo('get_cases', 10).length - before, 1);
+    });
+
+    it('hands sections of a deleted team back to the parent team', async () => {
+        assert.equal((await app.request('DELETE', `/api/teams/${teamIds.Payments}`)).status, 204);
+        const { body } = await leaderboard();
+        const web = body.teams.find(row => row.name === 'Web');
+        assert.deepEqual(web.sectionIds, [1, 2, 3, 4]);
+        assert.equal(web.total, 8);
+    });
+});
@@ -0,0 +1,68 @@
+// backend/test/updateCases.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { YES, NO, makeCases, makeFixtures, startApp } = require('./helpers');
+
+// Suite 10: 150 manual cases and one automated case, so an update takes two batches of 100
+const manualCases = makeCases(10, 1, Array.from({ length: 150 }, () => NO));
+const [automatedCase] = makeCases(10, 1, [YES]);
+const suite = {
+    id: 10,
+    sections: [{ id: 1, parent_id: null, name: 'Web' }],
+    cases: [...manualCases, automatedCase]
+};
+const manualIds = manualCases.map(testCase => testCase.id);
+
+describe('POST /api/testrail/cases/automation', () => {
+    let app;
+    const update = (body) => app.post('/api/testrail/cases/automation', { projectId: 1, suiteId: 10, ...body });
+    const data = () => app.post('/api/testrail/data', { projectId: 1, suiteId: 10, folderIds: [1] });
+    const writes = () => app.callsTo('update_cases', 10);
+    const automationOf = (id) => app.mockData().cases.find(testCase => testCase.id === id).custom_automation;
+
+    before(async () => {
+        app = await startApp(makeFixtures([suite]));
+    });
+
+    after(() => app.stop());
+
+    it('plans a dry run without writing to TestRail', async () => {
+        const { status, body } = await update({ caseIds: [manualIds[0], automatedCase.id, 99999], category: 'Yes', dryRun: true });
+        assert.equal(status, 200);
+        assert.equal(body.dryRun, true);
+        assert.deepEqual(body.results.map(item => [item.id, item.from, item.status]), [
+            [manualIds[0], 'No', 'pending'],
+            [automatedCase.id, 'Yes', 'unchanged'],
+            [99999, null, 'not-found']
+        ]);
+        assert.equal(automationOf(manualIds[0]), NO);
+        assert.equal(writes().length, 0);
+    });
+
+    it('rejects a category that is not an option of the field', async () => {
+        const { status, body } = await update({ caseIds: [manualIds[0]], category: 'Maybe' });
+        assert.equal(status, 400);
+        assert.match(body.error, /not an option/);
+    });
+
+    it('reports every case of a failed batch', async () => {
+        await data();
+        // Deleted in TestRail after the app cached it; TestRail rejects the whole second batch
+        const deletedId = manualIds[120];
+        app.mockData().cases = app.mockData().cases.filter(testCase => testCase.id !== deletedId);
+
+        const { status, body } = await update({ caseIds: [...manualIds, automatedCase.id, 99999], category: 'Yes' });
+        assert.equal(status, 200);
+        assert.deepEqual(body.summary, { updated: 100, failed: 50, unchanged: 1, 'not-found': 1 });
+        const failed = body.results.filter(item => item.status === 'failed');
+        assert.deepEqual(failed.map(item => item.id), manualIds.slice(100));
+        assert.ok(failed.every(item => /HTTP 400/.test(item.error)));
+        assert.equal(automationOf(manualIds[0]), YES);
+        assert.equal(automationOf(manualIds[149]), NO);
+    });
+
+    it('shows the new category on the next chart', async () => {
+        const { body } = await data();
+        assert.equal(body.totalCounts.Yes, 101);
+    });
+});
@@ -0,0 +1,171 @@
+// backend/testResults.js
+const { XMLParser } = require('fast-xml-parser');
+
+// TestRail case IDs follow the C1234 convention, e.g. "C1234 logs in" or "test_C1234_login"
+const CASE_ID_PATTERN = /(?<![A-Za-z0-9])C(\d+)(?!\d)/g;
+// Properties/traits that carry a case ID on their own, possibly without the C prefix
+const CASE_ID_PROPERTY = /test_?id|case_?id|testrail/i;
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    textNodeName: '#text',
+    parseAttributeValue: false,
+    parseTagValue: false,
+    isArray: (name) => ['testsuite', 'testcase', 'property', 'assembly', 'collection', 'test', 'trait'].includes(name)
+});
+
+const findCaseIds = (text) => {
+    const ids = [];
+    for (const match of String(text || '').matchAll(CASE_ID_PATTERN)) {
+        ids.push(Number(match[1]));
+    }
+    return ids;
+};
+
+/**
+ * Case IDs named by a property (JUnit) or trait (xUnit.net)
+ */
+const findPropertyCaseIds = (properties) => {
+    const ids = [];
+    properties.forEach(property => {
+        const value = property.value !== undefined ? property.value : property['#text'];
+        const plain = /^\s*C?(\d+)\s*$/.exec(String(value || ''));
+        if (CASE_ID_PROPERTY.test(property.name || '') && plain) {
+            ids.push(Number(plain[1]));
+        } else {
+            ids.push(...findCaseIds(value));
+        }
+    });
+    return ids;
+};
+
+/**
+ * JUnit: <testcase> with <failure>/<error>/<skipped> children and optional <properties>
+ */
+const fromJUnitCase = (testCase) => {
+    let status = 'passed';
+    if (testCase.failure !== undefined || testCase.error !== undefined) {
+        status = 'failed';
+    } else if (testCase.skipped !== undefined) {
+        status = 'skipped';
+    }
+    const properties = (testCase.properties && testCase.properties.property) || [];
+    return { name: testCase.name || '', status, ids: findCaseIds(testCase.name).concat(findPropertyCaseIds(properties)) };
+};
+
+/**
+ * xUnit.net: <test result="Pass|Fail|Skip"> with optional <traits>
+ */
+const fromXUnitTest = (test) => {
+    const result = String(test.result || '').toLowerCase();
+    const status = result === 'fail' ? 'failed' : result === 'skip' ? 'skipped' : 'passed';
+    const traits = (test.traits && test.traits.trait) || [];
+    return { name: test.name || '', status, ids: findCaseIds(test.name).concat(findPropertyCaseIds(traits)) };
+};
+
+/**
+ * Walk the parsed document and collect every test, wherever the suites nest it
+ */
+const collectTests = (node, tests) => {
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node).forEach(([key, value]) => {
+        const children = Array.isArray(value) ? value : [value];
+        if (key === 'testcase') {
+            children.forEach(child => tests.push(fromJUnitCase(child)));
+        } else if (key === 'test' && children.every(child => child && typeof child === 'object')) {
+            children.forEach(child => tests.push(fromXUnitTest(child)));
+        } else {
+            children.forEach(child => collectTests(child, tests));
+        }
+    });
+};
+
+const STATUS_RANK = { failed: 3, passed: 2, skipped: 1 };
+
+/**
+ * Parse a JUnit or xUnit.net XML report into the TestRail cases it covers.
+ * Returns { tests, unmatched, results: [{ caseId, status }] } where tests is the
+ * number of test entries, unmatched those without a case ID, and a case run by
+ * several tests keeps its worst status.
+ */
+const parseTestReport = (xml) => {
+    let document;
+    try {
+        document = parser.parse(xml, true);
+    } catch (error) {
+        throw new Error(`Invalid XML: ${error.message}`);
+    }
+    if (!document.testsuites && !document.testsuite && !document.assemblies && !document.assembly) {
+        throw new Error('Not a JUnit or xUnit report: expected <testsuites>, <testsuite> or <assemblies> as root element');
+    }
+
+    const tests = [];
+    collectTests(document, tests);
+    const statusById = new Map();
+    let unmatched = 0;
+    tests.forEach(test => {
+        if (!test.ids.length) {
+            unmatched += 1;
+            return;
+        }
+        test.ids.forEach(id => {
+            const current = statusById.get(id);
+            if (!current || STATUS_RANK[test.status] > STATUS_RANK[current]) {
+                statusById.set(id, test.status);
+            }
+        });
+    });
+    return {
+        tests: tests.length,
+        unmatched,
+        results: Array.from(statusById, ([caseId, status]) => ({ caseId, status }))
+    };
+};
+
+/**
+ * Cross-check the cases of a coverage result against automated test results.
+ * Verified cases are marked automated and have a result; the other two lists
+ * are the mismatches in either direction.
+ */
+const crossCheckResults = (coverage, reports) => {
+    const statusById = new Map();
+    reports.forEach(report => {
+        report.results.forEach(({ caseId, status }) => {
+            const current = statusById.get(caseId);
+            if (!current || STATUS_RANK[status] > STATUS_RANK[current]) {
+                statusById.set(caseId, status);
+            }
+        });
+    });
+
+    const verified = [];
+    const markedWithoutResult = [];
+    const resultWithoutMark = [];
+    let total = 0;
+    coverage.categories.forEach(category => {
+        const automated = coverage.automatedCategories.includes(category);
+        coverage.casesByCategory[category].forEach(testCase => {
+            total += 1;
+            const status = statusById.get(testCase.id);
+            const entry = { ...testCase, category, status: status || null };
+            if (automated && status) {
+                verified.push(entry);
+            } else if (automated) {
+                markedWithoutResult.push(entry);
+            } else if (status) {
+                resultWithoutMark.push(entry);
+            }
+        });
+    });
+
+    return {
+        reports: reports.map(({ id, name, uploadedAt }) => ({ id, name, uploadedAt })),
+        verifiedCoverage: total > 0 ? (verified.length / total * 100).toFixed(1) : 0,
+        verified,
+        markedWithoutResult,
+        resultWithoutMark
+    };
+};
+
+module.exports = { parseTestReport, crossCheckResults };
@@ -0,0 +1,264 @@
+// backend/testrailClient.js
+const axios = require('axios');
+
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Wait before a retry; an abort signal ends the wait early with a cancellation
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (!signal) {
+        setTimeout(resolve, ms);
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError('Request cancelled'));
+    };
+    const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Whether an error comes from a cancelled request rather than from TestRail
+ */
+const isCancelled = (error) => axios.isCancel(error);
+
+/**
+ * Errors worth retrying: timeouts, dropped connections, rate limiting and 5xx
+ */
+const isRetryable = (error) => {
+    if (isCancelled(error)) return false;
+    if (!error.response) return true;
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+};
+
+/**
+ * Delay before the next attempt: Retry-After when TestRail sends it,
+ * otherwise exponential backoff with jitter
+ */
+const getRetryDelay = (error, attempt, baseDelayMs) => {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (ms >= 0) return Math.min(ms, MAX_RETRY_DELAY_MS);
+    }
+    const backoff = baseDelayMs * 2 ** attempt;
+    return Math.min(backoff + Math.random() * baseDelayMs, MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Create a TestRail API client for one account.
+ * All calls share a concurrency cap, time out after timeoutMs and are
+ * retried up to maxRetries times. Every fetch accepts an optional stats
+ * object whose `calls` counter is incremented per HTTP request. The same
+ * object may carry an AbortSignal as `signal`, which cancels in-flight and
+ * queued calls, and an `onPage({ key, count })` callback that list endpoints
+ * call with the number of items on every page they receive.
+ * onRequest, when given, is told about every HTTP attempt as
+ * { method, endpoint, status, durationMs }; status is 'error' when no response
+ * arrived and 'cancelled' when the call was aborted.
+ */
+const createTestRailClient = ({
+    url,
+    authToken,
+    timeoutMs = 30000,
+    maxRetries = 4,
+    baseDelayMs = 1000,
+    maxConcurrent = 5,
+    onRequest = () => {}
+}) => {
+    const http = axios.create({
+        baseURL: `${url}/index.php?/api/v2/`,
+        timeout: timeoutMs,
+        headers: { 'Authorization': `Basic ${authToken}` }
+    });
+
+    // Simple semaphore so a big request cannot flood TestRail
+    let active = 0;
+    const waiting = [];
+    const acquire = () => new Promise(resolve => {
+        if (active < maxConcurrent) {
+            active += 1;
+            resolve();
+        } else {
+            waiting.push(resolve);
+        }
+    });
+    const release = () => {
+        const next = waiting.shift();
+        if (next) {
+            next();
+        } else {
+            active -= 1;
+        }
+    };
+
+    /**
+     * Send one API request with retries; resolves to the response body.
+     * The concurrency slot is given back while waiting for a retry.
+     */
+    const request = async (method, apiPath, data, stats = { calls: 0 }) => {
+        for (let attempt = 0; ; attempt++) {
+            await acquire();
+            if (stats.signal && stats.signal.aborted) {
+                release();
+                throw new axios.CanceledError('Request cancelled');
+            }
+            let response;
+            // API method name such as get_cases, without IDs and query parameters
+            const endpoint = apiPath.split(/[/&]/)[0];
+            const startedAt = Date.now();
+            try {
+                stats.calls += 1;
+                response = await http.request({ method, url: apiPath, data, signal: stats.signal });
+                onRequest({ method, endpoint, status: response.status, durationMs: Date.now() - startedAt });
+            } catch (error) {
+                const status = error.response ? error.response.status : (isCancelled(error) ? 'cancelled' : 'error');
+                onRequest({ method, endpoint, status, durationMs: Date.now() - startedAt });
+                release();
+                if (attempt >= maxRetries || !isRetryable(error)) {
+                    throw error;
+                }
+                const delay = getRetryDelay(error, attempt, baseDelayMs);
+                const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+                console.warn(`[TESTRAIL] ${method.toUpperCase()} ${apiPath} failed (${reason}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+                await sleep(delay, stats.signal);
+                continue;
+            }
+            release();
+            return response.data;
+        }
+    };
+
+    /**
+     * Fetch every page of a list endpoint. Newer TestRail versions wrap
+     * the page into { offset, limit, size, [key]: [...] }, older ones return a bare array.
+     */
+    const fetchPaged = async (apiPath, key, stats) => {
+        let all = [];
+        let offset = 0;
+        const limit = 250;
+        let fetched = 0;
+        do {
+            console.log(`[TESTRAIL] Fetching ${apiPath} with offset=${offset} and limit=${limit}`);
+            let batch = await request('get', `${apiPath}&offset=${offset}&limit=${limit}`, undefined, stats);
+            if (!Array.isArray(batch)) {
+                if (batch && Array.isArray(batch[key])) {
+                    batch = batch[key];
+                } else {
+                    console.error(`[TESTRAIL] Expected array for ${key} but got: ${typeof batch}`);
+                    throw new Error(`${key} data is not an array`);
+                }
+            }
+            all = all.concat(batch);
+            fetched = batch.length;
+            offset += fetched;
+            if (stats && stats.onPage) {
+                stats.onPage({ key, count: fetched });
+            }
+        } while (fetched === limit);
+        return all;
+    };
+
+    /**
+     * Fetch all projects with pagination
+     */
+    const fetchAllProjects = (stats) => fetchPaged('get_projects', 'projects', stats);
+
+    /**
+     * Fetch all suites of a project (get_suites is not paginated)
+     */
+    const fetchSuites = async (projectId, stats) => {
+        const suites = await request('get', `get_suites/${projectId}`, undefined, stats);
+        if (!Array.isArray(suites)) {
+            throw new Error('Suites data is not an array');
+        }
+        return suites;
+    };
+
+    /**
+     * Fetch all sections of a suite with pagination
+     */
+    const fetchAllSections = (projectId, suiteId, stats) =>
+        fetchPaged(`get_sections/${projectId}&suite_id=${suiteId}`, 'sections', stats);
+
+    /**
+     * Fetch all test cases of a suite with pagination, optionally only those
+     * updated after a unix timestamp
+     */
+    const fetchAllCases = (projectId, suiteId, stats, updatedAfter = null) => {
+        const updatedFilter = updatedAfter ? `&updated_after=${updatedAfter}` : '';
+        return fetchPaged(`get_cases/${projectId}&suite_id=${suiteId}${updatedFilter}`, 'cases', stats);
+    };
+
+    /**
+     * Fetch the definitions of all custom case fields
+     */
+    const fetchCaseFields = async (stats) => {
+        const fields = await request('get', 'get_case_fields', undefined, stats);
+        if (!Array.isArray(fields)) {
+            throw new Error('Case fields data is not an array');
+        }
+        return fields;
+    };
+
+    /**
+     * Fetch the priorities defined in TestRail
+     */
+    const fetchPriorities = async (stats) => {
+        const priorities = await request('get', 'get_priorities', undefined, stats);
+        if (!Array.isArray(priorities)) {
+            throw new Error('Priorities data is not an array');
+        }
+        return priorities;
+    };
+
+    /**
+     * Fetch the case types defined in TestRail
+     */
+    const fetchCaseTypes = async (stats) => {
+        const caseTypes = await request('get', 'get_case_types', undefined, stats);
+        if (!Array.isArray(caseTypes)) {
+            throw new Error('Case types data is not an array');
+        }
+        return caseTypes;
+    };
+
+    /**
+     * Fetch the case templates available in a project
+     */
+    const fetchTemplates = async (projectId, stats) => {
+        const templates = await request('get', `get_templates/${projectId}`, undefined, stats);
+        if (!Array.isArray(templates)) {
+            throw new Error('Templates data is not an array');
+        }
+        return templates;
+    };
+
+    /**
+     * Set the same field values on several cases of a suite in one call
+     */
+    const updateCases = (suiteId, caseIds, fields, stats) =>
+        request('post', `update_cases/${suiteId}`, { ...fields, case_ids: caseIds }, stats);
+
+    return {
+        request,
+        fetchAllProjects,
+        fetchSuites,
+        fetchAllSections,
+        fetchAllCases,
+        fetchCaseFields,
+        fetchPriorities,
+        fetchCaseTypes,
+        fetchTemplates,
+        updateCases
+    };
+};
+
+module.exports = { createTestRailClient, isCancelled };
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { apiUrl } from './config';
+
+const describeError = (err) => {
+    const data = err.response && err.response.data;
+    if (data && data.errors) return data.errors.map((e) => `${e.path}: ${e.msg}`).join('; ');
+    return data && data.error ? data.error : err.message;
+};
+
+const emptyAccount = { username: '', password: '' };
+
+/**
+ * "Account" page: the TestRail login the backend uses on the user's behalf,
+ * and for admins the accounts and the audit log
+ */
+function Account({ user, onUserChange, onSignOut }) {
+    const [email, setEmail] = useState(user.testrailEmail || '');
+    const [apiKey, setApiKey] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [users, setUsers] = useState([]);
+    const [draft, setDraft] = useState(emptyAccount);
+    const [accountError, setAccountError] = useState('');
+    const [auditEntries, setAuditEntries] = useState([]);
+    const isAdmin = user.role === 'admin';
+
+    const fetchAdminData = async () => {
+        try {
+            const [usersResponse, auditResponse] = await Promise.all([
+                axios.get(`${apiUrl}/api/users`),
+                axios.get(`${apiUrl}/api/audit`)
+            ]);
+            setUsers(usersResponse.data);
+            setAuditEntries(auditResponse.data);
+        } catch (err) {
+            console.error('Error fetching accounts and audit log:', err);
+        }
+    };
+
+    useEffect(() => {
+        if (isAdmin) fetchAdminData();
+    }, [isAdmin]);
+
+    const saveKey = async () => {
+        setSaving(true);
+        setError('');
+        try {
+            const response = await axios.put(`${apiUrl}/api/auth/me/testrail`, { email, apiKey });
+            setApiKey('');
+            onUserChange(response.data);
+        } catch (err) {
+            console.error('Error saving TestRail API key:', err);
+            setError(describeError(err));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const removeKey = async () => {
+        setError('');
+        try {
+            const response = await axios.delete(`${apiUrl}/api/auth/me/testrail`);
+            onUserChange(response.data);
+        } catch (err) {
+            console.error('Error removing TestRail API key:', err);
+            setError(describeError(err));
+        }
+    };
+
+    const createAccount = async () => {
+        setAccountError('');
+        try {
+            await axios.post(`${apiUrl}/api/auth/register`, draft);
+            setDraft(emptyAccount);
+            fetchAdminData();
+        } catch (err) {
+            console.error('Error creating account:', err);
+            setAccountError(describeError(err));
+        }
+    };
+
+    return (
+        <>
+            <div className="section-container account">
+                <div className="section-header">
+                    <span className="section-title">Signed in as {user.username}{isAdmin ? ' (admin)' : ''}</span>
+                    <button onClick={onSignOut} className="btn btn-light">Sign Out</button>
+                </div>
+                <p className="test-results-hint">
+                    {user.hasTestRailKey
+                        ? `TestRail is read and updated as ${user.testrailEmail}.`
+                        : 'Add your TestRail email and API key (My Settings > API Keys in TestRail) to build charts. The key is stored encrypted.'}
+                </p>
+                <div className="filter-row">
+                    <label className="filter-date">
+                        TestRail email
+                        <input className="edit-chart-input" value={email} onChange={(e) => setEmail(e.target.value)} />
+                    </label>
+                    <label className="filter-date">
+                        API key
+                        <input
+                            type="password"
+                            className="edit-chart-input"
+                            value={apiKey}
+                            onChange={(e) => setApiKey(e.target.value)}
+                            placeholder={user.hasTestRailKey ? 'Stored' : ''}
+                            autoComplete="off"
+                        />
+                    </label>
+                    <button onClick={saveKey} className="btn btn-light" disabled={saving || !email.trim() || !apiKey.trim()}>
+                        {saving ? 'Checking...' : 'Save Key'}
+                    </button>
+                    {user.hasTestRailKey && (
+                        <button onClick={removeKey} className="btn btn-light">Remove Key</button>
+                    )}
+                </div>
+                {error && <p className="case-update-error">{error}</p>}
+            </div>
+
+            {isAdmin && (
+                <div className="section-container account-users">
+                    <div className="section-header">
+                        <span className="section-title">Accounts:</span>
+                    </div>
+                    <div className="section-breakdown">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Username</th>
+                                    <th>Role</th>
+                                    <th>TestRail account</th>
+                                    <th>Created</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {users.map((account) => (
+                                    <tr key={account.id}>
+                                        <td>{account.username}</td>
+                                        <td>{account.role}</td>
+                                        <td>{account.hasTestRailKey ? account.testrailEmail : '—'}</td>
+                                        <td>{new Date(account.createdAt).toLocaleString()}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="filter-row">
+                        <label className="filter-date">
+                            Username
+                            <input className="edit-chart-input" value={draft.username} onChange={(e) => setDraft({ ...draft, username: e.target.value })} />
+                        </label>
+                        <label className="filter-date">
+                            Initial password
+                            <input
+                                type="password"
+                                className="edit-chart-input"
+                                value={draft.password}
+                                onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+                                autoComplete="new-password"
+                            />
+                        </label>
+                        <button onClick={createAccount} className="btn btn-light" disabled={!draft.username.trim() || !draft.password}>
+                            Create Account
+                        </button>
+                    </div>
+                    {accountError && <p className="case-update-error">{accountError}</p>}
+                </div>
+            )}
+
+            {isAdmin && (
+                <div className="section-container audit-log">
+                    <div className="section-header">
+                        <span className="section-title">Audit Log:</span>
+                        <button onClick={fetchAdminData} className="btn btn-light">Refresh</button>
+                    </div>
+                    {auditEntries.length === 0 ? (
+                        <p className="test-results-hint">Nothing recorded yet.</p>
+                    ) : (
+                        <div className="section-breakdown">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Time</th>
+                                        <th>User</th>
+                                        <th>Action</th>
+                                        <th>Target</th>
+                                        <th>Details</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {auditEntries.map((entry, idx) => (
+                                        <tr key={`${entry.at}-${idx}`}>
+                                            <td>{new Date(entry.at).toLocaleString()}</td>
+                                            <td>{entry.username || '—'}</td>
+                                            <td>{entry.action}</td>
+                                            <td>{entry.target || '—'}</td>
+                                            <td className="audit-details">{entry.details ? JSON.stringify(entry.details) : ''}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+        </>
+    );
+}
+
+export default Account;
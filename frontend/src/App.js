@@ -1,21 +1,25 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 import CheckboxTree from 'react-checkbox-tree';
 import 'react-checkbox-tree/lib/react-checkbox-tree.css';
 import { PieChart, Pie, Cell, Tooltip, Legend } from 'recharts';
-import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
+import CoverageHistory from './CoverageHistory';
+import CaseFilters, { emptyFilters, describeFilters } from './CaseFilters';
+import SavedCharts from './SavedCharts';
+import CaseList from './CaseList';
+import TestResults, { VerificationDetails } from './TestResults';
+import Reports from './Reports';
+import Compare from './Compare';
+import Account from './Account';
+import RequirementCoverage from './RequirementCoverage';
+import Teams from './Teams';
+import { buildShareUrl, buildSavedChartUrl, readSharedChart, copyLink } from './chartLink';
+import { getCategoryColor } from './categoryColors';
+import { streamCoverage } from './coverageStream';
+import { apiUrl } from './config';
 import './App.css';
 
-const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:5001';
-
-// Set colors for chart segments (unchanged)
-const fixedColors = {
-    Yes: '#008000', // green
-    'Automation Candidate': '#FFD700', // yellow
-    No: '#FF0000'   // red
-};
-
 /**
  * Custom label on segment: adds "%" sign
  */
@@ -55,18 +59,164 @@ const CustomTooltip = ({ active, payload }) => {
     );
 };
 
-function App() {
-    const testrailUrl = 'https://tealium.testrail.io';
-    const path = '66';
+/**
+ * Row of the per-section breakdown; children are sorted worst coverage first
+ */
+const SectionBreakdownRow = ({ node, categories, depth }) => {
+    const [open, setOpen] = useState(depth === 0);
+    const hasChildren = node.children.length > 0;
+    const children = [...node.children].sort((a, b) => Number(a.coverage) - Number(b.coverage));
+    return (
+        <>
+            <tr>
+                <td style={{ paddingLeft: `${8 + depth * 18}px` }}>
+                    {hasChildren ? (
+                        <span className="custom-expand-icon" onClick={() => setOpen(!open)}>
+                            {open ? '▼' : '►'}
+                        </span>
+                    ) : (
+                        <span className="custom-expand-icon" />
+                    )}
+                    {node.name}
+                </td>
+                {categories.map((category) => (
+                    <td key={category} title={`Own cases: ${node.counts[category]}`}>
+                        {node.rolledUpCounts[category]}
+                    </td>
+                ))}
+                <td title={`Own cases: ${node.total}`}>{node.rolledUpTotal}</td>
+                <td>
+                    <div className="coverage-bar">
+                        <div className="coverage-bar-fill" style={{ width: `${node.coverage}%` }} />
+                        <span>{node.rolledUpTotal > 0 ? `${node.coverage}%` : '—'}</span>
+                    </div>
+                </td>
+            </tr>
+            {open && children.map((child) => (
+                <SectionBreakdownRow key={child.id} node={child} categories={categories} depth={depth + 1} />
+            ))}
+        </>
+    );
+};
+
+/**
+ * Expandable table with rolled-up counts and coverage per section
+ */
+const SectionBreakdown = ({ tree, categories }) => (
+    <div className="test-case-list section-breakdown no-export">
+        <details>
+            <summary>Coverage by Section</summary>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Section</th>
+                        {categories.map((category) => <th key={category}>{category}</th>)}
+                        <th>Total</th>
+                        <th>Coverage</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {[...tree]
+                        .sort((a, b) => Number(a.coverage) - Number(b.coverage))
+                        .map((node) => (
+                            <SectionBreakdownRow key={node.id} node={node} categories={categories} depth={0} />
+                        ))}
+                </tbody>
+            </table>
+        </details>
+    </div>
+);
+
+/**
+ * Progress of a running build from the streaming data endpoint. The suite's
+ * case count is unknown while it downloads, so that stage shows an
+ * indeterminate bar.
+ */
+const BuildProgress = ({ progress, onCancel }) => {
+    let percent;
+    let text = 'Connecting...';
+    if (progress && progress.stage === 'sections') {
+        percent = 5;
+        text = 'Loading sections...';
+    } else if (progress && progress.stage === 'cases') {
+        text = `${progress.sectionsResolved} sections selected · ${progress.casesFetched} test cases downloaded`;
+    } else if (progress && progress.stage === 'aggregating') {
+        percent = 95;
+        text = `Counting ${progress.casesCounted} test cases in ${progress.sectionsResolved} sections...`;
+    }
+    return (
+        <div className="build-progress">
+            <progress max={100} value={percent} />
+            <div className="build-progress-row">
+                <span>{text}</span>
+                <button onClick={onCancel} className="btn btn-light">Cancel</button>
+            </div>
+            {progress && progress.errors.length > 0 && (
+                <ul className="build-progress-errors">
+                    {progress.errors.map((error, idx) => (
+                        <li key={idx}>{error.message}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
 
+// Labels for the section inclusion policies understood by the data endpoint
+const inclusionLabels = {
+    exact: 'Selected sections only',
+    descendants: 'With subsections',
+    ancestors: 'With parent sections',
+    'ancestors-and-descendants': 'With parents and subsections'
+};
+
+/**
+ * Mark excluded branches in the tree so they stand out while selecting
+ */
+const markExcluded = (nodes, excluded, insideExcluded = false) =>
+    nodes.map((node) => {
+        const isExcluded = insideExcluded || excluded.includes(node.value);
+        return {
+            ...node,
+            className: isExcluded ? 'excluded-node' : undefined,
+            children: node.children && node.children.length > 0
+                ? markExcluded(node.children, excluded, isExcluded)
+                : node.children
+        };
+    });
+
+function App({ user, onUserChange, onSignOut }) {
+    const [projects, setProjects] = useState([]);
+    const [suites, setSuites] = useState([]);
+    const [projectId, setProjectId] = useState(null);
+    const [suiteId, setSuiteId] = useState(null);
+    const [filters, setFilters] = useState(emptyFilters);
+    const [filterOptions, setFilterOptions] = useState({
+        priorities: [],
+        caseTypes: [],
+        templates: [],
+        categories: [],
+        defaultAutomatedCategories: []
+    });
+    const [automatedCategories, setAutomatedCategories] = useState([]); // Categories that count as covered
     const [treeData, setTreeData] = useState([]);
     const [checked, setChecked] = useState([]);
+    const [excluded, setExcluded] = useState([]); // Branches left out of the chart
+    const [treeMode, setTreeMode] = useState('include'); // Whether ticking a box selects or excludes it
+    const [inclusion, setInclusion] = useState('descendants');
     const [expanded, setExpanded] = useState([]);
     const [chartsData, setChartsData] = useState([]);
     const [loadingChart, setLoadingChart] = useState(false);
+    const [buildProgress, setBuildProgress] = useState(null); // Latest progress event of the running build
+    const [buildError, setBuildError] = useState('');
+    const buildController = useRef(null); // Aborts the running build
     const [editingIndex, setEditingIndex] = useState(null);
     const [draftName, setDraftName] = useState('');
     const [showInfo, setShowInfo] = useState(true); // Controls visibility of the info panel
+    const [historyName, setHistoryName] = useState(''); // Optional name to track the selection over time
+    const [historyVersion, setHistoryVersion] = useState(0);
+    const [savedVersion, setSavedVersion] = useState(0);
+    const [page, setPage] = useState('coverage'); // 'coverage', 'reports' or 'account'
 
     // Transform data for CheckboxTree
     const formatTree = (nodes) =>
@@ -88,12 +238,47 @@ function App() {
         return values;
     };
 
-    // Fetch sections structure (using folders URL, unchanged)
-    const fetchSections = async () => {
+    // Fetch available projects and preselect the server default
+    const fetchProjects = async () => {
+        try {
+            const response = await axios.get(`${apiUrl}/api/testrail/projects`);
+            const { projects: projectList, defaultProjectId } = response.data;
+            setProjects(projectList);
+            const preferred = projectList.find((p) => p.id === defaultProjectId) || projectList[0];
+            setProjectId(preferred ? preferred.id : null);
+        } catch (error) {
+            console.error('Error fetching projects:', error);
+        }
+    };
+
+    // Fetch suites of the chosen project and preselect the server default
+    const fetchSuites = async (selectedProjectId) => {
+        try {
+            const response = await axios.get(`${apiUrl}/api/testrail/projects/${selectedProjectId}/suites`);
+            setSuites(response.data.suites);
+            setSuiteId(response.data.defaultSuiteId);
+        } catch (error) {
+            console.error('Error fetching suites:', error);
+        }
+    };
+
+    // Fetch priorities, case types and templates for the filter controls
+    const fetchFilterOptions = async (selectedProjectId) => {
+        try {
+            const response = await axios.get(`${apiUrl}/api/testrail/projects/${selectedProjectId}/filter-options`);
+            setFilterOptions(response.data);
+            setAutomatedCategories(response.data.defaultAutomatedCategories);
+        } catch (error) {
+            console.error('Error fetching filter options:', error);
+        }
+    };
+
+    // Fetch sections structure for the chosen project and suite
+    const fetchSections = async (selectedProjectId, selectedSuiteId) => {
         try {
             const response = await axios.post(`${apiUrl}/api/testrail/folders`, {
-                testrailUrl,
-                path
+                projectId: selectedProjectId,
+                suiteId: selectedSuiteId
             });
             const formattedTree = formatTree(response.data);
             setTreeData(formattedTree);
@@ -104,9 +289,38 @@ function App() {
     };
 
     useEffect(() => {
-        fetchSections();
+        fetchProjects();
     }, []);
 
+    useEffect(() => {
+        if (!projectId) return;
+        setSuites([]);
+        setSuiteId(null);
+        setFilters(emptyFilters);
+        fetchSuites(projectId);
+        fetchFilterOptions(projectId);
+    }, [projectId]);
+
+    // Reload the section tree whenever the project/suite choice changes
+    useEffect(() => {
+        if (!projectId || !suiteId) return;
+        setTreeData([]);
+        setChecked([]);
+        setExcluded([]);
+        fetchSections(projectId, suiteId);
+    }, [projectId, suiteId]);
+
+    // Drop the server-side cache for this project/suite and reload the tree
+    const refreshFromTestRail = async () => {
+        try {
+            await axios.delete(`${apiUrl}/api/testrail/cache`, { params: { projectId, suiteId } });
+            setTreeData([]);
+            await fetchSections(projectId, suiteId);
+        } catch (error) {
+            console.error('Error refreshing TestRail data:', error);
+        }
+    };
+
     const expandAll = () => {
         setExpanded(getAllNodeValues(treeData));
     };
@@ -127,111 +341,176 @@ function App() {
     };
 
     /**
-     * Create a new chart. The name is always "Automation Coverage Chart"
+     * Build a chart from a definition and put it on top of the list.
+     * Definitions come from the section tree, a saved chart or a shared link.
+     * With replaceIndex the chart at that position is rebuilt in place instead.
+     * Starting a build cancels the one still running. Only uses state setters
+     * and refs, so it is created once.
      */
-    const buildChart = async () => {
-        if (!checked.length) return;
+    const buildChartFromDefinition = useCallback(async (definition, { title, filterSummary = '', savedId = null, trackAs, replaceIndex } = {}) => {
+        if (buildController.current) buildController.current.abort();
+        const controller = new AbortController();
+        buildController.current = controller;
         setLoadingChart(true);
+        setBuildProgress(null);
+        setBuildError('');
         try {
-            // Use folder IDs as-is
-            const folderIds = checked.map((id) => parseInt(id, 10));
-            const response = await axios.post(`${apiUrl}/api/testrail/data`, {
-                testrailUrl,
-                folderIds
-            });
-
-            const chartTitle = 'Automation Coverage Chart';
+            const data = await streamCoverage({
+                ...definition,
+                historyName: trackAs || undefined
+            }, { signal: controller.signal, onProgress: setBuildProgress });
 
             const newChart = {
-                ...response.data,
-                title: chartTitle,
-                candidateTests: response.data.candidateTests || [],
-                noTests: response.data.noTests || []
+                ...data,
+                definition,
+                savedId,
+                title: title || 'Automation Coverage Chart',
+                filterSummary,
+                casesByCategory: data.casesByCategory || {}
             };
 
-            const oldCharts = chartsData.map((c) => ({
-                ...c,
-                candidateTests: [],
-                noTests: []
-            }));
-
-            setChartsData([newChart, ...oldCharts]);
+            if (replaceIndex !== undefined) {
+                setChartsData((prev) => prev.map((c, i) => (i === replaceIndex ? newChart : c)));
+            } else {
+                // Older charts keep their case lists so they can be compared side by side
+                setChartsData((prev) => [newChart, ...prev]);
+            }
+            if (data.historyId) {
+                setHistoryVersion((v) => v + 1);
+            }
         } catch (error) {
-            console.error('Error building chart:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Error building chart:', error);
+                setBuildError(error.message);
+            }
         } finally {
-            setLoadingChart(false);
+            if (buildController.current === controller) {
+                buildController.current = null;
+                setLoadingChart(false);
+                setBuildProgress(null);
+            }
         }
-    };
-
-    // Hide elements during export
-    const hideNoExportElements = () => {
-        const elements = document.querySelectorAll('.no-export');
-        elements.forEach(el => {
-            el.setAttribute('data-old-display', el.style.display || '');
-            el.style.display = 'none';
-        });
-    };
+    }, []);
 
-    const showNoExportElements = () => {
-        const elements = document.querySelectorAll('.no-export');
-        elements.forEach(el => {
-            const oldDisplay = el.getAttribute('data-old-display');
-            el.style.display = oldDisplay;
-            el.removeAttribute('data-old-display');
-        });
+    const cancelBuild = () => {
+        if (buildController.current) buildController.current.abort();
     };
 
     /**
-     * Export all charts to PDF (multi-page)
+     * Create a new chart from the ticked sections. The name is always "Automation Coverage Chart"
      */
-    const exportToPDF = async () => {
-        hideNoExportElements();
-
-        const pdf = new jsPDF('p', 'mm', 'a4');
-        const pageWidth = pdf.internal.pageSize.getWidth();
-        const pageHeight = pdf.internal.pageSize.getHeight();
-        const margin = 10;
-        let currentY = margin;
-        const maxWidth = pageWidth - margin * 2;
-        const scaleFactor = 0.9;
-
-        for (let i = 0; i < chartsData.length; i++) {
-            const chartDiv = document.getElementById(`chart-container-${i}`);
-            if (!chartDiv) continue;
-
-            const noExports = chartDiv.querySelectorAll('.no-export');
-            noExports.forEach(el => {
-                el.setAttribute('data-old-display', el.style.display || '');
-                el.style.display = 'none';
-            });
+    const buildChart = () => {
+        if (!checked.length) return;
+        // Everything needed to rebuild this chart on the server (PDF report, saved charts, links)
+        const definition = {
+            projectId,
+            suiteId,
+            folderIds: checked.map((id) => parseInt(id, 10)),
+            inclusion,
+            excludeIds: excluded.map((id) => parseInt(id, 10)),
+            filters,
+            automatedCategories: automatedCategories.length ? automatedCategories : undefined
+        };
+        buildChartFromDefinition(definition, {
+            filterSummary: describeFilters(filters, filterOptions),
+            trackAs: historyName.trim()
+        });
+    };
 
-            const canvas = await html2canvas(chartDiv);
+    // Rebuild a chart saved on the server
+    const buildSavedChart = useCallback((saved) => {
+        const { id, name, title, filterSummary, ownerId, createdAt, updatedAt, ...definition } = saved;
+        buildChartFromDefinition(definition, { title, filterSummary, savedId: id });
+    }, [buildChartFromDefinition]);
 
-            noExports.forEach(el => {
-                const oldDisplay = el.getAttribute('data-old-display');
-                el.style.display = oldDisplay;
-                el.removeAttribute('data-old-display');
-            });
+    // Build the chart a shared link points to
+    useEffect(() => {
+        const shared = readSharedChart();
+        if (!shared) return;
+        if (shared.savedId) {
+            axios.get(`${apiUrl}/api/charts/${shared.savedId}`)
+                .then((response) => {
+                    // A teammate's chart opens as a copy; only its owner updates the saved one
+                    const { editable, ...saved } = response.data;
+                    buildSavedChart(editable ? saved : { ...saved, id: null });
+                })
+                .catch((error) => console.error('Error loading shared chart:', error));
+        } else {
+            const { title, filterSummary, ...definition } = shared.definition;
+            buildChartFromDefinition(definition, { title, filterSummary });
+        }
+    }, [buildSavedChart, buildChartFromDefinition]);
 
-            const imgData = canvas.toDataURL('image/png');
-            const canvasWidth = canvas.width;
-            const canvasHeight = canvas.height;
+    // Save a chart definition on the server, or update it if it came from there
+    const saveChart = async (index) => {
+        const chart = chartsData[index];
+        const payload = { ...chart.definition, name: chart.title, title: chart.title, filterSummary: chart.filterSummary };
+        try {
+            const response = chart.savedId
+                ? await axios.put(`${apiUrl}/api/charts/${chart.savedId}`, payload)
+                : await axios.post(`${apiUrl}/api/charts`, payload);
+            setChartsData((prev) => prev.map((c, i) => (i === index ? { ...c, savedId: response.data.id } : c)));
+            setSavedVersion((v) => v + 1);
+        } catch (error) {
+            console.error('Error saving chart:', error);
+        }
+    };
 
-            const ratio = (maxWidth * scaleFactor) / canvasWidth;
-            const imgWidth = canvasWidth * ratio;
-            const imgHeight = canvasHeight * ratio;
+    // Rebuild a chart in place, e.g. after its cases were updated in TestRail
+    const refreshChart = (index) => {
+        const chart = chartsData[index];
+        buildChartFromDefinition(chart.definition, {
+            title: chart.title,
+            filterSummary: chart.filterSummary,
+            savedId: chart.savedId,
+            replaceIndex: index
+        });
+    };
 
-            if (currentY + imgHeight > pageHeight - margin) {
-                pdf.addPage();
-                currentY = margin;
-            }
+    // Copy a link that rebuilds this chart for whoever opens it
+    const shareChart = (index) => {
+        const chart = chartsData[index];
+        copyLink(chart.savedId
+            ? buildSavedChartUrl(chart.savedId)
+            : buildShareUrl({ ...chart.definition, title: chart.title, filterSummary: chart.filterSummary }));
+    };
 
-            pdf.addImage(imgData, 'PNG', margin, currentY, imgWidth, imgHeight);
-            currentY += imgHeight + 10;
+    /**
+     * POST to a report endpoint and save the returned file
+     */
+    const downloadReport = async (reportPath, payload, fileName) => {
+        try {
+            const response = await axios.post(`${apiUrl}/api/reports/${reportPath}`, payload, { responseType: 'blob' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(response.data);
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error(`Error downloading ${fileName}:`, error);
         }
+    };
+
+    /**
+     * Download a PDF report of all charts, rendered by the backend
+     */
+    const exportToPDF = () => {
+        if (!chartsData.length) return;
+        downloadReport('pdf', {
+            charts: chartsData.map((chart) => ({
+                ...chart.definition,
+                title: chart.title,
+                filterSummary: chart.filterSummary
+            }))
+        }, 'coverage-report.pdf');
+    };
 
-        showNoExportElements();
-        pdf.save('charts.pdf');
+    // Export a single chart's counts and case lists as CSV or XLSX
+    const exportChartData = (chartIndex, format) => {
+        const chart = chartsData[chartIndex];
+        downloadReport(format, { ...chart.definition, title: chart.title }, `chart-${chartIndex}.${format}`);
     };
 
     // Export a single chart to PNG
@@ -287,14 +566,85 @@ function App() {
         expandClose: <span className="custom-expand-icon">►</span>
     };
 
-    return (
-        <div className="container">
+    // Same icons, but a ticked box means "excluded"
+    const excludeIcons = {
+        ...customIcons,
+        check: <span className="custom-exclude-icon">✖</span>
+    };
+
+    const header = (
+        <>
             <h1 className="header">My Coverage</h1>
             <p style={{ textAlign: 'center', color: 'black', fontSize: '16px', marginTop: '-15px', marginBottom: '30px' }}>
                 Build your team’s test automation coverage chart in just two clicks 🚀
             </p>
+            <div className="page-tabs">
+                <button onClick={() => setPage('coverage')} className={page === 'coverage' ? 'active' : ''}>Coverage</button>
+                <button onClick={() => setPage('reports')} className={page === 'reports' ? 'active' : ''}>Reports</button>
+                {user && (
+                    <button onClick={() => setPage('account')} className={page === 'account' ? 'active' : ''}>Account ({user.username})</button>
+                )}
+            </div>
+            {user && !user.hasTestRailKey && page !== 'account' && (
+                <p className="account-banner">
+                    Charts are built with your own TestRail account.{' '}
+                    <button className="btn-link" onClick={() => setPage('account')}>Add your TestRail API key</button> to get started.
+                </p>
+            )}
+        </>
+    );
+
+    if (page === 'account' && user) {
+        return (
+            <div className="container">
+                {header}
+                <Account user={user} onUserChange={onUserChange} onSignOut={onSignOut} />
+                <footer className="footer">Created by valeria.sholomova</footer>
+            </div>
+        );
+    }
+
+    if (page === 'reports') {
+        return (
+            <div className="container">
+                {header}
+                <Reports />
+                <footer className="footer">Created by valeria.sholomova</footer>
+            </div>
+        );
+    }
+
+    return (
+        <div className="container">
+            {header}
 
             <div className="section-container">
+                <div className="picker-row">
+                    <label className="picker">
+                        <span className="section-title">Project:</span>
+                        <select
+                            value={projectId || ''}
+                            onChange={(e) => setProjectId(Number(e.target.value))}
+                            disabled={!projects.length}
+                        >
+                            {projects.map((p) => (
+                                <option key={p.id} value={p.id}>{p.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="picker">
+                        <span className="section-title">Suite:</span>
+                        <select
+                            value={suiteId || ''}
+                            onChange={(e) => setSuiteId(Number(e.target.value))}
+                            disabled={suites.length < 2}
+                        >
+                            {suites.map((s) => (
+                                <option key={s.id} value={s.id}>{s.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
                 {treeData.length > 0 ? (
                     <>
                         {/* Information panel with instructions placed above "TestRail Sections:" */}
@@ -328,7 +678,7 @@ function App() {
                                     &times;
                                 </button>
                                 <ol style={{ margin: 0, paddingLeft: '20px' }}>
-                                    <li>Select one or multiple TestRail sections</li>
+                                    <li>Select one or multiple TestRail sections, and choose whether their subsections or parents are included</li>
                                     <li>Click "Build Chart"</li>
                                     <li>Enjoy your charts 🙌</li>
                                 </ol>
@@ -339,16 +689,67 @@ function App() {
                             <div className="button-group">
                                 <button onClick={expandAll} className="btn btn-light">Expand All Sections</button>
                                 <button onClick={collapseAll} className="btn btn-light">Collapse All Sections</button>
+                                <button onClick={refreshFromTestRail} className="btn btn-light">Refresh from TestRail</button>
+                            </div>
+                        </div>
+                        <CaseFilters filters={filters} filterOptions={filterOptions} onChange={setFilters} />
+                        <div className="inclusion-row">
+                            <label className="picker">
+                                <span className="section-title">Include:</span>
+                                <select value={inclusion} onChange={(e) => setInclusion(e.target.value)}>
+                                    {Object.entries(inclusionLabels).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            {filterOptions.categories.length > 0 && (
+                                <div className="tree-mode">
+                                    <span className="section-title">Counts as automated:</span>
+                                    {filterOptions.categories.map((category) => (
+                                        <label key={category}>
+                                            <input
+                                                type="checkbox"
+                                                checked={automatedCategories.includes(category)}
+                                                onChange={(e) =>
+                                                    setAutomatedCategories(e.target.checked
+                                                        ? [...automatedCategories, category]
+                                                        : automatedCategories.filter((c) => c !== category))
+                                                }
+                                            />
+                                            {category}
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                            <div className="tree-mode">
+                                <label>
+                                    <input
+                                        type="radio"
+                                        checked={treeMode === 'include'}
+                                        onChange={() => setTreeMode('include')}
+                                    />
+                                    Select sections ({checked.length})
+                                </label>
+                                <label>
+                                    <input
+                                        type="radio"
+                                        checked={treeMode === 'exclude'}
+                                        onChange={() => setTreeMode('exclude')}
+                                    />
+                                    Exclude branches ({excluded.length})
+                                </label>
                             </div>
                         </div>
                         <CheckboxTree
-                            nodes={treeData}
-                            checked={checked}
+                            nodes={markExcluded(treeData, excluded)}
+                            checked={treeMode === 'include' ? checked : excluded}
                             expanded={expanded}
-                            onCheck={setChecked}
+                            onCheck={treeMode === 'include' ? setChecked : setExcluded}
                             onExpand={setExpanded}
+                            checkModel="all"
+                            noCascade
                             showNodeIcon={false}
-                            icons={customIcons}
+                            icons={treeMode === 'include' ? customIcons : excludeIcons}
                         />
                     </>
                 ) : (
@@ -357,30 +758,31 @@ function App() {
             </div>
 
             <div className="action-buttons">
+                <input
+                    type="text"
+                    className="edit-chart-input"
+                    placeholder="Track in history as... (optional)"
+                    value={historyName}
+                    onChange={(e) => setHistoryName(e.target.value)}
+                />
                 <button onClick={buildChart} className="btn">Build Chart</button>
                 <button onClick={exportToPDF} className="btn btn-secondary">Download PDF Report</button>
             </div>
 
-            {loadingChart && (
-                <div className="nyan-cat-wrapper">
-                    <img
-                        src="https://media.giphy.com/media/sIIhZliB2McAo/giphy.gif"
-                        alt="Loading..."
-                        className="nyan-cat-gif"
-                    />
-                    <p style={{ marginTop: '10px', fontWeight: 'bold', color: 'black' }}>
-                        Building chart...
-                    </p>
-                </div>
-            )}
+            {loadingChart && <BuildProgress progress={buildProgress} onCancel={cancelBuild} />}
+            {buildError && <p className="case-update-error build-error">Could not build the chart: {buildError}</p>}
 
             <div id="pdf-content">
                 {chartsData.map((chart, index) => {
-                    const dataArr = [
-                        { name: 'Yes', value: Number(chart.percentages.Yes) },
-                        { name: 'Automation Candidate', value: Number(chart.percentages['Automation Candidate']) },
-                        { name: 'No', value: Number(chart.percentages.No) }
-                    ];
+                    const dataArr = chart.categories.map((category) => ({
+                        name: category,
+                        value: Number(chart.percentages[category])
+                    }));
+                    // Case lists are shown for every category that does not count as automated
+                    const listedCategories = chart.categories.filter(
+                        (category) => !chart.automatedCategories.includes(category)
+                            && (chart.casesByCategory[category] || []).length > 0
+                    );
 
                     return (
                         <div key={index} id={`chart-container-${index}`} className="chart-container">
@@ -393,6 +795,12 @@ function App() {
                                     >
                                         Rename Chart
                                     </button>
+                                    <button className="btn btn-light" onClick={() => saveChart(index)}>
+                                        {chart.savedId ? 'Update Saved Chart' : 'Save Chart'}
+                                    </button>
+                                    <button className="btn btn-light" onClick={() => shareChart(index)}>
+                                        Copy Link
+                                    </button>
                                     <button
                                         className="btn remove-chart-btn icon-button"
                                         onClick={() => removeChart(index)}
@@ -434,6 +842,35 @@ function App() {
                                 </div>
                             )}
 
+                            {chart.resolvedSections && (
+                                <div className="chart-filters">
+                                    Sections: {chart.resolvedSections.length} ({inclusionLabels[chart.inclusion]}
+                                    {chart.excludeIds.length > 0 ? `, ${chart.excludeIds.length} branches excluded` : ''})
+                                </div>
+                            )}
+                            {chart.filterSummary && (
+                                <div className="chart-filters">Filters: {chart.filterSummary}</div>
+                            )}
+
+                            {chart.warnings && chart.warnings.length > 0 && (
+                                <div className="incomplete-badge">
+                                    <span className="incomplete-badge-label">⚠ Incomplete data</span>
+                                    <ul>
+                                        {chart.warnings.map((warning, idx) => (
+                                            <li key={idx}>
+                                                {warning.sectionName ? `Section "${warning.sectionName}" (${warning.sectionId}): ` : ''}
+                                                {warning.message}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+                            {chart.fieldWarnings && chart.fieldWarnings.length > 0 && (
+                                <div className="chart-filters">
+                                    Automation field: {chart.fieldWarnings.map((warning) => warning.message).join('; ')}
+                                </div>
+                            )}
+
                             <PieChart width={500} height={300}>
                                 <Pie
                                     data={dataArr}
@@ -447,7 +884,7 @@ function App() {
                                     {dataArr.map((entry, idx) => (
                                         <Cell
                                             key={`cell-${idx}`}
-                                            fill={fixedColors[entry.name] || '#8884d8'}
+                                            fill={getCategoryColor(entry.name, chart.categories)}
                                         />
                                     ))}
                                 </Pie>
@@ -458,52 +895,78 @@ function App() {
                             <div className="chart-info">
                                 Overall Automation Coverage: {chart.overallCoverage}%
                             </div>
+                            {chart.verification && (
+                                <div className="chart-info chart-verified">
+                                    Verified Coverage: {chart.verification.verifiedCoverage}%
+                                </div>
+                            )}
+                            {chart.syncedAt && (
+                                <div className="chart-synced">
+                                    Data synced with TestRail: {new Date(chart.syncedAt).toLocaleString()}
+                                </div>
+                            )}
 
-                            <button
-                                onClick={() => saveChartAsImage(index)}
-                                className="btn btn-secondary no-export"
-                                style={{ marginTop: '10px' }}
-                            >
-                                Download Chart Image
-                            </button>
-
-                            {(chart.candidateTests.length > 0 || chart.noTests.length > 0) && (
-                                <>
-                                    <div className="test-case-list no-export">
-                                        <details>
-                                            <summary>
-                                                Automation Candidate Test Cases ({chart.candidateTests.length})
-                                            </summary>
-                                            <ul>
-                                                {chart.candidateTests.map((tc) => (
-                                                    <li key={tc.id}>
-                                                        <strong>ID:</strong> {tc.id} &mdash; <strong>Title:</strong> {tc.title}
-                                                    </li>
-                                                ))}
-                                            </ul>
-                                        </details>
-                                    </div>
-                                    <div className="test-case-list no-export">
-                                        <details>
-                                            <summary>
-                                                Not Automated Test Cases ({chart.noTests.length})
-                                            </summary>
-                                            <ul>
-                                                {chart.noTests.map((tc) => (
-                                                    <li key={tc.id}>
-                                                        <strong>ID:</strong> {tc.id} &mdash; <strong>Title:</strong> {tc.title}
-                                                    </li>
-                                                ))}
-                                            </ul>
-                                        </details>
-                                    </div>
-                                </>
+                            <div className="chart-export-buttons no-export">
+                                <button onClick={() => saveChartAsImage(index)} className="btn btn-secondary">
+                                    Download Chart Image
+                                </button>
+                                <button onClick={() => exportChartData(index, 'csv')} className="btn btn-secondary">
+                                    Download CSV
+                                </button>
+                                <button onClick={() => exportChartData(index, 'xlsx')} className="btn btn-secondary">
+                                    Download XLSX
+                                </button>
+                            </div>
+
+                            {chart.sectionTree && chart.sectionTree.length > 0 && (
+                                <SectionBreakdown tree={chart.sectionTree} categories={chart.categories} />
+                            )}
+
+                            {chart.requirements && chart.requirements.length > 0 && (
+                                <RequirementCoverage requirements={chart.requirements} unreferencedCases={chart.unreferencedCases} />
                             )}
+
+                            {chart.verification && chart.verification.verified && (
+                                <VerificationDetails verification={chart.verification} />
+                            )}
+
+                            {listedCategories.map((category) => (
+                                <CaseList
+                                    key={category}
+                                    category={category}
+                                    cases={chart.casesByCategory[category]}
+                                    categories={chart.categories}
+                                    defaultTarget={chart.automatedCategories[0]}
+                                    projectId={chart.definition.projectId}
+                                    suiteId={chart.definition.suiteId}
+                                    onUpdated={() => refreshChart(index)}
+                                />
+                            ))}
                         </div>
                     );
                 })}
             </div>
 
+            <Compare charts={chartsData} historyVersion={historyVersion} />
+
+            <SavedCharts refreshKey={savedVersion} onBuild={buildSavedChart} />
+
+            <Teams
+                projectId={projectId}
+                suiteId={suiteId}
+                checked={checked}
+                filters={filters}
+                automatedCategories={automatedCategories}
+                onBuild={(definition, title) => buildChartFromDefinition(definition, {
+                    title,
+                    filterSummary: describeFilters(filters, filterOptions)
+                })}
+            />
+
+            <TestResults />
+
+            <CoverageHistory refreshKey={historyVersion} />
+
             <footer className="footer">Created by valeria.sholomova</footer>
         </div>
     );
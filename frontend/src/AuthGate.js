@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import App from './App';
+import { apiUrl } from './config';
+import { setToken, onSessionExpired } from './auth';
+
+const describeError = (err) => {
+    const data = err.response && err.response.data;
+    if (data && data.errors) return data.errors.map((e) => `${e.path}: ${e.msg}`).join('; ');
+    return data && data.error ? data.error : err.message;
+};
+
+/**
+ * Sign-in form; with signup open it can create the account first
+ */
+function Login({ allowSignup, onSignedIn }) {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [signingUp, setSigningUp] = useState(allowSignup);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const submit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError('');
+        try {
+            if (signingUp) {
+                await axios.post(`${apiUrl}/api/auth/register`, { username, password });
+            }
+            const response = await axios.post(`${apiUrl}/api/auth/login`, { username, password });
+            setToken(response.data.token);
+            onSignedIn(response.data.user);
+        } catch (err) {
+            console.error('Error signing in:', err);
+            setError(describeError(err));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="container">
+            <h1 className="header">My Coverage</h1>
+            <form className="section-container login" onSubmit={submit}>
+                <div className="section-header">
+                    <span className="section-title">{signingUp ? 'Create Account:' : 'Sign In:'}</span>
+                </div>
+                <label className="filter-date">
+                    Username
+                    <input className="edit-chart-input" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" />
+                </label>
+                <label className="filter-date">
+                    Password
+                    <input
+                        type="password"
+                        className="edit-chart-input"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        autoComplete={signingUp ? 'new-password' : 'current-password'}
+                    />
+                </label>
+                <div className="reports-actions">
+                    <button type="submit" className="btn btn-light" disabled={busy || !username.trim() || !password}>
+                        {signingUp ? 'Create Account' : 'Sign In'}
+                    </button>
+                    {allowSignup && (
+                        <button type="button" className="btn btn-light" onClick={() => setSigningUp(!signingUp)}>
+                            {signingUp ? 'I have an account' : 'Create an account'}
+                        </button>
+                    )}
+                </div>
+                {error && <p className="case-update-error">{error}</p>}
+            </form>
+        </div>
+    );
+}
+
+/**
+ * Renders the app directly when the backend has login disabled; otherwise
+ * asks for a sign-in first and passes the account to the app
+ */
+function AuthGate() {
+    const [config, setConfig] = useState(null);
+    const [user, setUser] = useState(null);
+    const [checking, setChecking] = useState(true);
+
+    useEffect(() => {
+        const loadSession = async () => {
+            try {
+                const response = await axios.get(`${apiUrl}/api/auth/config`);
+                setConfig(response.data);
+                if (response.data.mode !== 'none') {
+                    const me = await axios.get(`${apiUrl}/api/auth/me`);
+                    setUser(me.data);
+                }
+            } catch (err) {
+                // No valid session; the login form is shown
+                if (!err.response || err.response.status !== 401) console.error('Error loading session:', err);
+            } finally {
+                setChecking(false);
+            }
+        };
+        loadSession();
+        return onSessionExpired(() => setUser(null));
+    }, []);
+
+    const signOut = async () => {
+        try {
+            await axios.post(`${apiUrl}/api/auth/logout`);
+        } catch (err) {
+            console.error('Error signing out:', err);
+        }
+        setToken(null);
+        setUser(null);
+    };
+
+    if (checking) return null;
+    // Backend unreachable or login disabled: the app shows its own errors
+    if (!config || config.mode === 'none') return <App />;
+    if (!user) return <Login allowSignup={config.allowSignup} onSignedIn={setUser} />;
+    // Remounted once a TestRail key is added so the app loads projects with it
+    return <App key={user.hasTestRailKey ? 'ready' : 'no-key'} user={user} onUserChange={setUser} onSignOut={signOut} />;
+}
+
+export default AuthGate;
@@ -0,0 +1,131 @@
+import React from 'react';
+
+export const emptyFilters = {
+    priorityIds: [],
+    typeIds: [],
+    templateIds: [],
+    createdFrom: '',
+    createdTo: '',
+    updatedFrom: '',
+    updatedTo: '',
+    refs: ''
+};
+
+const namesFor = (ids, options) =>
+    ids.map((id) => {
+        const option = options.find((o) => o.id === id);
+        return option ? option.name : `#${id}`;
+    }).join(', ');
+
+const describeRange = (from, to) => {
+    if (from && to) return `${from} – ${to}`;
+    if (from) return `from ${from}`;
+    return `until ${to}`;
+};
+
+/**
+ * Human-readable summary of the active filters, printed on charts and reports
+ */
+export const describeFilters = (filters, filterOptions) => {
+    const parts = [];
+    if (filters.priorityIds.length) parts.push(`Priority: ${namesFor(filters.priorityIds, filterOptions.priorities)}`);
+    if (filters.typeIds.length) parts.push(`Type: ${namesFor(filters.typeIds, filterOptions.caseTypes)}`);
+    if (filters.templateIds.length) parts.push(`Template: ${namesFor(filters.templateIds, filterOptions.templates)}`);
+    if (filters.createdFrom || filters.createdTo) parts.push(`Created: ${describeRange(filters.createdFrom, filters.createdTo)}`);
+    if (filters.updatedFrom || filters.updatedTo) parts.push(`Updated: ${describeRange(filters.updatedFrom, filters.updatedTo)}`);
+    if (filters.refs) parts.push(`Refs contain "${filters.refs}"`);
+    return parts.join(' · ');
+};
+
+/**
+ * Group of checkboxes for a multi-valued id filter
+ */
+const IdCheckboxes = ({ label, options, selected, onChange }) => (
+    <fieldset className="filter-group">
+        <legend>{label}</legend>
+        {options.map((option) => (
+            <label key={option.id} className="filter-checkbox">
+                <input
+                    type="checkbox"
+                    checked={selected.includes(option.id)}
+                    onChange={(e) =>
+                        onChange(e.target.checked
+                            ? [...selected, option.id]
+                            : selected.filter((id) => id !== option.id))
+                    }
+                />
+                {option.name}
+            </label>
+        ))}
+    </fieldset>
+);
+
+/**
+ * Case filter controls shown next to the section tree
+ */
+function CaseFilters({ filters, filterOptions, onChange }) {
+    const update = (key, value) => onChange({ ...filters, [key]: value });
+    const summary = describeFilters(filters, filterOptions);
+
+    return (
+        <details className="case-filters">
+            <summary>
+                Case Filters{summary ? `: ${summary}` : ' (all test cases)'}
+            </summary>
+            <div className="filter-row">
+                <IdCheckboxes
+                    label="Priority"
+                    options={filterOptions.priorities}
+                    selected={filters.priorityIds}
+                    onChange={(ids) => update('priorityIds', ids)}
+                />
+                <IdCheckboxes
+                    label="Type"
+                    options={filterOptions.caseTypes}
+                    selected={filters.typeIds}
+                    onChange={(ids) => update('typeIds', ids)}
+                />
+                <IdCheckboxes
+                    label="Template"
+                    options={filterOptions.templates}
+                    selected={filters.templateIds}
+                    onChange={(ids) => update('templateIds', ids)}
+                />
+                <fieldset className="filter-group">
+                    <legend>Dates</legend>
+                    <label className="filter-date">
+                        Created from
+                        <input type="date" value={filters.createdFrom} onChange={(e) => update('createdFrom', e.target.value)} />
+                    </label>
+                    <label className="filter-date">
+                        Created to
+                        <input type="date" value={filters.createdTo} onChange={(e) => update('createdTo', e.target.value)} />
+                    </label>
+                    <label className="filter-date">
+                        Updated from
+                        <input type="date" value={filters.updatedFrom} onChange={(e) => update('updatedFrom', e.target.value)} />
+                    </label>
+                    <label className="filter-date">
+                        Updated to
+                        <input type="date" value={filters.updatedTo} onChange={(e) => update('updatedTo', e.target.value)} />
+                    </label>
+                </fieldset>
+                <fieldset className="filter-group">
+                    <legend>References</legend>
+                    <input
+                        type="text"
+                        className="edit-chart-input"
+                        placeholder="Refs contain..."
+                        value={filters.refs}
+                        onChange={(e) => update('refs', e.target.value)}
+                    />
+                </fieldset>
+            </div>
+            {summary && (
+                <button onClick={() => onChange(emptyFilters)} className="btn btn-light">Clear Filters</button>
+            )}
+        </details>
+    );
+}
+
+export default CaseFilters;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { apiUrl } from './config';
+
+const statusLabels = {
+    pending: 'Will change',
+    unchanged: 'Already set',
+    'not-found': 'Not found',
+    updated: 'Updated',
+    failed: 'Failed'
+};
+
+/**
+ * Collapsible list of the cases in one category. Cases can be ticked and
+ * moved to another automation category in TestRail: a dry run is shown
+ * first, the update only runs after confirmation.
+ */
+function CaseList({ category, cases, categories, defaultTarget, projectId, suiteId, onUpdated }) {
+    const targets = categories.filter((c) => c !== category);
+    const [selected, setSelected] = useState([]);
+    const [target, setTarget] = useState(targets.includes(defaultTarget) ? defaultTarget : targets[0]);
+    const [preview, setPreview] = useState(null);
+    const [result, setResult] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const toggleCase = (id) => {
+        setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+        setPreview(null);
+    };
+
+    const toggleAll = () => {
+        setSelected(selected.length === cases.length ? [] : cases.map((tc) => tc.id));
+        setPreview(null);
+    };
+
+    const sendUpdate = async (dryRun) => {
+        setBusy(true);
+        setError('');
+        try {
+            const response = await axios.post(`${apiUrl}/api/testrail/cases/automation`, {
+                projectId,
+                suiteId,
+                caseIds: selected,
+                category: target,
+                dryRun
+            });
+            return response.data;
+        } catch (err) {
+            console.error('Error updating test cases:', err);
+            setError(err.response && err.response.data.error ? err.response.data.error : 'Request to the server failed');
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const showPreview = async () => {
+        setResult(null);
+        setPreview(await sendUpdate(true));
+    };
+
+    const confirmUpdate = async () => {
+        const data = await sendUpdate(false);
+        if (!data) return;
+        setPreview(null);
+        setResult(data);
+        setSelected([]);
+        if (data.summary.updated) {
+            onUpdated();
+        }
+    };
+
+    const report = preview || result;
+    const pendingCount = preview ? preview.results.filter((item) => item.status === 'pending').length : 0;
+
+    return (
+        <div className="test-case-list no-export">
+            <details>
+                <summary>
+                    {category} Test Cases ({cases.length})
+                </summary>
+                {targets.length > 0 && (
+                    <div className="case-update-bar">
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={selected.length > 0 && selected.length === cases.length}
+                                onChange={toggleAll}
+                            />
+                            Select all
+                        </label>
+                        <span>{selected.length} selected</span>
+                        <label>
+                            Set Automation to{' '}
+                            <select value={target} onChange={(e) => { setTarget(e.target.value); setPreview(null); }}>
+                                {targets.map((c) => (
+                                    <option key={c} value={c}>{c}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <button className="btn btn-light" disabled={!selected.length || busy} onClick={showPreview}>
+                            Preview Update
+                        </button>
+                    </div>
+                )}
+                {error && <p className="case-update-error">{error}</p>}
+                {report && (
+                    <div className="case-update-report">
+                        <p>
+                            {preview
+                                ? `${pendingCount} of ${preview.results.length} cases will be set to "${preview.category}" in TestRail.`
+                                : `Update to "${result.category}" finished: ${Object.entries(result.summary)
+                                    .map(([status, count]) => `${count} ${(statusLabels[status] || status).toLowerCase()}`)
+                                    .join(', ')}.`}
+                        </p>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>ID</th>
+                                    <th>Title</th>
+                                    <th>Current</th>
+                                    <th>New</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.results.map((item) => (
+                                    <tr key={item.id} className={`case-status-${item.status}`}>
+                                        <td>C{item.id}</td>
+                                        <td>{item.title || ''}</td>
+                                        <td>{item.from || ''}</td>
+                                        <td>{item.to}</td>
+                                        <td title={item.error || ''}>{statusLabels[item.status] || item.status}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="button-group">
+                            {preview && (
+                                <button className="btn btn-primary" disabled={!pendingCount || busy} onClick={confirmUpdate}>
+                                    {busy ? 'Updating...' : `Confirm Update of ${pendingCount} Cases`}
+                                </button>
+                            )}
+                            <button className="btn btn-light" onClick={() => { setPreview(null); setResult(null); }}>
+                                {preview ? 'Cancel' : 'Close'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+                <ul>
+                    {cases.map((tc) => (
+                        <li key={tc.id}>
+                            {targets.length > 0 && (
+                                <input
+                                    type="checkbox"
+                                    checked={selected.includes(tc.id)}
+                                    onChange={() => toggleCase(tc.id)}
+                                />
+                            )}{' '}
+                            <strong>ID:</strong> {tc.id} &mdash; <strong>Title:</strong> {tc.title}
+                        </li>
+                    ))}
+                </ul>
+            </details>
+        </div>
+    );
+}
+
+export default CaseList;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine } from 'recharts';
+import { apiUrl } from './config';
+
+// Longer case lists are cut off in the table; the endpoint returns them all
+const MAX_CHANGE_ROWS = 500;
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'unknown');
+
+const signed = (value, suffix = '') => `${value > 0 ? '+' : ''}${value}${suffix}`;
+
+const deltaClass = (value) => (value > 0 ? 'delta-up' : value < 0 ? 'delta-down' : '');
+
+/**
+ * Rows of the changes table: moved cases first, then added and removed ones
+ */
+const changeRows = (result) => [
+    ...result.moved.map((tc) => ({ ...tc, change: 'Moved' })),
+    ...result.added.map((tc) => ({ ...tc, change: 'Added', from: null, to: tc.category })),
+    ...result.removed.map((tc) => ({ ...tc, change: 'Removed', from: tc.category, to: null }))
+];
+
+/**
+ * "Compare" panel: the difference between two charts on the page, or between
+ * two points in time of a selection tracked in the coverage history
+ */
+function Compare({ charts, historyVersion }) {
+    const [mode, setMode] = useState('charts'); // 'charts' or 'history'
+    const [baseIndex, setBaseIndex] = useState(1);
+    const [targetIndex, setTargetIndex] = useState(0);
+    const [selections, setSelections] = useState([]);
+    const [historyId, setHistoryId] = useState('');
+    const [snapshots, setSnapshots] = useState([]);
+    const [baseAt, setBaseAt] = useState('');
+    const [targetAt, setTargetAt] = useState(''); // Empty compares with the current data
+    const [result, setResult] = useState(null);
+    const [comparing, setComparing] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        axios.get(`${apiUrl}/api/history`)
+            .then((response) => {
+                setSelections(response.data);
+                setHistoryId((current) => current || (response.data[0] ? response.data[0].id : ''));
+            })
+            .catch((err) => console.error('Error fetching coverage history:', err));
+    }, [historyVersion]);
+
+    useEffect(() => {
+        if (!historyId) {
+            setSnapshots([]);
+            return;
+        }
+        axios.get(`${apiUrl}/api/history/${historyId}`)
+            .then((response) => {
+                const list = response.data.snapshots;
+                setSnapshots(list);
+                setBaseAt(list.length ? list[0].timestamp : '');
+                setTargetAt('');
+            })
+            .catch((err) => console.error('Error fetching selection history:', err));
+    }, [historyId, historyVersion]);
+
+    const compare = async () => {
+        setComparing(true);
+        setError('');
+        setResult(null);
+        try {
+            const payload = mode === 'charts'
+                ? { base: charts[baseIndex].definition, target: charts[targetIndex].definition }
+                : { historyId, baseAt, targetAt: targetAt || undefined };
+            const response = await axios.post(`${apiUrl}/api/coverage/compare`, payload);
+            const labels = mode === 'charts'
+                ? { base: `#${charts.length - baseIndex} ${charts[baseIndex].title}`, target: `#${charts.length - targetIndex} ${charts[targetIndex].title}` }
+                : { base: formatDate(response.data.base.at), target: targetAt ? formatDate(response.data.target.at) : 'Now' };
+            setResult({ ...response.data, labels });
+        } catch (err) {
+            console.error('Error comparing coverage:', err);
+            setError(err.response && err.response.data.error ? err.response.data.error : 'Comparison failed');
+        } finally {
+            setComparing(false);
+        }
+    };
+
+    if (charts.length < 2 && !selections.length) return null;
+
+    const canCompare = mode === 'charts'
+        ? charts.length >= 2 && baseIndex !== targetIndex && charts[baseIndex] && charts[targetIndex]
+        : Boolean(historyId && baseAt);
+    const rows = result ? changeRows(result) : [];
+    // Charts are listed newest first; number them in build order
+    const chartOptions = charts.map((chart, idx) => (
+        <option key={idx} value={idx}>#{charts.length - idx} {chart.title}</option>
+    ));
+
+    return (
+        <div className="section-container compare no-export">
+            <div className="section-header">
+                <span className="section-title">Compare:</span>
+                <div className="tree-mode">
+                    <label>
+                        <input type="radio" checked={mode === 'charts'} onChange={() => setMode('charts')} />
+                        Two charts
+                    </label>
+                    <label>
+                        <input type="radio" checked={mode === 'history'} onChange={() => setMode('history')} />
+                        Two points in time
+                    </label>
+                </div>
+            </div>
+
+            <div className="filter-row">
+                {mode === 'charts' ? (
+                    charts.length < 2 ? (
+                        <p className="test-results-hint">Build at least two charts to compare them.</p>
+                    ) : (
+                        <>
+                            <label className="filter-date">
+                                Base
+                                <select className="history-select" value={baseIndex} onChange={(e) => setBaseIndex(Number(e.target.value))}>
+                                    {chartOptions}
+                                </select>
+                            </label>
+                            <label className="filter-date">
+                                Target
+                                <select className="history-select" value={targetIndex} onChange={(e) => setTargetIndex(Number(e.target.value))}>
+                                    {chartOptions}
+                                </select>
+                            </label>
+                        </>
+                    )
+                ) : selections.length === 0 ? (
+                    <p className="test-results-hint">Track a selection in the history to compare it over time.</p>
+                ) : (
+                    <>
+                        <label className="filter-date">
+                            Selection
+                            <select className="history-select" value={historyId} onChange={(e) => setHistoryId(e.target.value)}>
+                                {selections.map((s) => (
+                                    <option key={s.id} value={s.id}>{s.name}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="filter-date">
+                            From
+                            <select className="history-select" value={baseAt} onChange={(e) => setBaseAt(e.target.value)}>
+                                {snapshots.map((snapshot) => (
+                                    <option key={snapshot.timestamp} value={snapshot.timestamp}>{formatDate(snapshot.timestamp)}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="filter-date">
+                            To
+                            <select className="history-select" value={targetAt} onChange={(e) => setTargetAt(e.target.value)}>
+                                <option value="">Now</option>
+                                {snapshots.map((snapshot) => (
+                                    <option key={snapshot.timestamp} value={snapshot.timestamp}>{formatDate(snapshot.timestamp)}</option>
+                                ))}
+                            </select>
+                        </label>
+                    </>
+                )}
+                <button onClick={compare} className="btn btn-light" disabled={!canCompare || comparing}>
+                    {comparing ? 'Comparing...' : 'Compare'}
+                </button>
+            </div>
+            {error && <p className="case-update-error">{error}</p>}
+
+            {result && (
+                <div className="compare-result">
+                    <p className="chart-info">
+                        {result.labels.base} → {result.labels.target}: coverage {result.overall.base}% → {result.overall.target}%{' '}
+                        <span className={deltaClass(result.overall.delta)}>({signed(result.overall.delta, ' pts')})</span>
+                    </p>
+
+                    <BarChart width={600} height={260} data={result.deltas} className="compare-delta-chart">
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="category" />
+                        <YAxis unit=" pts" />
+                        <Tooltip formatter={(value) => [signed(value, ' pts'), 'Share change']} />
+                        <ReferenceLine y={0} stroke="#666" />
+                        <Bar dataKey="percentDelta">
+                            {result.deltas.map((delta) => (
+                                <Cell key={delta.category} fill={delta.percentDelta >= 0 ? '#008000' : '#FF0000'} />
+                            ))}
+                        </Bar>
+                    </BarChart>
+
+                    <div className="section-breakdown">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Category</th>
+                                    <th>Base</th>
+                                    <th>Target</th>
+                                    <th>Change</th>
+                                    <th>Base share</th>
+                                    <th>Target share</th>
+                                    <th>Share change</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {result.deltas.map((delta) => (
+                                    <tr key={delta.category}>
+                                        <td>{delta.category}</td>
+                                        <td>{delta.baseCount}</td>
+                                        <td>{delta.targetCount}</td>
+                                        <td className={deltaClass(delta.countDelta)}>{signed(delta.countDelta)}</td>
+                                        <td>{delta.basePercent}%</td>
+                                        <td>{delta.targetPercent}%</td>
+                                        <td className={deltaClass(delta.percentDelta)}>{signed(delta.percentDelta, ' pts')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {!result.casesCompared ? (
+                        <p className="test-results-hint">
+                            The older snapshot was recorded without per-case data, so only category totals can be compared.
+                        </p>
+                    ) : (
+                        <details className="test-case-list" open={rows.length > 0 && rows.length <= 50}>
+                            <summary>
+                                Changed cases ({result.moved.length} moved, {result.added.length} added, {result.removed.length} removed)
+                            </summary>
+                            <div className="section-breakdown compare-changes">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Change</th>
+                                            <th>ID</th>
+                                            <th>Title</th>
+                                            <th>From</th>
+                                            <th>To</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {rows.slice(0, MAX_CHANGE_ROWS).map((row) => (
+                                            <tr key={`${row.change}-${row.id}`} className={`compare-${row.change.toLowerCase()}`}>
+                                                <td>{row.change}</td>
+                                                <td>C{row.id}</td>
+                                                <td>{row.title || '(deleted)'}</td>
+                                                <td>{row.from || '—'}</td>
+                                                <td>{row.to || '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {rows.length > MAX_CHANGE_ROWS && (
+                                    <p className="test-results-hint">Showing the first {MAX_CHANGE_ROWS} of {rows.length} changes.</p>
+                                )}
+                            </div>
+                        </details>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default Compare;
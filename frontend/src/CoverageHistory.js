@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { getCategoryColor } from './categoryColors';
+import { apiUrl } from './config';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * Panel with saved selections and a stacked area chart of their coverage over time
+ */
+function CoverageHistory({ refreshKey }) {
+    const [selections, setSelections] = useState([]);
+    const [selectedId, setSelectedId] = useState('');
+    const [history, setHistory] = useState(null);
+    const [recording, setRecording] = useState(false);
+
+    const fetchSelections = async () => {
+        try {
+            const response = await axios.get(`${apiUrl}/api/history`);
+            setSelections(response.data);
+            setSelectedId((current) =>
+                response.data.some((s) => s.id === current) ? current : (response.data[0] ? response.data[0].id : '')
+            );
+        } catch (error) {
+            console.error('Error fetching coverage history:', error);
+        }
+    };
+
+    const fetchHistory = async (id) => {
+        try {
+            const response = await axios.get(`${apiUrl}/api/history/${id}`);
+            setHistory(response.data);
+        } catch (error) {
+            console.error('Error fetching selection history:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchSelections();
+    }, [refreshKey]);
+
+    useEffect(() => {
+        if (selectedId) {
+            fetchHistory(selectedId);
+        } else {
+            setHistory(null);
+        }
+    }, [selectedId, refreshKey]);
+
+    const recordSnapshot = async () => {
+        setRecording(true);
+        try {
+            const response = await axios.post(`${apiUrl}/api/history/${selectedId}/snapshots`);
+            setHistory(response.data);
+            fetchSelections();
+        } catch (error) {
+            console.error('Error recording snapshot:', error);
+        } finally {
+            setRecording(false);
+        }
+    };
+
+    const deleteSelection = async () => {
+        try {
+            await axios.delete(`${apiUrl}/api/history/${selectedId}`);
+            fetchSelections();
+        } catch (error) {
+            console.error('Error deleting saved selection:', error);
+        }
+    };
+
+    if (!selections.length) return null;
+
+    // Categories may change between snapshots when field options are edited
+    const categories = history
+        ? history.snapshots.reduce(
+            (all, snapshot) => all.concat(snapshot.categories.filter((c) => !all.includes(c))),
+            []
+        )
+        : [];
+    const series = history
+        ? history.snapshots.map((snapshot) => {
+            const point = { timestamp: snapshot.timestamp, coverage: Number(snapshot.overallCoverage) };
+            categories.forEach((category) => {
+                point[category] = Number(snapshot.percentages[category] || 0);
+            });
+            return point;
+        })
+        : [];
+
+    return (
+        <div className="section-container history-container no-export">
+            <div className="section-header">
+                <span className="section-title">Coverage History:</span>
+                <div className="button-group">
+                    <select
+                        className="history-select"
+                        value={selectedId}
+                        onChange={(e) => setSelectedId(e.target.value)}
+                    >
+                        {selections.map((s) => (
+                            <option key={s.id} value={s.id}>
+                                {s.name} ({s.snapshotCount})
+                            </option>
+                        ))}
+                    </select>
+                    <button onClick={recordSnapshot} className="btn btn-light" disabled={recording}>
+                        {recording ? 'Recording...' : 'Record Snapshot Now'}
+                    </button>
+                    <button onClick={deleteSelection} className="btn btn-light">Delete</button>
+                </div>
+            </div>
+            {history && (
+                <AreaChart width={1000} height={300} data={series}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="timestamp" tickFormatter={(t) => new Date(t).toLocaleDateString()} />
+                    <YAxis domain={[0, 100]} unit="%" />
+                    <Tooltip labelFormatter={formatDate} formatter={(value) => `${value}%`} />
+                    <Legend />
+                    {categories.map((category) => (
+                        <Area
+                            key={category}
+                            type="monotone"
+                            dataKey={category}
+                            stackId="categories"
+                            stroke={getCategoryColor(category, categories)}
+                            fill={getCategoryColor(category, categories)}
+                            fillOpacity={0.5}
+                        />
+                    ))}
+                </AreaChart>
+            )}
+        </div>
+    );
+}
+
+export default CoverageHistory;
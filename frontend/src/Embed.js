@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getCategoryColor } from './categoryColors';
+import { apiUrl } from './config';
+import './Embed.css';
+
+/**
+ * Chrome-less page with a single coverage pie, meant for iframes.
+ * Takes the same query parameters as the coverage badge.
+ */
+function Embed() {
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const loadSummary = async () => {
+            try {
+                const response = await axios.get(`${apiUrl}/api/coverage/summary${window.location.search}`);
+                setSummary(response.data);
+            } catch (err) {
+                console.error('Error loading coverage:', err);
+                setError(err.response && err.response.data.error ? err.response.data.error : 'Coverage could not be loaded');
+            }
+        };
+        loadSummary();
+    }, []);
+
+    if (error) return <div className="embed embed-message">{error}</div>;
+    if (!summary) return <div className="embed embed-message">Loading coverage...</div>;
+
+    const title = new URLSearchParams(window.location.search).get('title') || summary.title;
+    const dataArr = summary.categories.map((category) => ({
+        name: category,
+        value: Number(summary.percentages[category])
+    }));
+
+    return (
+        <div className="embed">
+            {title && <div className="embed-title">{title}</div>}
+            <div className="embed-chart">
+                <ResponsiveContainer width="100%" height="100%">
+                    <PieChart>
+                        <Pie data={dataArr} dataKey="value" innerRadius="45%" outerRadius="75%">
+                            {dataArr.map((entry) => (
+                                <Cell key={entry.name} fill={getCategoryColor(entry.name, summary.categories)} />
+                            ))}
+                        </Pie>
+                        <Legend layout="vertical" align="right" verticalAlign="middle" />
+                        <Tooltip formatter={(value) => `${value}%`} />
+                    </PieChart>
+                </ResponsiveContainer>
+            </div>
+            <div className="embed-coverage">
+                Automation Coverage: {summary.overallCoverage}%
+                {summary.warnings.length > 0 && <span className="embed-warning" title={summary.warnings.map((w) => w.message).join('; ')}> (incomplete data)</span>}
+            </div>
+            {summary.syncedAt && (
+                <div className="embed-synced">Synced with TestRail: {new Date(summary.syncedAt).toLocaleString()}</div>
+            )}
+        </div>
+    );
+}
+
+export default Embed;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { apiUrl } from './config';
+
+const formats = ['pdf', 'csv', 'json'];
+
+const cronPresets = [
+    { label: 'Every Monday 09:00', cron: '0 9 * * 1' },
+    { label: 'Every weekday 08:00', cron: '0 8 * * 1-5' },
+    { label: 'First day of the month 09:00', cron: '0 9 1 * *' },
+    { label: 'Every hour', cron: '0 * * * *' }
+];
+
+const emptySchedule = {
+    name: '',
+    cron: cronPresets[0].cron,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    format: 'pdf',
+    chartIds: []
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+/**
+ * "Reports" page: cron schedules that generate files from saved charts on
+ * the server, and the list of past runs to download
+ */
+function Reports() {
+    const [schedules, setSchedules] = useState([]);
+    const [runs, setRuns] = useState([]);
+    const [charts, setCharts] = useState([]);
+    const [draft, setDraft] = useState(emptySchedule);
+    const [runningId, setRunningId] = useState(null);
+    const [error, setError] = useState('');
+
+    const fetchSchedules = async () => {
+        try {
+            const [schedulesResponse, runsResponse] = await Promise.all([
+                axios.get(`${apiUrl}/api/report-schedules`),
+                axios.get(`${apiUrl}/api/report-runs`)
+            ]);
+            setSchedules(schedulesResponse.data);
+            setRuns(runsResponse.data);
+        } catch (err) {
+            console.error('Error fetching report schedules:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchSchedules();
+        axios.get(`${apiUrl}/api/charts`)
+            .then((response) => setCharts(response.data))
+            .catch((err) => console.error('Error fetching saved charts:', err));
+    }, []);
+
+    const describeError = (err) => {
+        const data = err.response && err.response.data;
+        if (data && data.errors) return data.errors.map((e) => `${e.path}: ${e.msg}`).join('; ');
+        return data && data.error ? data.error : err.message;
+    };
+
+    const toggleChart = (id) => {
+        setDraft((prev) => ({
+            ...prev,
+            chartIds: prev.chartIds.includes(id) ? prev.chartIds.filter((c) => c !== id) : [...prev.chartIds, id]
+        }));
+    };
+
+    const createSchedule = async () => {
+        setError('');
+        try {
+            await axios.post(`${apiUrl}/api/report-schedules`, draft);
+            setDraft(emptySchedule);
+            fetchSchedules();
+        } catch (err) {
+            console.error('Error creating report schedule:', err);
+            setError(describeError(err));
+        }
+    };
+
+    const setEnabled = async (schedule, enabled) => {
+        try {
+            const { id, name, title, cron, timezone, format, chartIds } = schedule;
+            await axios.put(`${apiUrl}/api/report-schedules/${id}`, { name, title, cron, timezone, format, chartIds, enabled });
+            fetchSchedules();
+        } catch (err) {
+            console.error('Error updating report schedule:', err);
+            setError(describeError(err));
+        }
+    };
+
+    const runNow = async (id) => {
+        setRunningId(id);
+        setError('');
+        try {
+            await axios.post(`${apiUrl}/api/report-schedules/${id}/run`);
+        } catch (err) {
+            console.error('Error running report schedule:', err);
+            setError(describeError(err));
+        } finally {
+            setRunningId(null);
+            fetchSchedules();
+        }
+    };
+
+    const deleteSchedule = async (id) => {
+        try {
+            await axios.delete(`${apiUrl}/api/report-schedules/${id}`);
+            fetchSchedules();
+        } catch (err) {
+            console.error('Error deleting report schedule:', err);
+        }
+    };
+
+    // A plain link would not carry the session token, so the file is fetched first
+    const downloadRun = async (e, run) => {
+        e.preventDefault();
+        try {
+            const response = await axios.get(`${apiUrl}/api/report-runs/${run.id}/file`, { responseType: 'blob' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(response.data);
+            link.download = run.fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        } catch (err) {
+            console.error('Error downloading report:', err);
+            setError(describeError(err));
+        }
+    };
+
+    const chartName = (id) => {
+        const chart = charts.find((c) => c.id === id);
+        return chart ? chart.name : 'deleted chart';
+    };
+
+    return (
+        <>
+            <div className="section-container reports">
+                <div className="section-header">
+                    <span className="section-title">New Report Schedule:</span>
+                </div>
+                {charts.length === 0 ? (
+                    <p className="test-results-hint">Save a chart on the Coverage page first; schedules generate reports from saved charts.</p>
+                ) : (
+                    <>
+                        <div className="filter-row">
+                            <label className="filter-date">
+                                Name
+                                <input
+                                    className="edit-chart-input"
+                                    value={draft.name}
+                                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                                    placeholder="Weekly status"
+                                />
+                            </label>
+                            <label className="filter-date">
+                                Schedule ({draft.timezone})
+                                <select
+                                    className="history-select"
+                                    value={cronPresets.some((p) => p.cron === draft.cron) ? draft.cron : ''}
+                                    onChange={(e) => e.target.value && setDraft({ ...draft, cron: e.target.value })}
+                                >
+                                    {cronPresets.map((preset) => (
+                                        <option key={preset.cron} value={preset.cron}>{preset.label}</option>
+                                    ))}
+                                    <option value="">Custom</option>
+                                </select>
+                                <input
+                                    className="edit-chart-input reports-cron"
+                                    value={draft.cron}
+                                    onChange={(e) => setDraft({ ...draft, cron: e.target.value })}
+                                    title="Cron expression: minute hour day-of-month month day-of-week"
+                                />
+                            </label>
+                            <label className="filter-date">
+                                Format
+                                <select
+                                    className="history-select"
+                                    value={draft.format}
+                                    onChange={(e) => setDraft({ ...draft, format: e.target.value })}
+                                >
+                                    {formats.map((format) => (
+                                        <option key={format} value={format}>{format.toUpperCase()}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+                        <fieldset className="filter-group">
+                            <legend>Charts</legend>
+                            {charts.map((chart) => (
+                                <label key={chart.id} className="filter-checkbox">
+                                    <input
+                                        type="checkbox"
+                                        checked={draft.chartIds.includes(chart.id)}
+                                        onChange={() => toggleChart(chart.id)}
+                                    />
+                                    {chart.name}
+                                </label>
+                            ))}
+                        </fieldset>
+                        <div className="reports-actions">
+                            <button
+                                onClick={createSchedule}
+                                className="btn btn-light"
+                                disabled={!draft.name.trim() || !draft.chartIds.length}
+                            >
+                                Create Schedule
+                            </button>
+                        </div>
+                    </>
+                )}
+                {error && <p className="case-update-error">{error}</p>}
+            </div>
+
+            <div className="section-container saved-charts">
+                <div className="section-header">
+                    <span className="section-title">Report Schedules:</span>
+                </div>
+                {schedules.length === 0 ? (
+                    <p className="test-results-hint">No schedules yet.</p>
+                ) : (
+                    <ul>
+                        {schedules.map((schedule) => (
+                            <li key={schedule.id}>
+                                <span className="saved-chart-name">{schedule.name}</span>
+                                <span className="saved-chart-meta">
+                                    <code>{schedule.cron}</code> · {schedule.format.toUpperCase()} · {schedule.chartIds.map(chartName).join(', ')}
+                                    <br />
+                                    {schedule.enabled
+                                        ? `Next run: ${new Date(schedule.nextRunAt).toLocaleString()}`
+                                        : 'Disabled'}
+                                </span>
+                                <div className="button-group">
+                                    <button
+                                        onClick={() => runNow(schedule.id)}
+                                        className="btn btn-light"
+                                        disabled={runningId !== null}
+                                    >
+                                        {runningId === schedule.id ? 'Running...' : 'Run Now'}
+                                    </button>
+                                    <button onClick={() => setEnabled(schedule, !schedule.enabled)} className="btn btn-light">
+                                        {schedule.enabled ? 'Disable' : 'Enable'}
+                                    </button>
+                                    <button onClick={() => deleteSchedule(schedule.id)} className="btn btn-light">Delete</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="section-container section-breakdown">
+                <div className="section-header">
+                    <span className="section-title">Generated Reports:</span>
+                </div>
+                {runs.length === 0 ? (
+                    <p className="test-results-hint">Reports appear here after a schedule has run.</p>
+                ) : (
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Schedule</th>
+                                <th>Started</th>
+                                <th>Trigger</th>
+                                <th>Status</th>
+                                <th>File</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {runs.map((run) => (
+                                <tr key={run.id} className={`report-run-${run.status}`}>
+                                    <td>
+                                        {run.scheduleName}
+                                        {run.warnings.length > 0 && (
+                                            <div className="verification-meta" title={run.warnings.join('\n')}>
+                                                {run.warnings.length} warning{run.warnings.length > 1 ? 's' : ''}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>{new Date(run.startedAt).toLocaleString()}</td>
+                                    <td>{run.trigger}</td>
+                                    <td title={run.error || ''}>{run.status}</td>
+                                    <td>
+                                        {run.status === 'success' ? (
+                                            <a href={`${apiUrl}/api/report-runs/${run.id}/file`} onClick={(e) => downloadRun(e, run)}>
+                                                {run.format.toUpperCase()}, {formatSize(run.size)}
+                                            </a>
+                                        ) : '—'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </>
+    );
+}
+
+export default Reports;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+
+const columns = [
+    { key: 'ref', label: 'Requirement' },
+    { key: 'total', label: 'Test Cases' },
+    { key: 'automated', label: 'Automated' },
+    { key: 'coverage', label: 'Coverage' }
+];
+
+const compareBy = (key) => (a, b) => (key === 'ref'
+    ? a.ref.localeCompare(b.ref, undefined, { numeric: true })
+    : Number(a[key]) - Number(b[key]));
+
+/**
+ * Expandable, sortable table with automation coverage per reference in the
+ * refs field of the counted cases; requirements without any automated case
+ * are flagged
+ */
+const RequirementCoverage = ({ requirements, unreferencedCases }) => {
+    const [sortKey, setSortKey] = useState('coverage');
+    const [ascending, setAscending] = useState(true);
+    const [onlyUncovered, setOnlyUncovered] = useState(false);
+
+    const uncoveredCount = requirements.filter((requirement) => requirement.automated === 0).length;
+    const sortBy = (key) => {
+        if (key === sortKey) {
+            setAscending(!ascending);
+        } else {
+            setSortKey(key);
+            setAscending(true);
+        }
+    };
+    const compare = compareBy(sortKey);
+    const rows = requirements
+        .filter((requirement) => !onlyUncovered || requirement.automated === 0)
+        .sort((a, b) => (ascending ? compare(a, b) : compare(b, a)) || compareBy('ref')(a, b));
+
+    return (
+        <div className="test-case-list section-breakdown requirement-coverage no-export">
+            <details>
+                <summary>
+                    Coverage by Requirement ({requirements.length}
+                    {uncoveredCount > 0 && <span className="requirement-flag">, {uncoveredCount} without automation</span>})
+                </summary>
+                <label className="filter-checkbox">
+                    <input type="checkbox" checked={onlyUncovered} onChange={(e) => setOnlyUncovered(e.target.checked)} />
+                    Only requirements without automation
+                </label>
+                <table>
+                    <thead>
+                        <tr>
+                            {columns.map((column) => (
+                                <th key={column.key} className="sortable" onClick={() => sortBy(column.key)}>
+                                    {column.label}
+                                    {sortKey === column.key && (ascending ? ' ▲' : ' ▼')}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((requirement) => (
+                            <tr key={requirement.ref} className={requirement.automated === 0 ? 'requirement-uncovered' : ''}>
+                                <td title={requirement.caseIds.map((id) => `C${id}`).join(', ')}>{requirement.ref}</td>
+                                <td>{requirement.total}</td>
+                                <td>{requirement.automated === 0 ? <span className="requirement-flag">None</span> : requirement.automated}</td>
+                                <td>
+                                    <div className="coverage-bar">
+                                        <div className="coverage-bar-fill" style={{ width: `${requirement.coverage}%` }} />
+                                        <span>{requirement.coverage}%</span>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {unreferencedCases > 0 && (
+                    <p className="test-results-hint">{unreferencedCases} test cases have no references and are not listed.</p>
+                )}
+            </details>
+        </div>
+    );
+};
+
+export default RequirementCoverage;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { apiUrl } from './config';
+import { buildSavedChartUrl, buildEmbedUrl, buildBadgeUrl, copyLink } from './chartLink';
+
+/**
+ * "My saved charts" panel: rebuild, share, embed or delete saved chart definitions
+ */
+function SavedCharts({ refreshKey, onBuild }) {
+    const [charts, setCharts] = useState([]);
+
+    const fetchCharts = async () => {
+        try {
+            const response = await axios.get(`${apiUrl}/api/charts`);
+            setCharts(response.data);
+        } catch (error) {
+            console.error('Error fetching saved charts:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchCharts();
+    }, [refreshKey]);
+
+    const deleteChart = async (id) => {
+        try {
+            await axios.delete(`${apiUrl}/api/charts/${id}`);
+            fetchCharts();
+        } catch (error) {
+            console.error('Error deleting saved chart:', error);
+        }
+    };
+
+    if (!charts.length) return null;
+
+    return (
+        <div className="section-container saved-charts no-export">
+            <div className="section-header">
+                <span className="section-title">My Saved Charts:</span>
+            </div>
+            <ul>
+                {charts.map((chart) => (
+                    <li key={chart.id}>
+                        <span className="saved-chart-name">{chart.name}</span>
+                        <span className="saved-chart-meta">
+                            {chart.folderIds.length} sections{chart.filterSummary ? ` · ${chart.filterSummary}` : ''}
+                        </span>
+                        <div className="button-group">
+                            <button onClick={() => onBuild(chart)} className="btn btn-light">Build</button>
+                            <button onClick={() => copyLink(buildSavedChartUrl(chart.id))} className="btn btn-light">Copy Link</button>
+                            <button
+                                onClick={() => copyLink(`![${chart.name}](${buildBadgeUrl(chart.id)})`)}
+                                className="btn btn-light"
+                                title="Markdown for a coverage badge"
+                            >
+                                Copy Badge
+                            </button>
+                            <button
+                                onClick={() => copyLink(`<iframe src="${buildEmbedUrl(chart.id)}" width="480" height="320" frameborder="0"></iframe>`)}
+                                className="btn btn-light"
+                                title="HTML for an embedded chart"
+                            >
+                                Copy Embed
+                            </button>
+                            <button onClick={() => deleteChart(chart.id)} className="btn btn-light">Delete</button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default SavedCharts;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { apiUrl } from './config';
+import { buildShareUrl } from './chartLink';
+
+const describeError = (err) => {
+    const data = err.response && err.response.data;
+    if (data && data.errors) return data.errors.map((e) => `${e.path}: ${e.msg}`).join('; ');
+    return data && data.error ? data.error : err.message;
+};
+
+const rankings = {
+    coverage: (a, b) => Number(b.coverage) - Number(a.coverage) || a.candidates - b.candidates,
+    backlog: (a, b) => b.candidates - a.candidates || Number(a.coverage) - Number(b.coverage)
+};
+
+/**
+ * "Teams" panel: which team owns which sections of the suite (subsections
+ * inherit the owner), and a leaderboard of coverage and candidate backlog
+ * per team with a link to each team's chart
+ */
+function Teams({ projectId, suiteId, checked, filters, automatedCategories, onBuild }) {
+    const [teams, setTeams] = useState([]);
+    const [name, setName] = useState('');
+    const [board, setBoard] = useState(null);
+    const [rankBy, setRankBy] = useState('coverage');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const [teamsVersion, setTeamsVersion] = useState(0); // Bumped to re-read the teams after a change
+
+    useEffect(() => {
+        setBoard(null);
+        if (!projectId || !suiteId) return;
+        axios.get(`${apiUrl}/api/teams`, { params: { projectId, suiteId } })
+            .then((response) => setTeams(response.data))
+            .catch((err) => console.error('Error fetching teams:', err));
+    }, [projectId, suiteId, teamsVersion]);
+
+    const sectionIds = checked.map((id) => parseInt(id, 10));
+
+    const saveTeam = async (team) => {
+        setError('');
+        try {
+            if (team) {
+                await axios.put(`${apiUrl}/api/teams/${team.id}`, { name: team.name, projectId, suiteId, sectionIds });
+            } else {
+                await axios.post(`${apiUrl}/api/teams`, { name, projectId, suiteId, sectionIds });
+                setName('');
+            }
+            setTeamsVersion((version) => version + 1);
+        } catch (err) {
+            console.error('Error saving team:', err);
+            setError(describeError(err));
+        }
+    };
+
+    const deleteTeam = async (id) => {
+        setError('');
+        try {
+            await axios.delete(`${apiUrl}/api/teams/${id}`);
+            setTeamsVersion((version) => version + 1);
+        } catch (err) {
+            console.error('Error deleting team:', err);
+            setError(describeError(err));
+        }
+    };
+
+    const loadBoard = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const response = await axios.post(`${apiUrl}/api/teams/coverage`, {
+                projectId,
+                suiteId,
+                filters,
+                automatedCategories: automatedCategories.length ? automatedCategories : undefined
+            });
+            setBoard(response.data);
+        } catch (err) {
+            console.error('Error fetching team coverage:', err);
+            setError(describeError(err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // A team's chart covers exactly the sections it owns, inherited ones included
+    const teamDefinition = (row) => ({
+        projectId,
+        suiteId,
+        folderIds: row.sectionIds,
+        inclusion: 'exact',
+        excludeIds: [],
+        filters,
+        automatedCategories: board.automatedCategories
+    });
+    const openTeamChart = (e, row) => {
+        e.preventDefault();
+        onBuild(teamDefinition(row), `${row.name} coverage`);
+    };
+
+    if (!projectId || !suiteId) return null;
+
+    const rows = board ? [...board.teams].sort(rankings[rankBy]) : [];
+
+    return (
+        <div className="section-container teams no-export">
+            <div className="section-header">
+                <span className="section-title">Teams:</span>
+            </div>
+            {teams.length > 0 && (
+                <ul className="team-list">
+                    {teams.map((team) => (
+                        <li key={team.id}>
+                            <span className="saved-chart-name">{team.name}</span>
+                            <span className="saved-chart-meta">{team.sectionIds.length} sections and their subsections</span>
+                            <div className="button-group">
+                                <button
+                                    onClick={() => saveTeam(team)}
+                                    className="btn btn-light"
+                                    disabled={!sectionIds.length}
+                                    title="Replace this team's sections with the ticked ones"
+                                >
+                                    Assign Ticked Sections
+                                </button>
+                                <button onClick={() => deleteTeam(team.id)} className="btn btn-light">Delete</button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="filter-row">
+                <input
+                    className="edit-chart-input"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Team name"
+                />
+                <button onClick={() => saveTeam(null)} className="btn btn-light" disabled={!name.trim() || !sectionIds.length}>
+                    Create Team from Ticked Sections
+                </button>
+                {teams.length > 0 && (
+                    <button onClick={loadBoard} className="btn btn-light" disabled={loading}>
+                        {loading ? 'Computing...' : board ? 'Refresh Leaderboard' : 'Show Leaderboard'}
+                    </button>
+                )}
+            </div>
+            {error && <p className="case-update-error">{error}</p>}
+
+            {board && (
+                <div className="section-breakdown team-leaderboard">
+                    <div className="tree-mode">
+                        Rank by
+                        <label>
+                            <input type="radio" checked={rankBy === 'coverage'} onChange={() => setRankBy('coverage')} />
+                            Coverage
+                        </label>
+                        <label>
+                            <input type="radio" checked={rankBy === 'backlog'} onChange={() => setRankBy('backlog')} />
+                            Candidate backlog
+                        </label>
+                    </div>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Team</th>
+                                <th>Test Cases</th>
+                                <th>Automated</th>
+                                <th title={board.candidateCategories.join(', ')}>Candidates</th>
+                                <th>Coverage</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row, idx) => (
+                                <tr key={row.id}>
+                                    <td>{idx + 1}</td>
+                                    <td>
+                                        <a href={buildShareUrl({ ...teamDefinition(row), title: `${row.name} coverage` })} onClick={(e) => openTeamChart(e, row)}>
+                                            {row.name}
+                                        </a>
+                                    </td>
+                                    <td>{row.total}</td>
+                                    <td>{row.automated}</td>
+                                    <td>{row.candidates}</td>
+                                    <td>
+                                        <div className="coverage-bar">
+                                            <div className="coverage-bar-fill" style={{ width: `${row.coverage}%` }} />
+                                            <span>{row.total > 0 ? `${row.coverage}%` : '—'}</span>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                            {board.unassigned.total > 0 && (
+                                <tr className="team-unassigned">
+                                    <td />
+                                    <td>No team</td>
+                                    <td>{board.unassigned.total}</td>
+                                    <td>{board.unassigned.automated}</td>
+                                    <td>{board.unassigned.candidates}</td>
+                                    <td>{board.unassigned.coverage}%</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                    {board.warnings.concat(board.fieldWarnings).map((warning, idx) => (
+                        <p key={idx} className="test-results-hint">{warning.message}</p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default Teams;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { apiUrl } from './config';
+
+const verificationGroups = [
+    { key: 'markedWithoutResult', label: 'Marked automated but no automated result' },
+    { key: 'resultWithoutMark', label: 'Automated result but not marked automated' },
+    { key: 'verified', label: 'Verified' }
+];
+
+/**
+ * Cross-check of one chart against the uploaded test results
+ */
+export function VerificationDetails({ verification }) {
+    return (
+        <div className="test-case-list verification no-export">
+            <p className="verification-reports">
+                Checked against: {verification.reports.map((report) => report.name).join(', ')}
+            </p>
+            {verificationGroups.map(({ key, label }) => (
+                <details key={key}>
+                    <summary>
+                        {label} ({verification[key].length})
+                    </summary>
+                    <ul>
+                        {verification[key].map((tc) => (
+                            <li key={tc.id}>
+                                <strong>ID:</strong> {tc.id} &mdash; <strong>Title:</strong> {tc.title}
+                                <span className="verification-meta">
+                                    {' '}({tc.category}{tc.status ? `, ${tc.status}` : ''})
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * "Automated Test Results" panel: upload JUnit/xUnit XML reports and delete
+ * old ones. Charts built afterwards show verified coverage against them.
+ */
+function TestResults() {
+    const [reports, setReports] = useState([]);
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchReports = async () => {
+        try {
+            const response = await axios.get(`${apiUrl}/api/results`);
+            setReports(response.data);
+        } catch (err) {
+            console.error('Error fetching test results:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchReports();
+    }, []);
+
+    const uploadReports = async (event) => {
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        setUploading(true);
+        setError('');
+        try {
+            for (const file of files) {
+                await axios.post(`${apiUrl}/api/results`, file, {
+                    params: { name: file.name },
+                    headers: { 'Content-Type': 'application/xml' }
+                });
+            }
+        } catch (err) {
+            console.error('Error uploading test results:', err);
+            setError(err.response && err.response.data.error ? err.response.data.error : 'Upload failed');
+        } finally {
+            setUploading(false);
+            fetchReports();
+        }
+    };
+
+    const deleteReport = async (id) => {
+        try {
+            await axios.delete(`${apiUrl}/api/results/${id}`);
+            fetchReports();
+        } catch (err) {
+            console.error('Error deleting test results:', err);
+        }
+    };
+
+    return (
+        <div className="section-container test-results no-export">
+            <div className="section-header">
+                <span className="section-title">Automated Test Results:</span>
+                <label className="btn btn-light">
+                    {uploading ? 'Uploading...' : 'Upload JUnit/xUnit XML'}
+                    <input type="file" accept=".xml,application/xml,text/xml" multiple hidden onChange={uploadReports} disabled={uploading} />
+                </label>
+            </div>
+            {error && <p className="case-update-error">{error}</p>}
+            {reports.length === 0 ? (
+                <p className="test-results-hint">
+                    Upload reports whose test names or properties contain TestRail case IDs (e.g. C1234) to see verified coverage on new charts.
+                </p>
+            ) : (
+                <ul>
+                    {reports.map((report) => (
+                        <li key={report.id}>
+                            <span className="saved-chart-name">{report.name}</span>
+                            <span className="saved-chart-meta">
+                                {new Date(report.uploadedAt).toLocaleString()} · {report.tests} tests · {report.cases} cases
+                                {report.unmatched ? ` · ${report.unmatched} without case ID` : ''}
+                            </span>
+                            <button onClick={() => deleteReport(report.id)} className="btn btn-light">Delete</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default TestResults;
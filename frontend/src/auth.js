@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+// Session token from the login endpoint; only used when the backend runs with AUTH_MODE=local
+const TOKEN_KEY = 'mycoverage.token';
+
+const applyToken = (token) => {
+    if (token) axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+    else delete axios.defaults.headers.common.Authorization;
+};
+
+applyToken(localStorage.getItem(TOKEN_KEY));
+
+export const setToken = (token) => {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+    applyToken(token);
+};
+
+/**
+ * Authorization header for requests not made through axios
+ */
+export const authHeaders = () => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+/**
+ * Call onExpired whenever the backend answers 401, e.g. after the session
+ * timed out; returns a function that removes the handler
+ */
+export const onSessionExpired = (onExpired) => {
+    const id = axios.interceptors.response.use(undefined, (error) => {
+        if (error.response && error.response.status === 401 && localStorage.getItem(TOKEN_KEY)) {
+            setToken(null);
+            onExpired();
+        }
+        return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(id);
+};
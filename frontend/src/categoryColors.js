@@ -0,0 +1,14 @@
+// The palette is shared with the backend so its PDF reports use the same colors
+import palette from 'mycoverage-shared/categoryPalette.json';
+
+// Set colors for chart segments of well-known categories
+export const fixedColors = palette.fixed;
+
+// Colors for any other options of the automation field
+const extraColors = palette.extra;
+
+export const getCategoryColor = (category, categories) => {
+    if (fixedColors[category]) return fixedColors[category];
+    const others = categories.filter((c) => !fixedColors[c]);
+    return extraColors[others.indexOf(category) % extraColors.length];
+};
@@ -0,0 +1,62 @@
+import { apiUrl } from './config';
+
+// Chart definitions travel in the URL as base64url-encoded JSON
+
+const toBase64Url = (text) =>
+    btoa(unescape(encodeURIComponent(text))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (encoded) => {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    return decodeURIComponent(escape(atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4))));
+};
+
+/**
+ * Link that opens the app and builds the given chart definition
+ */
+export const buildShareUrl = (definition) =>
+    `${window.location.origin}${window.location.pathname}?chart=${toBase64Url(JSON.stringify(definition))}`;
+
+/**
+ * Link that opens the app and builds a chart saved on the server
+ */
+export const buildSavedChartUrl = (savedId) =>
+    `${window.location.origin}${window.location.pathname}?saved=${encodeURIComponent(savedId)}`;
+
+/**
+ * Chrome-less page with the pie of a saved chart, for iframes
+ */
+export const buildEmbedUrl = (savedId) =>
+    `${window.location.origin}/embed?saved=${encodeURIComponent(savedId)}`;
+
+/**
+ * SVG coverage badge of a saved chart, served by the backend
+ */
+export const buildBadgeUrl = (savedId) =>
+    `${apiUrl}/api/coverage/badge.svg?saved=${encodeURIComponent(savedId)}`;
+
+/**
+ * Read a shared chart from the current URL: { definition } or { savedId }, or null
+ */
+export const readSharedChart = () => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('saved')) return { savedId: params.get('saved') };
+    if (params.get('chart')) {
+        try {
+            return { definition: JSON.parse(fromBase64Url(params.get('chart'))) };
+        } catch (error) {
+            console.error('Invalid chart link:', error);
+        }
+    }
+    return null;
+};
+
+/**
+ * Copy a link, falling back to a prompt where the clipboard API is unavailable
+ */
+export const copyLink = async (url) => {
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch (error) {
+        window.prompt('Copy this link:', url);
+    }
+};
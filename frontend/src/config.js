@@ -0,0 +1 @@
+export const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:5001';
@@ -0,0 +1,53 @@
+import { apiUrl } from './config';
+import { authHeaders } from './auth';
+
+// The stream endpoint takes a POST body, which EventSource cannot send,
+// so the server-sent events are read from a fetch response instead
+
+const parseEvent = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    return { event, data: data.length ? JSON.parse(data.join('\n')) : null };
+};
+
+/**
+ * Build coverage data through the streaming data endpoint.
+ * onProgress receives every progress snapshot; the promise resolves to the
+ * same body the plain data endpoint returns. Aborting the signal closes the
+ * stream, which cancels the TestRail calls on the server, and rejects with
+ * an AbortError.
+ */
+export const streamCoverage = async (payload, { signal, onProgress = () => {} } = {}) => {
+    const response = await fetch(`${apiUrl}/api/testrail/data/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(payload),
+        signal
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const { event, data } = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (event === 'progress') onProgress(data);
+            else if (event === 'result') return data;
+            else if (event === 'error') throw new Error(data.details ? `${data.error}: ${JSON.stringify(data.details)}` : data.error);
+        }
+    }
+    throw new Error('The server closed the stream before sending a result');
+};
@@ -1,11 +1,14 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
-import App from './App';
+import AuthGate from './AuthGate';
+import Embed from './Embed';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
+// /embed is a chrome-less single chart for iframes; everything else is the app behind the login
+const isEmbed = window.location.pathname.replace(/\/+$/, '') === '/embed';
 root.render(
     <React.StrictMode>
-        <App />
+        {isEmbed ? <Embed /> : <AuthGate />}
     </React.StrictMode>
 );